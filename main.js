@@ -16,6 +16,17 @@ const fs = require('fs');
 const { exec, execSync } = require('child_process');
 const Store = require('electron-store');
 const os = require('os');
+const crypto = require('crypto');
+const transferQueue = require('./modules/transferQueue');
+const checksum = require('./modules/checksum');
+const tarTransfer = require('./modules/tarTransfer');
+const freeSpace = require('./modules/freeSpace');
+const transferHistory = require('./modules/transferHistory');
+const { isTransientError } = require('./modules/adbErrors');
+const partialFiles = require('./modules/partialFiles');
+const rateLimiter = require('./modules/rateLimiter');
+const { quoteShellArg } = require('./modules/shellQuote');
+const { deleteLocalItem } = require('./modules/localFileSystem');
 
 // Set app name for consistent storage paths
 app.setName('android-file-transfer');
@@ -27,6 +38,13 @@ const store = new Store({
   clearInvalidConfig: true
 });
 
+// Last-synced state of every two-way sync folder pair (sync-state.json in userData)
+const syncStateStore = new Store({
+  name: 'sync-state',
+  fileExtension: 'json',
+  clearInvalidConfig: true
+});
+
 // Fallback storage file path for testing
 const adbConfigPath = path.join(app.getPath('userData'), 'adb-config.json');
 
@@ -37,9 +55,38 @@ console.log('Store path:', store.path);
 // Global variables
 let mainWindow;
 let viewerWindow = null;  // Add this new global variable for the viewer window
+let historyWindow = null; // Transfer history window, while it is open
 let adbPath = null; // Store the found ADB path
 let client = null;
 
+// Default values of the user settings kept under "settings" in electron-store
+const DEFAULT_SETTINGS = {
+  verifyTransfers: false,       // Compare checksums after every queued transfer
+  checksumAlgorithm: 'md5',     // Preferred algorithm for verification
+  conflictPolicy: 'overwrite',  // Policy preselected in the conflict dialog
+  maxParallelTransfers: 3,      // Files transferred at the same time; more sync sessions stop helping on USB 2/3
+  bulkFolderTransfers: false,   // Transfer new folders as one tar stream instead of file by file
+  preserveTimestamps: true,     // Give copies the modification time of their source
+  preserveExecutable: false,    // Carry the executable bit over to copies
+  transferRateLimit: 0,         // Bytes per second for all queued transfers together, 0 for no limit
+  lowPriorityTransfers: false,  // Queued transfers pause while listings and previews use the device
+  transferFilter: null,         // Include/exclude rules applied to folder transfers, null for none
+  filterPresets: {},            // Saved filter rules by preset name
+  showHiddenLocal: true,        // List dotfiles and (on Windows) hidden items in the local panel
+  showHiddenAndroid: true,      // List dotfiles in the Android panel
+  hideAndroidNoise: false       // Leave Android clutter (.thumbnails, .trashed-*, .pending-*, .nomedia) out of the Android panel
+};
+
+/**
+ * Get a user setting, falling back to its default value
+ *
+ * @param {string} key - Setting name
+ * @returns {*} - Stored value or default
+ */
+function getSetting(key) {
+  return store.get(`settings.${key}`, DEFAULT_SETTINGS[key]);
+}
+
 /**
  * Load the saved ADB path from storage if available
  */
@@ -497,6 +544,8 @@ function createWindow() {
 app.whenReady().then(async () => {
   createWindow();
   setupIpcHandlers();
+  setupTransferHistory();
+  setupTransferQueue();
   
   // macOS specific behavior: re-create window when dock icon is clicked
   app.on('activate', () => {
@@ -516,6 +565,14 @@ app.on('window-all-closed', () => {
   }
 });
 
+/**
+ * Write the transfer queue before the app exits; while it runs, changes are
+ * saved with a short delay
+ */
+app.on('will-quit', () => {
+  transferQueue.flushQueue();
+});
+
 /**
  * List connected Android devices
  * @return {Promise<Array>} - Promise resolving to array of device objects
@@ -568,6 +625,9 @@ async function listDevices() {
     try {
       const devices = await client.listDevices();
       console.log('Found devices:', devices);
+      devices
+        .filter(device => device.type === 'device')
+        .forEach(device => removeStalePartials(device.id));
       return { devices };
     } catch (innerError) {
       console.error('Failed to list devices (inner error):', innerError);
@@ -711,7 +771,7 @@ ipcMain.handle('list-files', async (event, { deviceId, path: dirPath, noCache })
     // Skip the shell command verification since it's causing issues
     // Go directly to readdir
     try {
-      const files = await client.readdir(deviceId, normalizedPath);
+      const files = await rateLimiter.runInteractive(() => client.readdir(deviceId, normalizedPath));
       
       console.log('Main process: Found files:', files.length);
       // Log first few files for debugging
@@ -779,57 +839,268 @@ ipcMain.handle('list-files', async (event, { deviceId, path: dirPath, noCache })
 //   }
 // });
 
-ipcMain.handle('pull-file', async (event, { deviceId, remotePath, localPath }) => {
+// Suffix of the temporary file a transfer writes to before it is renamed into place
+const PARTIAL_SUFFIX = '.aft-partial';
+
+/**
+ * Get the path of the partial file a transfer writes to, next to its destination
+ * (e.g. /sdcard/DCIM/.video.mp4.aft-partial)
+ *
+ * @param {string} filePath - Final destination of the transfer
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @returns {string} - Path of the partial file
+ */
+function getPartialPath(filePath, isRemote) {
+  const pathApi = isRemote ? path.posix : path;
+  return pathApi.join(pathApi.dirname(filePath), `.${pathApi.basename(filePath)}${PARTIAL_SUFFIX}`);
+}
+
+/**
+ * Run a shell command on the device and return its output
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} command - Shell command to run
+ * @returns {Promise<string>} - Trimmed command output
+ */
+async function runShell(deviceId, command) {
+  const stream = await client.shell(deviceId, command);
+  const output = await adb.util.readAll(stream);
+  return output.toString().trim();
+}
+
+/**
+ * Run a shell command on the device and fail if it does not succeed.
+ * adb shell does not report exit codes on older devices, so success is
+ * detected by echoing a marker after the command.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} command - Shell command to run
+ * @returns {Promise<string>} - Command output without the marker
+ */
+async function runShellChecked(deviceId, command) {
+  const marker = '__AFT_OK__';
+  const output = await runShell(deviceId, `${command} && echo ${marker}`);
+  if (!output.endsWith(marker)) {
+    throw new Error(output || `Command failed: ${command}`);
+  }
+  return output.slice(0, -marker.length).trim();
+}
+
+/**
+ * Give a pulled file the modification time (and, if enabled, the executable
+ * bits) of the file on the device. Failures are logged, not thrown: the data
+ * itself has been transferred.
+ *
+ * @param {string} localPath - Pulled file
+ * @param {Object} remoteStats - adbkit stats of the file on the device ({ mode, mtime })
+ */
+function applyLocalAttributes(localPath, remoteStats) {
+  try {
+    if (getSetting('preserveTimestamps') && remoteStats.mtime) {
+      fs.utimesSync(localPath, remoteStats.mtime, remoteStats.mtime);
+    }
+    if (getSetting('preserveExecutable') && process.platform !== 'win32' && (remoteStats.mode & 0o111)) {
+      const localMode = fs.statSync(localPath).mode & 0o777;
+      fs.chmodSync(localPath, localMode | (remoteStats.mode & 0o111));
+    }
+  } catch (err) {
+    console.error(`Could not copy file attributes to ${localPath}:`, err);
+  }
+}
+
+/**
+ * Format a time for `touch -d` in UTC
+ *
+ * @param {Date} date - Time to format
+ * @returns {string} - Time like "2024-05-01 13:45:10"
+ */
+function formatTouchDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Give a pushed file the modification time (and, if enabled, the executable
+ * bit) of the local file. toybox understands `touch -d @seconds`; older
+ * busybox/toolbox builds only take a date string, which is given in UTC.
+ * Failures are logged, not thrown: the data itself has been transferred.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} remotePath - Pushed file on the device
+ * @param {string} localPath - Source file
+ */
+async function applyRemoteAttributes(deviceId, remotePath, localPath) {
   try {
-    // Primeiro, pega o tamanho do arquivo no Android
-    const stat = await client.stat(deviceId, remotePath);
-    const totalSize = stat.size;
-    console.log('File size detected:', totalSize);
+    const localStats = fs.statSync(localPath);
+    const quotedPath = quoteShellArg(remotePath);
+
+    if (getSetting('preserveTimestamps')) {
+      const seconds = Math.floor(localStats.mtimeMs / 1000);
+      await runShellChecked(deviceId,
+        `(touch -d @${seconds} ${quotedPath} 2>/dev/null || TZ=UTC touch -d "${formatTouchDate(localStats.mtime)}" ${quotedPath})`);
+    }
+    if (getSetting('preserveExecutable') && process.platform !== 'win32' && (localStats.mode & 0o111)) {
+      // Shared storage (/sdcard) ignores permissions, so this only matters elsewhere, e.g. /data/local/tmp
+      await runShell(deviceId, `chmod +x ${quotedPath} 2>/dev/null`);
+    }
+  } catch (err) {
+    console.error(`Could not copy file attributes to ${remotePath}:`, err);
+  }
+}
+
+/**
+ * Write a readable stream to a local file. Queued transfers (those with a
+ * control object) read from shell sockets go through the bandwidth limiter;
+ * adbkit transfers ignore backpressure, so they are never throttled here.
+ *
+ * @param {Stream} source - Stream to read from
+ * @param {string} filePath - File to write to
+ * @param {boolean} append - Append to the file instead of truncating it
+ * @param {Function} onBytes - Called with the number of bytes written so far
+ * @param {Object} [control] - Queue control object; receives a handle to cancel the copy
+ * @returns {Promise<number>} - Number of bytes written
+ */
+function writeStreamToFile(source, filePath, append, onBytes, control) {
+  return new Promise((resolve, reject) => {
+    let bytes = 0;
+    const writeStream = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
+    const isSocket = typeof source.cancel !== 'function';
+    const input = control && isSocket ? rateLimiter.throttleStream(source) : source;
+
+    // adbkit transfers know how to cancel themselves; raw shell sockets are closed by hand
+    if (control && isSocket) {
+      control.transfer = {
+        cancel: () => {
+          input.unpipe(writeStream);
+          writeStream.end();
+          source.destroy();
+        }
+      };
+    }
+
+    input.on('data', (chunk) => {
+      bytes += chunk.length;
+      onBytes(bytes);
+    });
+    source.on('error', reject);
+    input.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('close', () => resolve(bytes));
+
+    input.pipe(writeStream);
+  });
+}
 
-    event.sender.send('transfer-progress', {
+/**
+ * Pull a file from the Android device, reporting progress to the renderer.
+ * The file is written to a partial file next to the destination and renamed
+ * into place once complete. If a partial file from an interrupted pull is
+ * found, the pull continues from its size using a ranged read on the device.
+ *
+ * @param {Function} send - Sends an event to the renderer (channel, payload)
+ * @param {Object} params - Transfer parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.remotePath - File path on Android device
+ * @param {string} params.localPath - Destination path on local machine
+ * @param {string} [params.jobId] - Transfer queue job this pull belongs to
+ * @param {Object} [control] - Queue control object; receives the adbkit transfer so it can be cancelled
+ * @returns {Promise<boolean>} - Resolves with true once the file is in place, false if the pull was paused or cancelled first
+ */
+async function pullFile(send, { deviceId, remotePath, localPath, jobId }, control) {
+  // Primeiro, pega o tamanho do arquivo no Android
+  const stat = await client.stat(deviceId, remotePath);
+  const totalSize = stat.size;
+  const fingerprint = { size: totalSize, mtime: stat.mtime ? stat.mtime.getTime() : 0 };
+  const partialPath = getPartialPath(localPath, false);
+  console.log('File size detected:', totalSize);
+
+  const report = (transferred, completed) => {
+    send('transfer-progress', {
       type: 'pull',
+      jobId,
       file: path.basename(remotePath),
-      transferred: 0,
+      transferred,
       total: totalSize,
-      percent: 0
+      percent: totalSize > 0 ? Math.round((transferred / totalSize) * 100) : 0,
+      completed
     });
+  };
+
+  // Continue from an earlier partial download if it was written from the remote file as it is now;
+  // otherwise the partial file is overwritten
+  let offset = 0;
+  if (fs.existsSync(partialPath)) {
+    const partialSize = fs.statSync(partialPath).size;
+    if (partialSize <= totalSize && partialFiles.matchesSource(partialPath, null, fingerprint)) {
+      offset = partialSize;
+      console.log(`Resuming pull of ${remotePath} from byte ${offset}`);
+    } else {
+      console.log(`Discarding stale partial file: ${partialPath}`);
+    }
+  }
 
-    const transfer = await client.pull(deviceId, remotePath);
-
-    transfer.on('progress', (stats) => {
-      const percent = totalSize > 0 ? Math.round((stats.transferred / totalSize) * 100) : 0;
-      event.sender.send('transfer-progress', {
-        type: 'pull',
-        file: path.basename(remotePath),
-        transferred: stats.transferred,
-        total: totalSize,
-        percent
-      });
-    });
+  partialFiles.trackPartial(partialPath, null, jobId, fingerprint);
+  report(offset);
+
+  if (offset === 0 || offset < totalSize) {
+    let source;
+    if (offset > 0) {
+      // tail -c +N starts at byte N (1-based); errors are discarded so they never land in the file
+      source = await client.shell(deviceId, `tail -c +${offset + 1} ${quoteShellArg(remotePath)} 2>/dev/null`);
+    } else if (control && rateLimiter.isActive()) {
+      // adbkit's sync pull does not wait for its reader, so a limited pull reads the file
+      // through a shell socket instead; pausing the socket slows the device down
+      source = await client.shell(deviceId, `cat ${quoteShellArg(remotePath)} 2>/dev/null`);
+    } else {
+      source = await client.pull(deviceId, remotePath);
+    }
 
-    transfer.on('end', () => {
-      event.sender.send('transfer-progress', {
-        type: 'pull',
-        file: path.basename(remotePath),
-        transferred: totalSize,
-        total: totalSize,
-        percent: 100,
-        completed: true
-      });
-    });
+    if (control) {
+      control.transfer = typeof source.cancel === 'function' ? source : null;
+    }
 
     // Pipe para o arquivo local
-    await new Promise((resolve, reject) => {
-      const writeStream = fs.createWriteStream(localPath);
-      transfer.pipe(writeStream)
-        .on('close', resolve)
-        .on('error', reject);
+    const pending = writeStreamToFile(source, partialPath, offset > 0, bytes => report(offset + bytes), control);
+    if (control && control.stopReason) control.transfer.cancel();
+    const written = await pending;
 
-      transfer.on('error', reject);
-    });
+    if (control && control.stopReason) {
+      // Paused or cancelled: keep the partial file so the pull can be resumed
+      return false;
+    }
+
+    if (offset > 0 && written === 0) {
+      // The device could not do a ranged read (e.g. no tail), start over with a full pull
+      console.log('Ranged read returned no data, restarting pull from the beginning');
+      fs.unlinkSync(partialPath);
+      return pullFile(send, { deviceId, remotePath, localPath, jobId }, control);
+    }
+  }
+
+  const receivedSize = fs.statSync(partialPath).size;
+  if (receivedSize !== totalSize) {
+    // A short partial file is kept so a retry can continue from it
+    if (receivedSize > totalSize) fs.unlinkSync(partialPath);
+    throw new Error(`Incomplete transfer: received ${receivedSize} of ${totalSize} bytes`);
+  }
+
+  fs.renameSync(partialPath, localPath);
+  partialFiles.untrackPartial(partialPath, null);
+  applyLocalAttributes(localPath, stat);
+  report(totalSize, true);
+  return true;
+}
 
+ipcMain.handle('pull-file', async (event, { deviceId, remotePath, localPath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'pull', deviceId, source: remotePath, destination: localPath };
+  try {
+    // One-off pulls are previews the user is waiting for
+    await rateLimiter.runInteractive(() =>
+      pullFile((channel, payload) => event.sender.send(channel, payload), { deviceId, remotePath, localPath }));
+    recordHistory({ ...entry, bytes: fs.statSync(localPath).size, durationMs: Date.now() - startedAt, result: 'success' });
     return { success: true };
   } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
     console.error('Erro no pull-file:', err);
     event.sender.send('transfer-error', {
       type: 'pull',
@@ -867,214 +1138,1466 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-ipcMain.handle('push-file', async (event, { deviceId, localPath, remotePath }) => {
+/**
+ * Push a file to the Android device, reporting progress to the renderer.
+ * The file is written to a partial file next to the destination and moved
+ * into place once complete. If a partial file from an interrupted push is
+ * found on the device, only the remaining bytes are pushed and appended to it.
+ *
+ * @param {Function} send - Sends an event to the renderer (channel, payload)
+ * @param {Object} params - Transfer parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.localPath - Source file path on local machine
+ * @param {string} params.remotePath - Destination path on Android device
+ * @param {string} [params.jobId] - Transfer queue job this push belongs to
+ * @param {Object} [control] - Queue control object; receives the adbkit transfer so it can be cancelled
+ * @returns {Promise<boolean>} - Resolves with true once the file is in place, false if the push was paused or cancelled first
+ */
+async function pushFile(send, { deviceId, localPath, remotePath, jobId }, control) {
   let totalSize = 0;
+  let fingerprint = { size: 0, mtime: 0 };
   try {
     const stats = fs.statSync(localPath);
     totalSize = stats.size;
+    fingerprint = { size: stats.size, mtime: stats.mtimeMs };
     console.log('File size detected:', formatBytes(totalSize));
   } catch (err) {
     console.error('Error getting file size:', err);
     totalSize = 0;
   }
 
-  // Envia início imediato
-  event.sender.send('transfer-progress', {
-    type: 'push',
-    file: path.basename(localPath),
-    transferred: 0,
-    total: totalSize,
-    percent: 0
-  });
-
-  const startTime = Date.now();
+  const partialPath = getPartialPath(remotePath, true);
+  const chunkPath = `${partialPath}.chunk`;
 
+  // Continue from an earlier partial upload if it was written from the local file as it is now;
+  // otherwise the partial file is overwritten
+  let offset = 0;
   try {
-    const transfer = await client.push(deviceId, localPath, remotePath);
-
-    let lastTransferred = 0;
-
-    if (transfer && typeof transfer.on === 'function') {
-      transfer.on('progress', (stats) => {
-        if (stats && typeof stats.transferred === 'number') {
-          lastTransferred = stats.transferred;
-          const percent = totalSize > 0 ? Math.round((lastTransferred / totalSize) * 100) : 0;
-
-          event.sender.send('transfer-progress', {
-            type: 'push',
-            file: path.basename(localPath),
-            transferred: lastTransferred,
-            total: totalSize,
-            percent
-          });
-        }
-        // Se stats for undefined, ignoramos silenciosamente
-      });
+    const partialStats = await client.stat(deviceId, partialPath);
+    if (partialStats.size <= totalSize && partialFiles.matchesSource(partialPath, deviceId, fingerprint)) {
+      offset = partialStats.size;
+      console.log(`Resuming push of ${localPath} from byte ${offset}`);
+    } else {
+      console.log(`Discarding stale partial file on device: ${partialPath}`);
+    }
+  } catch (err) {
+    // No partial file on the device, start from the beginning
+  }
 
-      transfer.on('end', () => {
-        console.log('Transfer push ended');
-        event.sender.send('transfer-progress', {
-          type: 'push',
-          file: path.basename(localPath),
-          transferred: totalSize,
-          total: totalSize,
-          percent: 100,
-          completed: true
-        });
-      });
+  const report = (transferred, completed, estimated) => {
+    send('transfer-progress', {
+      type: 'push',
+      jobId,
+      file: path.basename(localPath),
+      transferred,
+      total: totalSize,
+      percent: totalSize > 0 ? Math.round((transferred / totalSize) * 100) : 0,
+      completed,
+      estimated: Boolean(estimated)   // Time-based guess, not counted in the measured speed
+    });
+  };
 
-      transfer.on('error', (err) => {
-        console.error('Error during push:', err);
-        event.sender.send('transfer-error', { error: err.message });
-      });
+  partialFiles.trackPartial(partialPath, deviceId, jobId, fingerprint);
+
+  // Envia início imediato
+  report(offset);
+
+  if (offset === 0 || offset < totalSize) {
+    const startTime = Date.now();
+    const remainingSize = totalSize - offset;
+
+    // A resumed push sends only the missing bytes to a chunk file that is appended afterwards;
+    // queued pushes go through the bandwidth limiter
+    const content = control || offset > 0 ? fs.createReadStream(localPath, { start: offset }) : localPath;
+    const transfer = await client.push(deviceId, control ? rateLimiter.throttleStream(content) : content,
+      offset > 0 ? chunkPath : partialPath);
+
+    if (control) {
+      control.transfer = transfer;
+      if (control.stopReason) transfer.cancel();
     }
 
-    // Fallback: progresso estimado por tempo (funciona mesmo se progress não der dados)
-    const estimatedDuration = totalSize > 0 ? Math.max(5000, (totalSize / 1024 / 1024) * 800) : 10000; // ~800ms por MB, mínimo 5s
+    let lastTransferred = offset;
+    let fallbackInterval = null;
+
+    transfer.on('progress', (stats) => {
+      if (stats && typeof stats.bytesTransferred === 'number') {
+        // Real progress is flowing, the time-based estimate is no longer needed
+        if (fallbackInterval) {
+          clearInterval(fallbackInterval);
+          fallbackInterval = null;
+        }
+        lastTransferred = offset + stats.bytesTransferred;
+        report(lastTransferred);
+      }
+    });
+
+    transfer.on('error', (err) => {
+      console.error('Error during push:', err);
+    });
+
+    // Fallback: progresso estimado por tempo, only until the first real progress event arrives
+    const estimatedDuration = remainingSize > 0 ? Math.max(5000, (remainingSize / 1024 / 1024) * 800) : 10000; // ~800ms por MB, mínimo 5s
 
-    const fallbackInterval = setInterval(() => {
+    fallbackInterval = setInterval(() => {
       const elapsed = Date.now() - startTime;
-      const estimatedTransferred = Math.min(totalSize, (elapsed / estimatedDuration) * totalSize);
-      const percent = totalSize > 0 ? Math.round((estimatedTransferred / totalSize) * 100) : Math.round((elapsed / estimatedDuration) * 100);
+      const estimatedTransferred = offset + Math.min(remainingSize, (elapsed / estimatedDuration) * remainingSize);
 
       // Só envia se for maior que o último real conhecido
       if (estimatedTransferred > lastTransferred) {
-        event.sender.send('transfer-progress', {
-          type: 'push',
-          file: path.basename(localPath),
-          transferred: Math.round(estimatedTransferred),
-          total: totalSize,
-          percent
-        });
+        report(Math.round(estimatedTransferred), false, true);
       }
 
-      if (percent >= 100) {
+      if (estimatedTransferred >= totalSize) {
         clearInterval(fallbackInterval);
+        fallbackInterval = null;
       }
     }, 500);
 
-    // Para o fallback quando terminar de verdade
-    if (transfer && transfer.on) {
-      transfer.on('end', () => clearInterval(fallbackInterval));
-      transfer.on('error', () => clearInterval(fallbackInterval));
-    }
-
     // Espera o transfer terminar
-    await new Promise((resolve, reject) => {
-      if (transfer && transfer.on) {
+    try {
+      await new Promise((resolve, reject) => {
         transfer.on('end', resolve);
         transfer.on('error', reject);
-      } else {
-        setTimeout(resolve, estimatedDuration + 2000);
-      }
-    });
+      });
+    } finally {
+      if (fallbackInterval) clearInterval(fallbackInterval);
+    }
+
+    if (control && control.stopReason) {
+      // Paused or cancelled: keep the partial file so the push can be resumed
+      console.log('Transfer push stopped:', control.stopReason);
+      return false;
+    }
+
+    if (offset > 0) {
+      await runShellChecked(deviceId,
+        `cat ${quoteShellArg(chunkPath)} >> ${quoteShellArg(partialPath)} && rm -f ${quoteShellArg(chunkPath)}`);
+    }
+  }
+
+  console.log('Transfer push ended');
+
+  const partialStats = await client.stat(deviceId, partialPath);
+  if (partialStats.size !== totalSize) {
+    // A short partial file is kept so a retry can continue from it
+    if (partialStats.size > totalSize) await runShell(deviceId, `rm -f ${quoteShellArg(partialPath)} ${quoteShellArg(chunkPath)}`);
+    throw new Error(`Incomplete transfer: device received ${partialStats.size} of ${totalSize} bytes`);
+  }
+
+  await runShellChecked(deviceId, `mv -f ${quoteShellArg(partialPath)} ${quoteShellArg(remotePath)}`);
+  partialFiles.untrackPartial(partialPath, deviceId);
+  await applyRemoteAttributes(deviceId, remotePath, localPath);
+  report(totalSize, true);
+  return true;
+}
 
+ipcMain.handle('push-file', async (event, { deviceId, localPath, remotePath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'push', deviceId, source: localPath, destination: remotePath };
+  try {
+    await pushFile((channel, payload) => event.sender.send(channel, payload), { deviceId, localPath, remotePath });
+    recordHistory({ ...entry, bytes: fs.statSync(localPath).size, durationMs: Date.now() - startedAt, result: 'success' });
     return { success: true };
   } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
     console.error('General push error:', err);
     event.sender.send('transfer-error', { error: err.message || 'Transfer failed' });
     return { success: false, error: err.message };
   }
 });
 
+// Tar command found on each device (null if it has none), so it is only looked up once
+const deviceTarCommands = new Map();
+
 /**
- * IPC Handler: Create a new directory on Android device
- * 
- * @param {Object} event - IPC event object
- * @param {Object} params - Parameters
- * @param {string} params.deviceId - Android device ID
- * @param {string} params.path - Directory path to create
- * @returns {Object} Success status and any error message
+ * Get the command that runs tar on a device
+ *
+ * @param {string} deviceId - Android device ID
+ * @returns {Promise<string|null>} - Tar command, or null if the device has no tar
  */
-ipcMain.handle('create-directory', async (event, { deviceId, path }) => {
-  try {
-    await client.shell(deviceId, `mkdir -p "${path}"`);
-    return { success: true };
-  } catch (err) {
-    console.error(`Failed to create directory ${path}:`, err);
-    return { success: false, error: err.message };
+async function getDeviceTar(deviceId) {
+  if (!deviceTarCommands.has(deviceId)) {
+    const command = await tarTransfer.findDeviceTar(cmd => runShell(deviceId, cmd));
+    console.log(`Tar on device ${deviceId}: ${command || 'not available'}`);
+    deviceTarCommands.set(deviceId, command);
   }
-});
+  return deviceTarCommands.get(deviceId);
+}
 
 /**
- * IPC Handler: Delete a file or directory on Android device
- * 
- * @param {Object} event - IPC event object
- * @param {Object} params - Parameters
- * @param {string} params.deviceId - Android device ID
- * @param {string} params.path - Path to delete
- * @param {boolean} params.isDirectory - Whether the path is a directory
- * @returns {Object} Success status and any error message
+ * Pull a whole folder as one tar stream (`tar -cf -` on the device) and
+ * extract it into a hidden staging folder that is renamed into place once
+ * the archive is complete. The folder only counts as complete if tar
+ * succeeded on the device and the files and bytes received match the scan
+ * the job was queued with; otherwise the job fails and nothing is renamed
+ * (or, for a move, deleted). Bulk transfers cannot be resumed; they start over.
+ *
+ * @param {Function} send - Sends an event to the renderer (channel, payload)
+ * @param {Object} job - Queue job (remotePath and localPath are folders, size is the total of the files, fileCount their number)
+ * @param {Object} control - Queue control object; receives a handle to cancel the transfer
+ * @returns {Promise<boolean>} - Resolves with true once the folder is in place, false if the pull was paused or cancelled first
  */
-ipcMain.handle('delete-item', async (event, { deviceId, path, isDirectory }) => {
+async function pullFolderAsTar(send, job, control) {
+  const tarCommand = await getDeviceTar(job.deviceId);
+  if (!tarCommand) {
+    throw new Error('The device has no tar command; turn off bulk transfers and try again');
+  }
+
+  const stagingPath = getPartialPath(job.localPath, false);
+  const report = (transferred, completed) => {
+    send('transfer-progress', {
+      type: 'pull',
+      jobId: job.id,
+      file: path.posix.basename(job.remotePath),
+      transferred,
+      total: job.size,
+      percent: job.size > 0 ? Math.min(100, Math.round((transferred / job.size) * 100)) : 0,
+      completed
+    });
+  };
+
+  partialFiles.trackPartial(stagingPath, null, job.id);
+  fs.rmSync(stagingPath, { recursive: true, force: true });
+  fs.mkdirSync(stagingPath, { recursive: true });
+  report(0);
+
+  const remoteParent = path.posix.dirname(job.remotePath);
+  const remoteName = path.posix.basename(job.remotePath);
+  // The output is the archive itself, so tar's exit status is written to a file on the device
+  const statusPath = quoteShellArg(`/data/local/tmp/aft-tar-${job.id}.status`);
+  let result;
+  let status;
   try {
-    const cmd = isDirectory ? `rm -rf "${path}"` : `rm "${path}"`;
-    await client.shell(deviceId, cmd);
-    return { success: true };
-  } catch (err) {
-    console.error(`Failed to delete ${path}:`, err);
-    return { success: false, error: err.message };
+    const source = await client.shell(job.deviceId,
+      `cd ${quoteShellArg(remoteParent)} && ${tarCommand} -cf - ${quoteShellArg(remoteName)} 2>/dev/null; echo $? > ${statusPath}`);
+    // Closing the socket stops tar on the device and fails the extraction, which would otherwise wait for the rest
+    control.transfer = { cancel: () => source.destroy() };
+    if (control.stopReason) source.destroy();
+
+    result = await tarTransfer.extractTarStream(rateLimiter.throttleStream(source), stagingPath, bytes => report(bytes),
+      getSetting('preserveTimestamps'));
+    // The archive has ended, so the shell has written the status by now
+    status = await runShell(job.deviceId, `cat ${statusPath} 2>/dev/null`);
+  } finally {
+    await runShell(job.deviceId, `rm -f ${statusPath}`).catch(() => {});
   }
-});
+  if (control.stopReason) return false;
+
+  if (status !== '0') {
+    throw new Error(`tar failed on the device (exit status ${status || 'unknown'}); some files could not be read`);
+  }
+  // Jobs queued before the file count was recorded only have the size to go by
+  const countMatches = typeof job.fileCount !== 'number' || result.files === job.fileCount;
+  if (!countMatches || result.bytes !== job.size) {
+    throw new Error(`Incomplete folder: received ${result.files}${typeof job.fileCount === 'number' ? ` of ${job.fileCount}` : ''} files, ` +
+      `${formatBytes(result.bytes)} of ${formatBytes(job.size)}`);
+  }
+
+  if (fs.existsSync(job.localPath)) {
+    throw new Error(`${job.localPath} was created while the folder was transferred`);
+  }
+  fs.renameSync(stagingPath, job.localPath);
+  partialFiles.untrackPartial(stagingPath, null);
+
+  console.log(`Bulk pull of ${job.remotePath}: ${result.files} files, ${formatBytes(result.bytes)}`);
+  report(job.size, true);
+  return true;
+}
 
 /**
- * IPC Handler: Rename Android file/folder
- * 
- * @param {Object} event - IPC event object
- * @param {Object} params - Parameters
- * @param {string} params.deviceId - Android device ID
- * @param {string} params.oldPath - Current path of the item
- * @param {string} params.newPath - New path for the item
- * @returns {Object} Result with success flag and optional error
+ * Count the regular files below a folder on the device and add up their sizes
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} dirPath - Folder on the device
+ * @returns {Promise<{files: number, bytes: number}>} - Number of files and their total size
  */
-ipcMain.handle('rename-android-item', async (event, { deviceId, oldPath, newPath }) => {
-  try {
-    console.log(`Renaming Android item from ${oldPath} to ${newPath}`);
-    
-    // Use ADB shell to rename the item using 'mv' command
-    const cmd = `mv "${oldPath}" "${newPath}"`;
-    await client.shell(deviceId, cmd);
-    
-    console.log(`Successfully renamed ${oldPath} to ${newPath}`);
-    return { success: true };
-  } catch (err) {
-    console.error(`Failed to rename ${oldPath}:`, err);
-    return { success: false, error: err.message };
-  }
-});
+async function countDeviceFiles(deviceId, dirPath) {
+  const output = await runShell(deviceId, `find ${quoteShellArg(dirPath)} -type f -exec stat -c %s {} + 2>/dev/null`);
+  const sizes = output.split('\n').map(line => line.trim()).filter(line => /^\d+$/.test(line));
+  return { files: sizes.length, bytes: sizes.reduce((sum, size) => sum + Number(size), 0) };
+}
 
 /**
- * IPC Handler: Open native file/folder selection dialog
- * 
- * @param {Object} event - IPC event object
- * @param {Object} params - Parameters
- * @param {boolean} params.isDirectory - Whether to select directory or files
- * @returns {Array} Array of selected file paths
+ * Push a whole folder as one tar archive and extract it on the device into a
+ * hidden staging folder that is moved into place afterwards. The folder only
+ * counts as complete if the files packed and the files extracted on the
+ * device match the scan the job was queued with; otherwise the job fails and
+ * nothing is moved into place (or, for a move, deleted). The archive needs as
+ * much free space on the device as the folder itself while it is being
+ * extracted.
+ *
+ * @param {Function} send - Sends an event to the renderer (channel, payload)
+ * @param {Object} job - Queue job (localPath and remotePath are folders, size is the total of the files, fileCount their number)
+ * @param {Object} control - Queue control object; receives a handle to cancel the transfer
+ * @returns {Promise<boolean>} - Resolves with true once the folder is in place, false if the push was paused or cancelled first
  */
-ipcMain.handle('open-file-dialog', async (event, { isDirectory }) => {
-  const properties = isDirectory 
-    ? ['openDirectory'] 
-    : ['openFile', 'multiSelections'];
-  
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties
+async function pushFolderAsTar(send, job, control) {
+  const tarCommand = await getDeviceTar(job.deviceId);
+  if (!tarCommand) {
+    throw new Error('The device has no tar command; turn off bulk transfers and try again');
+  }
+
+  const stagingPath = getPartialPath(job.remotePath, true);
+  const archivePath = `${stagingPath}.tar`;
+  const report = (transferred, completed) => {
+    send('transfer-progress', {
+      type: 'push',
+      jobId: job.id,
+      file: path.basename(job.localPath),
+      transferred,
+      total: job.size,
+      percent: job.size > 0 ? Math.min(100, Math.round((transferred / job.size) * 100)) : 0,
+      completed
+    });
+  };
+
+  report(0);
+
+  partialFiles.trackPartial(stagingPath, job.deviceId, job.id);
+
+  // The archive is packed while it is being pushed
+  const pack = tarTransfer.packLocalFolder(job.localPath);
+  const transfer = await client.push(job.deviceId, rateLimiter.throttleStream(pack.stream), archivePath);
+  control.transfer = transfer;
+  if (control.stopReason) transfer.cancel();
+
+  transfer.on('progress', (stats) => {
+    // The archive is slightly larger than the files because of the tar headers
+    if (stats && typeof stats.bytesTransferred === 'number') {
+      report(Math.min(stats.bytesTransferred, job.size));
+    }
   });
-  
-  return result.filePaths;
-});
 
-// Add IPC handler for renderer to request ADB search
-ipcMain.handle('search-for-adb', async () => {
-  return await checkAndPromptForAdb();
-});
+  const [result] = await Promise.all([
+    pack.done,
+    new Promise((resolve, reject) => {
+      transfer.on('end', resolve);
+      transfer.on('error', reject);
+    })
+  ]);
+
+  const quotedStaging = quoteShellArg(stagingPath);
+  const quotedArchive = quoteShellArg(archivePath);
+  if (control.stopReason) {
+    await runShell(job.deviceId, `rm -f ${quotedArchive}`);
+    return false;
+  }
+
+  const localName = path.basename(job.localPath);
+  // -m gives the extracted files the current time instead of the one in the archive
+  const extractFlags = getSetting('preserveTimestamps') ? '-xf' : '-xmf';
+  await runShellChecked(job.deviceId,
+    `rm -rf ${quotedStaging} && mkdir -p ${quotedStaging} && ${tarCommand} ${extractFlags} ${quotedArchive} -C ${quotedStaging} && rm -f ${quotedArchive}`);
+
+  // Files changed while they were packed, or lost on the way, leave the staging folder short
+  const extracted = await countDeviceFiles(job.deviceId, stagingPath);
+  const expected = { files: typeof job.fileCount === 'number' ? job.fileCount : result.files, bytes: job.size };
+  if (result.files !== expected.files || result.bytes !== expected.bytes ||
+      extracted.files !== expected.files || extracted.bytes !== expected.bytes) {
+    await runShell(job.deviceId, `rm -rf ${quotedStaging}`);
+    throw new Error(`Incomplete folder: packed ${result.files} files (${formatBytes(result.bytes)}), ` +
+      `device has ${extracted.files} (${formatBytes(extracted.bytes)}), expected ${expected.files} (${formatBytes(expected.bytes)})`);
+  }
+
+  await runShellChecked(job.deviceId, `[ ! -e ${quoteShellArg(job.remotePath)} ] && ` +
+    `mv ${quoteShellArg(`${stagingPath}/${localName}`)} ${quoteShellArg(job.remotePath)} && rmdir ${quotedStaging}`);
+  partialFiles.untrackPartial(stagingPath, job.deviceId);
+
+  console.log(`Bulk push of ${job.localPath}: ${result.files} files, ${formatBytes(result.bytes)}`);
+  report(job.size, true);
+  return true;
+}
 
 /**
- * Clear the saved ADB path from storage
+ * Send an event to the main window if it is still open
+ *
+ * @param {string} channel - IPC channel name
+ * @param {Object} payload - Data to send
  */
-function clearSavedAdbPath() {
-  console.log('Clearing saved ADB path');
-  
-  // Clear from electron-store
+function notifyRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+/**
+ * Add an entry to the transfer history. A history that cannot be written is
+ * logged, but never fails the operation it describes.
+ *
+ * @param {Object} details - Entry fields (see transferHistory.recordEntry)
+ */
+function recordHistory(details) {
+  try {
+    transferHistory.recordEntry(details);
+  } catch (err) {
+    console.error('Could not record transfer history:', err);
+  }
+}
+
+/**
+ * Compare the checksums of both copies of a finished transfer. A mismatching
+ * destination is removed so retrying the job copies it again from scratch.
+ *
+ * @param {Object} job - Queue job whose transfer has just finished
+ * @returns {Promise<Object>} - Checksum details to store on the job
+ */
+async function verifyQueueJob(job) {
+  notifyRenderer('transfer-progress', {
+    type: job.type,
+    jobId: job.id,
+    stage: 'verifying',
+    file: job.type === 'pull' ? path.posix.basename(job.remotePath) : path.basename(job.localPath)
+  });
+
+  const result = await checksum.verifyTransfer({
+    runShell: command => runShell(job.deviceId, command),
+    localPath: job.localPath,
+    remotePath: job.remotePath,
+    algorithm: getSetting('checksumAlgorithm')
+  });
+
+  if (!result.match) {
+    if (job.type === 'pull') {
+      fs.unlinkSync(job.localPath);
+    } else {
+      await runShell(job.deviceId, `rm -f ${quoteShellArg(job.remotePath)}`);
+    }
+    throw new Error(`Checksum mismatch (${result.algorithm}): source ${job.type === 'pull' ? result.remoteHash : result.localHash}, copy ${job.type === 'pull' ? result.localHash : result.remoteHash}`);
+  }
+
+  console.log(`Verified ${job.remotePath} (${result.algorithm} ${result.localHash})`);
+  return { checksum: { algorithm: result.algorithm, hash: result.localHash } };
+}
+
+/**
+ * Remove the source of a moved file once its copy is complete, then remove
+ * the directories of a moved folder that have become empty. The removal is
+ * recorded in the transfer history as a delete of the source.
+ *
+ * @param {Object} job - Queue job with deleteSource set
+ */
+async function removeMovedSource(job) {
+  const startedAt = Date.now();
+  const entry = job.type === 'pull'
+    ? { action: 'delete', deviceId: job.deviceId, source: job.remotePath, bytes: job.size }
+    : { action: 'delete', source: job.localPath, bytes: job.size };
+  try {
+    await removeMovedSourceItems(job);
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    throw err;
+  }
+  recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'success' });
+  console.log(`Moved: removed source ${entry.source}`);
+}
+
+/**
+ * Delete the source items of a moved file or folder
+ *
+ * @param {Object} job - Queue job with deleteSource set
+ */
+async function removeMovedSourceItems(job) {
+  if (job.bulk) {
+    // A bulk job moves a whole folder
+    if (job.type === 'pull') {
+      await runShellChecked(job.deviceId, `rm -rf ${quoteShellArg(job.remotePath)}`);
+    } else {
+      fs.rmSync(job.localPath, { recursive: true, force: true });
+    }
+  } else if (job.type === 'pull') {
+    await runShellChecked(job.deviceId, `rm -f ${quoteShellArg(job.remotePath)}`);
+
+    if (job.sourceRoot) {
+      // rmdir only removes empty directories, so folders with files left are kept
+      const dirs = [];
+      for (let dir = path.posix.dirname(job.remotePath); dir.startsWith(job.sourceRoot); dir = path.posix.dirname(dir)) {
+        dirs.push(`rmdir ${quoteShellArg(dir)} 2>/dev/null`);
+        if (dir === job.sourceRoot) break;
+      }
+      if (dirs.length > 0) {
+        await runShell(job.deviceId, dirs.join('; '));
+      }
+    }
+  } else {
+    fs.unlinkSync(job.localPath);
+
+    if (job.sourceRoot) {
+      for (let dir = path.dirname(job.localPath); dir.startsWith(job.sourceRoot); dir = path.dirname(dir)) {
+        if (fs.readdirSync(dir).length > 0) break;
+        fs.rmdirSync(dir);
+        if (dir === job.sourceRoot) break;
+      }
+    }
+  }
+}
+
+/**
+ * Run the transfer of a queue job
+ *
+ * @param {Object} job - Queue job
+ * @param {Object} control - Queue control object used to cancel the transfer
+ * @returns {Promise<Object|void>} - Resolves with details to store on the job when the transfer has finished
+ */
+async function runQueueJob(job, control) {
+  if (!client) {
+    throw new Error('ADB client not initialized');
+  }
+
+  const params = {
+    deviceId: job.deviceId,
+    localPath: job.localPath,
+    remotePath: job.remotePath,
+    jobId: job.id
+  };
+
+  let inPlace;
+  if (job.bulk) {
+    inPlace = await (job.type === 'pull' ? pullFolderAsTar : pushFolderAsTar)(notifyRenderer, job, control);
+  } else if (job.type === 'pull') {
+    inPlace = await pullFile(notifyRenderer, params, control);
+  } else {
+    inPlace = await pushFile(notifyRenderer, params, control);
+  }
+
+  if (!inPlace) return;
+  // The copy is in place, so a pause or cancel that arrives from now on is too late: the job completes
+  control.completing = true;
+  control.stopReason = null;
+
+  // Bulk folder transfers are checked by tar itself; checksums are compared per file
+  const result = getSetting('verifyTransfers') && !job.bulk ? await verifyQueueJob(job) : undefined;
+
+  if (job.deleteSource) {
+    try {
+      await removeMovedSource(job);
+    } catch (err) {
+      throw new Error(`Copied, but the source could not be removed: ${err.message}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run a transfer queue job and record its outcome in the transfer history.
+ * A paused job is not recorded until it finishes.
+ *
+ * @param {Object} job - Queue job
+ * @param {Object} control - Queue control object used to cancel the transfer
+ * @returns {Promise<Object|void>} - Resolves with details to store on the job when the transfer has finished
+ */
+async function executeQueueJob(job, control) {
+  const startedAt = Date.now();
+  const record = (result, error, checksumDetails) => {
+    if (control.stopReason === 'paused') return;
+    recordHistory({
+      action: job.type,
+      deviceId: job.deviceId,
+      source: job.type === 'pull' ? job.remotePath : job.localPath,
+      destination: job.type === 'pull' ? job.localPath : job.remotePath,
+      bytes: job.size,
+      durationMs: Date.now() - startedAt,
+      result: control.stopReason === 'cancelled' ? 'cancelled' : result,
+      error,
+      checksum: checksumDetails ? `${checksumDetails.algorithm}:${checksumDetails.hash}` : ''
+    });
+  };
+
+  try {
+    const result = await runQueueJob(job, control);
+    record('success', '', result && result.checksum);
+    return result;
+  } catch (err) {
+    record('failed', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Remove the partial file left behind by a cancelled queue job
+ *
+ * @param {Object} job - Queue job that was cancelled after it started
+ */
+async function discardQueueJob(job) {
+  if (job.bulk) {
+    if (job.type === 'pull') {
+      fs.rmSync(getPartialPath(job.localPath, false), { recursive: true, force: true });
+      partialFiles.untrackPartial(getPartialPath(job.localPath, false), null);
+    } else if (client) {
+      const stagingPath = getPartialPath(job.remotePath, true);
+      await runShell(job.deviceId, `rm -rf ${quoteShellArg(stagingPath)} ${quoteShellArg(`${stagingPath}.tar`)}`);
+      partialFiles.untrackPartial(stagingPath, job.deviceId);
+    }
+    console.log(`Removed staging files of bulk transfer ${job.id}`);
+  } else if (job.type === 'pull') {
+    const partialPath = getPartialPath(job.localPath, false);
+    if (fs.existsSync(partialPath)) {
+      fs.unlinkSync(partialPath);
+      console.log(`Removed partial file: ${partialPath}`);
+    }
+    partialFiles.untrackPartial(partialPath, null);
+  } else if (client) {
+    const partialPath = getPartialPath(job.remotePath, true);
+    await runShell(job.deviceId, `rm -f ${quoteShellArg(partialPath)} ${quoteShellArg(`${partialPath}.chunk`)}`);
+    partialFiles.untrackPartial(partialPath, job.deviceId);
+    console.log(`Removed partial file on device: ${partialPath}`);
+  }
+}
+
+// Time this session started; partial files tracked since then may belong to a running transfer
+const SESSION_STARTED_AT = Date.now();
+
+// Devices whose stale partial files have been removed in this session
+const cleanedPartialDevices = new Set();
+
+/**
+ * Check whether a partial file can still be resumed: it belongs to a queue
+ * job that has not completed or been cancelled (interrupted, paused and
+ * failed jobs continue from it when they are resumed or retried)
+ *
+ * @param {Object} entry - Partial file entry
+ * @returns {boolean} - True if the file should be kept
+ */
+function isPartialResumable(entry) {
+  if (entry.trackedAt >= SESSION_STARTED_AT) return true;
+  return transferQueue.getJobs().some(job => job.id === entry.jobId && !['completed', 'cancelled'].includes(job.status));
+}
+
+/**
+ * Remove the partial files left behind by transfers of earlier sessions
+ * that nothing can resume any more: crashed one-off transfers and jobs that
+ * were cleared from the queue. Device files are removed the first time the
+ * device is seen in this session.
+ *
+ * @param {string|null} deviceId - Device to clean up, null for the computer
+ */
+async function removeStalePartials(deviceId) {
+  if (deviceId) {
+    if (cleanedPartialDevices.has(deviceId)) return;
+    cleanedPartialDevices.add(deviceId);
+  }
+
+  for (const entry of partialFiles.getStalePartials(isPartialResumable, deviceId)) {
+    try {
+      if (deviceId) {
+        const paths = [entry.path, `${entry.path}.chunk`, `${entry.path}.tar`];
+        await runShell(deviceId, `rm -rf ${paths.map(quoteShellArg).join(' ')}`);
+      } else {
+        fs.rmSync(entry.path, { recursive: true, force: true });
+      }
+      partialFiles.untrackPartial(entry.path, deviceId);
+      console.log(`Removed stale partial file: ${entry.path}`);
+    } catch (err) {
+      console.error(`Could not remove stale partial file ${entry.path}:`, err);
+    }
+  }
+}
+
+/**
+ * Get the bytes a job will write at its destination. A bulk push needs room
+ * for the archive and for the extracted folder at the same time.
+ *
+ * @param {Object} job - Queue job or job spec
+ * @returns {number} - Bytes needed
+ */
+function getJobSpaceNeeded(job) {
+  const size = job.size || 0;
+  return job.bulk && job.type === 'push' ? size * 2 : size;
+}
+
+/**
+ * Compare the bytes a batch will write on each side with the free space
+ * there. Jobs already waiting in the queue for the same side are counted
+ * too, since they need the same space.
+ *
+ * @param {Array<Object>} jobs - Job specs of the new batch
+ * @returns {Promise<Array<Object>>} - Destinations without enough space ({ side, deviceId, destination, required, available, shortfall })
+ */
+async function checkBatchFreeSpace(jobs) {
+  // Group the destinations: the computer, or one group per device
+  const groups = new Map();
+  jobs.forEach(job => {
+    const key = job.type === 'pull' ? 'local' : `device:${job.deviceId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { side: job.type === 'pull' ? 'local' : 'device', deviceId: job.deviceId, paths: [], required: 0 });
+    }
+    const group = groups.get(key);
+    group.paths.push(job.type === 'pull' ? job.localPath : job.remotePath);
+    group.required += getJobSpaceNeeded(job);
+  });
+
+  transferQueue.getJobs()
+    .filter(job => ['queued', 'running', 'paused'].includes(job.status))
+    .forEach(job => {
+      const group = groups.get(job.type === 'pull' ? 'local' : `device:${job.deviceId}`);
+      if (group) group.required += getJobSpaceNeeded(job);
+    });
+
+  const shortfalls = [];
+  for (const group of groups.values()) {
+    const isLocal = group.side === 'local';
+    const destination = freeSpace.getCommonDirectory(group.paths, isLocal ? path : path.posix);
+
+    try {
+      const available = isLocal
+        ? await freeSpace.getLocalFreeSpace(destination)
+        : await freeSpace.getDeviceFreeSpace(cmd => runShell(group.deviceId, cmd), destination);
+
+      console.log(`Free space at ${destination}: ${available === null ? 'unknown' : formatBytes(available)}, needed: ${formatBytes(group.required)}`);
+      if (available !== null && group.required > available) {
+        shortfalls.push({
+          side: group.side,
+          deviceId: group.deviceId,
+          destination,
+          required: group.required,
+          available,
+          shortfall: group.required - available
+        });
+      }
+    } catch (err) {
+      // Unknown free space never blocks a transfer
+      console.error(`Could not get free space of ${destination}:`, err);
+    }
+  }
+
+  return shortfalls;
+}
+
+// Pending waits for a disconnected device, so all jobs waiting for it share one tracker
+const deviceWaits = new Map();
+
+/**
+ * Wait until a device is connected and online, using adb device tracking
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<void>} - Resolves once the device is online
+ * @throws {Error} - If the device does not come back in time
+ */
+function waitForDevice(deviceId, timeoutMs) {
+  if (deviceWaits.has(deviceId)) {
+    return deviceWaits.get(deviceId);
+  }
+
+  const wait = (async () => {
+    if (!client) {
+      throw new Error('ADB client not initialized');
+    }
+
+    const devices = await client.listDevices();
+    if (devices.some(device => device.id === deviceId && device.type === 'device')) return;
+
+    console.log(`Waiting for device ${deviceId} to come back...`);
+    const tracker = await client.trackDevices();
+    await new Promise((resolve, reject) => {
+      let finished = false;
+      const finish = (err) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        tracker.end();
+        if (err) {
+          reject(err);
+        } else {
+          console.log(`Device ${deviceId} is back online`);
+          resolve();
+        }
+      };
+      const onDevice = (device) => {
+        if (device.id === deviceId && device.type === 'device') finish();
+      };
+      const timer = setTimeout(() => finish(new Error(`Device ${deviceId} did not come back`)), timeoutMs);
+
+      tracker.on('add', onDevice);
+      tracker.on('change', onDevice);
+      tracker.on('error', finish);
+    });
+  })().finally(() => deviceWaits.delete(deviceId));
+
+  deviceWaits.set(deviceId, wait);
+  return wait;
+}
+
+/**
+ * Restore the persisted transfer queue and register its IPC handlers
+ */
+function setupTransferQueue() {
+  rateLimiter.setRateLimit(getSetting('transferRateLimit'));
+  rateLimiter.setLowPriority(getSetting('lowPriorityTransfers'));
+
+  transferQueue.initQueue({
+    store,
+    executeJob: executeQueueJob,
+    discardJob: discardQueueJob,
+    isTransientError,
+    waitForDevice,
+    notify: notifyRenderer,
+    concurrency: getSetting('maxParallelTransfers')
+  });
+
+  // Partial files of restored jobs are kept for resuming; the rest are removed
+  partialFiles.initPartialFiles({ store });
+  removeStalePartials(null);
+
+  ipcMain.handle('queue-add', async (event, { jobs, label }) => {
+    return transferQueue.addJobs(jobs, label);
+  });
+
+  ipcMain.handle('queue-check-space', async (event, { jobs }) => {
+    return { shortfalls: await checkBatchFreeSpace(jobs) };
+  });
+
+  ipcMain.handle('queue-list', async () => {
+    return transferQueue.getJobs();
+  });
+
+  ipcMain.handle('queue-pause', async (event, { jobId }) => {
+    return transferQueue.pauseJob(jobId);
+  });
+
+  ipcMain.handle('queue-resume', async (event, { jobId }) => {
+    return transferQueue.resumeJob(jobId);
+  });
+
+  ipcMain.handle('queue-retry-failed', async () => {
+    return transferQueue.retryFailed();
+  });
+
+  ipcMain.handle('queue-cancel', async (event, { jobId }) => {
+    return transferQueue.cancelJob(jobId);
+  });
+
+  ipcMain.handle('queue-pause-all', async () => {
+    transferQueue.pauseAll();
+    return true;
+  });
+
+  ipcMain.handle('queue-resume-interrupted', async () => {
+    return transferQueue.resumeInterrupted();
+  });
+
+  ipcMain.handle('queue-resume-all', async () => {
+    transferQueue.resumeAll();
+    return true;
+  });
+
+  ipcMain.handle('queue-cancel-all', async () => {
+    transferQueue.cancelAll();
+    return true;
+  });
+
+  ipcMain.handle('queue-clear-finished', async () => {
+    transferQueue.clearFinished();
+    return true;
+  });
+}
+
+/**
+ * Set up the transfer history and register its IPC handlers
+ */
+function setupTransferHistory() {
+  transferHistory.initHistory({
+    filePath: path.join(app.getPath('userData'), 'transfer-history.jsonl'),
+    onRecord: (entry) => {
+      if (historyWindow && !historyWindow.isDestroyed()) {
+        historyWindow.webContents.send('history-updated', entry);
+      }
+    }
+  });
+
+  ipcMain.handle('history-list', async (event, { filters, limit }) => {
+    const entries = transferHistory.queryHistory(filters);
+    return {
+      entries: limit ? entries.slice(0, limit) : entries,
+      total: entries.length,
+      devices: transferHistory.getHistoryDevices()
+    };
+  });
+
+  ipcMain.handle('history-export', async (event, { filters, format }) => {
+    try {
+      const entries = transferHistory.queryHistory(filters);
+      const { canceled, filePath } = await dialog.showSaveDialog(historyWindow || mainWindow, {
+        title: 'Export Transfer History',
+        defaultPath: `transfer-history-${new Date().toISOString().slice(0, 10)}.${format}`,
+        filters: [format === 'json' ? { name: 'JSON', extensions: ['json'] } : { name: 'CSV', extensions: ['csv'] }]
+      });
+      if (canceled || !filePath) {
+        return { success: false, cancelled: true };
+      }
+
+      fs.writeFileSync(filePath, transferHistory.formatHistory(entries, format));
+      console.log(`Exported ${entries.length} history entries to ${filePath}`);
+      return { success: true, filePath, count: entries.length };
+    } catch (err) {
+      console.error('Error exporting transfer history:', err);
+      return { success: false, error: err.message };
+    }
+  });
+}
+
+/**
+ * IPC Handler: Create a new directory on Android device
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.path - Directory path to create
+ * @returns {Object} Success status and any error message
+ */
+ipcMain.handle('create-directory', async (event, { deviceId, path }) => {
+  try {
+    await client.shell(deviceId, `mkdir -p "${path}"`);
+    return { success: true };
+  } catch (err) {
+    console.error(`Failed to create directory ${path}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * Parse the owners and groups out of `ls -la` output. Handles toybox (link
+ * count, ISO dates) as well as the older toolbox format (no link count).
+ *
+ * @param {string} output - Output of ls -la
+ * @returns {Object} - { [name]: { owner, group } }
+ */
+function parseLsOwners(output) {
+  const owners = {};
+  const linePattern = /^([-dlbcps])[-rwxsStT]{9}\S*\s+(?:\d+\s+)?(\S+)\s+(\S+)\s+.*?\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s+[+-]\d{4})?\s(.+)$/;
+
+  output.split(/\r?\n/).forEach(line => {
+    const match = line.match(linePattern);
+    if (!match) return;
+
+    // Symbolic links are listed as "name -> target"
+    const name = match[1] === 'l' ? match[4].replace(/ -> .*$/, '') : match[4];
+    if (name === '.' || name === '..') return;
+    owners[name] = { owner: match[2], group: match[3] };
+  });
+  return owners;
+}
+
+/**
+ * IPC Handler: Get the owner and group of the items in a directory on the
+ * device. readdir uses the sync protocol, which does not report them.
+ *
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.path - Directory to list
+ * @returns {Object} - { [name]: { owner, group } }, empty if ls fails
+ */
+ipcMain.handle('list-owners', async (event, { deviceId, path: dirPath }) => {
+  try {
+    const output = await rateLimiter.runInteractive(() => runShell(deviceId, `ls -la ${quoteShellArg(dirPath)} 2>/dev/null`));
+    return parseLsOwners(output);
+  } catch (err) {
+    console.error(`Failed to list owners in ${dirPath}:`, err);
+    return {};
+  }
+});
+
+// Device searches that are running, by search ID, so they can be stopped ({ stream, cancelled })
+const deviceSearches = new Map();
+
+// How often found items are sent to the renderer while a device search runs, in milliseconds
+const SEARCH_BATCH_MS = 200;
+
+/**
+ * Parse one line of the search command's output ("<mode hex> <size> <mtime> <path>")
+ *
+ * @param {string} line - Output line
+ * @param {string} root - Searched directory, without a trailing slash
+ * @returns {Object|null} - { name (path relative to root), isDir, size, mtime (ms), mode }, or null for other lines
+ */
+function parseSearchLine(line, root) {
+  const match = line.match(/^([0-9a-f]+) (\d+) (\d+) (.+)$/);
+  if (!match) return null;
+
+  const prefix = root === '/' ? '/' : `${root}/`;
+  if (!match[4].startsWith(prefix)) return null;
+
+  const mode = parseInt(match[1], 16);
+  const isDir = (mode & 0xF000) === 0x4000;
+  return {
+    name: match[4].slice(prefix.length),
+    isDir,
+    size: isDir ? 0 : parseInt(match[2], 10),
+    mtime: parseInt(match[3], 10) * 1000,
+    mode
+  };
+}
+
+/**
+ * IPC Handler: Search a directory on the device recursively with find. Found
+ * items are sent as they come in, in 'search-results' events
+ * ({ searchId, items }); the handler resolves once find has finished or the
+ * search has been stopped.
+ *
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.searchId - ID of the search, used in the events and to stop it
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.root - Directory to search
+ * @param {string} [params.namePattern] - Glob the names must match (case-insensitive); all items if empty
+ * @returns {Object} - { success, found, error }
+ */
+ipcMain.handle('search-android', async (event, { searchId, deviceId, root, namePattern }) => {
+  const base = root.replace(/\/+$/, '') || '/';
+  const nameTest = namePattern ? ` -iname ${quoteShellArg(namePattern)}` : '';
+  // -H follows the searched folder itself if it is a link, like /sdcard
+  const command = `find -H ${quoteShellArg(base)} -mindepth 1${nameTest} -exec stat -c '%f %s %Y %n' {} + 2>/dev/null`;
+  console.log(`Searching ${base} on ${deviceId}: ${command}`);
+
+  let found = 0;
+  let pending = [];
+  const flush = () => {
+    if (pending.length === 0 || event.sender.isDestroyed()) return;
+    event.sender.send('search-results', { searchId, items: pending });
+    pending = [];
+  };
+  const timer = setInterval(flush, SEARCH_BATCH_MS);
+  const search = { stream: null, cancelled: false };
+  deviceSearches.set(searchId, search);
+
+  try {
+    await rateLimiter.runInteractive(async () => {
+      const stream = await client.shell(deviceId, command);
+      search.stream = stream;
+      // Stopped while the command was being started
+      if (search.cancelled) stream.end();
+      stream.setEncoding('utf8');
+
+      let buffered = '';
+      const addLines = (lines) => {
+        lines.forEach(line => {
+          const item = parseSearchLine(line, base);
+          if (item) {
+            pending.push(item);
+            found++;
+          }
+        });
+      };
+
+      await new Promise((resolve, reject) => {
+        stream.on('data', (chunk) => {
+          const lines = (buffered + chunk).split(/\r?\n/);
+          buffered = lines.pop();
+          addLines(lines);
+        });
+        stream.on('end', resolve);
+        stream.on('close', resolve);
+        stream.on('error', reject);
+      });
+      addLines([buffered]);
+    });
+    flush();
+    return { success: true, found };
+  } catch (err) {
+    console.error(`Failed to search ${base}:`, err);
+    flush();
+    return { success: false, found, error: err.message };
+  } finally {
+    clearInterval(timer);
+    deviceSearches.delete(searchId);
+  }
+});
+
+/**
+ * IPC Handler: Stop a running device search; what it found so far stays
+ *
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.searchId - ID of the search
+ * @returns {Object} - { success }
+ */
+ipcMain.handle('search-android-cancel', async (event, { searchId }) => {
+  const search = deviceSearches.get(searchId);
+  if (search) {
+    search.cancelled = true;
+    // Closing the connection ends find on the device
+    if (search.stream) search.stream.end();
+  }
+  return { success: true };
+});
+
+/**
+ * IPC Handler: Get size and modification time of a file or directory on Android device
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.path - Path to stat
+ * @returns {Object} { exists: false } or { exists: true, size, mtime (ms), isDirectory }
+ */
+ipcMain.handle('stat-android-item', async (event, { deviceId, path }) => {
+  try {
+    const stats = await client.stat(deviceId, path);
+    return {
+      exists: true,
+      size: stats.size,
+      mtime: stats.mtime ? stats.mtime.getTime() : 0,
+      isDirectory: (stats.mode & 0x4000) === 0x4000
+    };
+  } catch (err) {
+    // adbkit rejects when the path does not exist
+    return { exists: false };
+  }
+});
+
+/**
+ * IPC Handler: Check whether a folder can be transferred as one tar stream
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @returns {Object} { supported } - True if bulk transfers are on and the device has tar
+ */
+ipcMain.handle('check-bulk-transfer', async (event, { deviceId }) => {
+  if (!getSetting('bulkFolderTransfers')) return { supported: false };
+
+  try {
+    return { supported: Boolean(await getDeviceTar(deviceId)) };
+  } catch (err) {
+    console.error('Error checking for tar on the device:', err);
+    return { supported: false };
+  }
+});
+
+/**
+ * Get the electron-store key of a sync folder pair. The pair key contains
+ * paths, which may include dots that electron-store would treat as nesting.
+ *
+ * @param {string} pairKey - Identifies the device and both folders
+ * @returns {string} - Store key
+ */
+function getSyncStateKey(pairKey) {
+  return `pairs.${crypto.createHash('sha1').update(pairKey).digest('hex')}`;
+}
+
+/**
+ * IPC Handler: Get the last-synced state of a two-way sync folder pair
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.pairKey - Identifies the device and both folders
+ * @returns {Object|null} Saved state, or null if the pair has never been synced
+ */
+ipcMain.handle('get-sync-state', async (event, { pairKey }) => {
+  return syncStateStore.get(getSyncStateKey(pairKey), null);
+});
+
+/**
+ * IPC Handler: Save the last-synced state of a two-way sync folder pair
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.pairKey - Identifies the device and both folders
+ * @param {Object} params.state - State to save
+ * @returns {Object} Success status and any error message
+ */
+ipcMain.handle('save-sync-state', async (event, { pairKey, state }) => {
+  try {
+    syncStateStore.set(getSyncStateKey(pairKey), state);
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to save sync state:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Delete a file or directory on Android device
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.path - Path to delete
+ * @param {boolean} params.isDirectory - Whether the path is a directory
+ * @returns {Object} Success status and any error message
+ */
+ipcMain.handle('delete-item', async (event, { deviceId, path, isDirectory }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'delete', deviceId, source: path };
+  try {
+    const cmd = isDirectory ? `rm -rf ${quoteShellArg(path)}` : `rm ${quoteShellArg(path)}`;
+    await runShellChecked(deviceId, cmd);
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to delete ${path}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Rename Android file/folder
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.oldPath - Current path of the item
+ * @param {string} params.newPath - New path for the item
+ * @returns {Object} Result with success flag and optional error
+ */
+ipcMain.handle('rename-android-item', async (event, { deviceId, oldPath, newPath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'rename', deviceId, source: oldPath, destination: newPath };
+  try {
+    console.log(`Renaming Android item from ${oldPath} to ${newPath}`);
+    
+    // Use ADB shell to rename the item using 'mv' command
+    const cmd = `mv ${quoteShellArg(oldPath)} ${quoteShellArg(newPath)}`;
+    await runShellChecked(deviceId, cmd);
+    
+    console.log(`Successfully renamed ${oldPath} to ${newPath}`);
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to rename ${oldPath}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Delete a local file or directory
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.path - Path to delete
+ * @param {boolean} params.isDirectory - Whether the path is a directory
+ * @returns {Object} Success status and any error message
+ */
+ipcMain.handle('delete-local-item', async (event, { path: itemPath, isDirectory }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'delete', source: itemPath };
+  try {
+    await deleteLocalItem(itemPath, isDirectory);
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to delete ${itemPath}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Rename a local file or directory
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.oldPath - Current path of the item
+ * @param {string} params.newPath - New path for the item
+ * @returns {Object} Result with success flag and optional error
+ */
+ipcMain.handle('rename-local-item', async (event, { oldPath, newPath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'rename', source: oldPath, destination: newPath };
+  try {
+    await fs.promises.rename(oldPath, newPath);
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to rename ${oldPath}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * Get the disk usage of a file or directory on the device, used to estimate
+ * the progress of on-device copies
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} itemPath - Path on the device
+ * @returns {Promise<number>} - Size in bytes, 0 if it cannot be determined
+ */
+async function getAndroidItemSize(deviceId, itemPath) {
+  const output = await runShell(deviceId, `du -sk ${quoteShellArg(itemPath)} 2>/dev/null`);
+  const kilobytes = parseInt(output, 10);
+  return Number.isNaN(kilobytes) ? 0 : kilobytes * 1024;
+}
+
+/**
+ * Copy or move a file or directory to another path on the same device with
+ * cp -r / mv, so the data never goes through the computer. The item is
+ * written to a hidden sibling of the destination first and only swapped in
+ * once the command has succeeded, so a failed copy leaves an existing
+ * destination as it was. adb does not report progress for shell commands,
+ * so it is estimated by polling the size of the copy against the size of
+ * the source.
+ *
+ * @param {Function} send - Sends an event to the renderer (channel, payload)
+ * @param {Object} params - Operation parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.sourcePath - Item to copy or move
+ * @param {string} params.destPath - Full destination path (replaced once the copy is complete if it exists)
+ * @param {boolean} params.move - Move instead of copy
+ * @returns {Promise<number>} - Resolves with the size of the item in bytes when the command has finished
+ */
+async function runAndroidCopy(send, { deviceId, sourcePath, destPath, move }) {
+  const source = sourcePath.replace(/\/+$/, '');
+  const dest = destPath.replace(/\/+$/, '');
+
+  if (source === dest) {
+    throw new Error('Source and destination are the same');
+  }
+  if (dest.startsWith(`${source}/`)) {
+    throw new Error(`Cannot ${move ? 'move' : 'copy'} a folder into itself`);
+  }
+  if (source.startsWith(`${dest}/`)) {
+    throw new Error(`Cannot replace ${dest} with an item it contains`);
+  }
+
+  const total = await getAndroidItemSize(deviceId, source);
+  const file = path.posix.basename(source);
+  const stagingPath = getPartialPath(dest, true);
+  let finished = false;
+
+  const report = (transferred, completed) => {
+    send('transfer-progress', {
+      type: move ? 'device-move' : 'device-copy',
+      file,
+      transferred,
+      total,
+      percent: total > 0 ? Math.min(100, Math.round((transferred / total) * 100)) : 0,
+      completed
+    });
+  };
+
+  report(0);
+
+  // A move within one storage volume is a rename and finishes before the first poll
+  let polling = false;
+  const pollInterval = setInterval(async () => {
+    if (polling || finished) return;
+    polling = true;
+    try {
+      const copied = await getAndroidItemSize(deviceId, stagingPath);
+      if (!finished) report(Math.min(copied, total));
+    } catch (err) {
+      console.error('Error estimating on-device copy progress:', err);
+    } finally {
+      polling = false;
+    }
+  }, 1000);
+
+  try {
+    const command = `${move ? 'mv -f' : 'cp -r'} ${quoteShellArg(source)} ${quoteShellArg(stagingPath)}`;
+    console.log(`Running on-device ${move ? 'move' : 'copy'}: ${command}`);
+    // A staging folder left by an earlier attempt would otherwise receive the item inside it
+    await runShellChecked(deviceId, `rm -rf ${quoteShellArg(stagingPath)} && ${command}`);
+  } catch (err) {
+    if (move) {
+      // A move between storage volumes copies and then deletes, so the staged copy may be all that is left
+      throw new Error(`${err.message} (anything already moved is in ${stagingPath})`);
+    }
+    await runShell(deviceId, `rm -rf ${quoteShellArg(stagingPath)}`).catch(() => {});
+    throw err;
+  } finally {
+    finished = true;
+    clearInterval(pollInterval);
+  }
+
+  // The existing destination is set aside until the new item has taken its place, and put back if that fails
+  const [quotedDest, quotedStaging, quotedPrevious] = [dest, stagingPath, `${stagingPath}.old`].map(quoteShellArg);
+  await runShellChecked(deviceId, `if [ -e ${quotedDest} ]; then ` +
+    `mv ${quotedDest} ${quotedPrevious} && { mv ${quotedStaging} ${quotedDest} || { mv ${quotedPrevious} ${quotedDest}; false; }; } && rm -rf ${quotedPrevious}; ` +
+    `else mv ${quotedStaging} ${quotedDest}; fi`);
+
+  report(total, true);
+  return total;
+}
+
+/**
+ * IPC Handler: Copy a file or folder to another location on the Android device
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.sourcePath - Item to copy
+ * @param {string} params.destPath - Full destination path
+ * @returns {Object} Result with success flag and optional error
+ */
+ipcMain.handle('copy-android-item', async (event, { deviceId, sourcePath, destPath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'copy', deviceId, source: sourcePath, destination: destPath };
+  try {
+    const bytes = await runAndroidCopy((channel, payload) => event.sender.send(channel, payload),
+      { deviceId, sourcePath, destPath, move: false });
+    console.log(`Successfully copied ${sourcePath} to ${destPath}`);
+    recordHistory({ ...entry, bytes, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to copy ${sourcePath}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Move a file or folder to another directory on the Android device
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {string} params.deviceId - Android device ID
+ * @param {string} params.sourcePath - Item to move
+ * @param {string} params.destPath - Full destination path
+ * @returns {Object} Result with success flag and optional error
+ */
+ipcMain.handle('move-android-item', async (event, { deviceId, sourcePath, destPath }) => {
+  const startedAt = Date.now();
+  const entry = { action: 'move', deviceId, source: sourcePath, destination: destPath };
+  try {
+    const bytes = await runAndroidCopy((channel, payload) => event.sender.send(channel, payload),
+      { deviceId, sourcePath, destPath, move: true });
+    console.log(`Successfully moved ${sourcePath} to ${destPath}`);
+    recordHistory({ ...entry, bytes, durationMs: Date.now() - startedAt, result: 'success' });
+    return { success: true };
+  } catch (err) {
+    recordHistory({ ...entry, durationMs: Date.now() - startedAt, result: 'failed', error: err.message });
+    console.error(`Failed to move ${sourcePath}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+/**
+ * IPC Handler: Open native file/folder selection dialog
+ * 
+ * @param {Object} event - IPC event object
+ * @param {Object} params - Parameters
+ * @param {boolean} params.isDirectory - Whether to select directory or files
+ * @returns {Array} Array of selected file paths
+ */
+ipcMain.handle('open-file-dialog', async (event, { isDirectory }) => {
+  const properties = isDirectory 
+    ? ['openDirectory'] 
+    : ['openFile', 'multiSelections'];
+  
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties
+  });
+  
+  return result.filePaths;
+});
+
+// Add IPC handler for renderer to request ADB search
+ipcMain.handle('search-for-adb', async () => {
+  return await checkAndPromptForAdb();
+});
+
+/**
+ * Clear the saved ADB path from storage
+ */
+function clearSavedAdbPath() {
+  console.log('Clearing saved ADB path');
+  
+  // Clear from electron-store
   store.delete('adbPath');
   
   // Clear from file
@@ -1281,6 +2804,39 @@ function setupIpcHandlers() {
     };
   });
   
+  // Show a native context menu built by the renderer; the chosen entry is sent back by ID
+  ipcMain.on('show-context-menu', (event, { items }) => {
+    const template = items.map(item => item.type === 'separator'
+      ? { type: 'separator' }
+      : {
+          label: item.label,
+          enabled: item.enabled !== false,
+          click: () => event.sender.send('context-menu-command', { id: item.id })
+        });
+
+    Menu.buildFromTemplate(template).popup({ window: BrowserWindow.fromWebContents(event.sender) });
+  });
+  
+  // Handle reading and changing user settings
+  ipcMain.handle('get-setting', (event, { key }) => {
+    return getSetting(key);
+  });
+
+  ipcMain.handle('set-setting', (event, { key, value }) => {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return { success: false, error: `Unknown setting: ${key}` };
+    }
+    store.set(`settings.${key}`, value);
+    if (key === 'maxParallelTransfers') {
+      transferQueue.setConcurrency(value);
+    } else if (key === 'transferRateLimit') {
+      rateLimiter.setRateLimit(value);
+    } else if (key === 'lowPriorityTransfers') {
+      rateLimiter.setLowPriority(value);
+    }
+    return { success: true };
+  });
+  
   // Handle window resize requests
   ipcMain.on('resize-window', (event, { debugPanelVisible }) => {
     if (!mainWindow) return;
@@ -1361,6 +2917,29 @@ function createApplicationMenu() {
         { role: 'togglefullscreen' }
       ]
     },
+    {
+      label: 'Transfers',
+      submenu: [
+        {
+          label: 'Keep Modification Times',
+          type: 'checkbox',
+          checked: getSetting('preserveTimestamps'),
+          click: (menuItem) => store.set('settings.preserveTimestamps', menuItem.checked)
+        },
+        {
+          label: 'Keep Executable Permission',
+          type: 'checkbox',
+          checked: getSetting('preserveExecutable'),
+          click: (menuItem) => store.set('settings.preserveExecutable', menuItem.checked)
+        },
+        { type: 'separator' },
+        {
+          label: 'Transfer History…',
+          accelerator: 'CmdOrCtrl+Shift+H',
+          click: () => createHistoryWindow()
+        }
+      ]
+    },
     {
       label: 'Help',
       submenu: [
@@ -1511,4 +3090,33 @@ function createViewerWindow(fileData) {
   viewerWindow.on('closed', () => {
     viewerWindow = null;
   });
-} 
\ No newline at end of file
+} 
+
+/**
+ * Open the transfer history window, or bring it to the front if it is already open
+ */
+function createHistoryWindow() {
+  if (historyWindow !== null && !historyWindow.isDestroyed()) {
+    historyWindow.focus();
+    return;
+  }
+
+  historyWindow = new BrowserWindow({
+    width: 1000,
+    height: 600,
+    minWidth: 600,
+    minHeight: 300,
+    title: 'Transfer History',
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+    },
+    backgroundColor: '#1e1e1e'
+  });
+
+  historyWindow.loadFile('history.html');
+
+  historyWindow.on('closed', () => {
+    historyWindow = null;
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * adbErrors.js
+ * Tells transient adb failures (the connection dropped, the device went
+ * offline or is reconnecting) apart from permanent ones (a missing file, no
+ * permission, a full disk) so only the transient ones are retried. Used by
+ * the main process.
+ */
+
+// Failures that retrying cannot fix; checked first because sync FAIL messages carry them too
+const PERMANENT_PATTERNS = [
+  /no such file or directory/i,
+  /permission denied/i,
+  /operation not permitted/i,
+  /read-only file system/i,
+  /no space left/i,
+  /is a directory/i,
+  /not a directory/i,
+  /file name too long/i,
+  /invalid argument/i,
+  /checksum mismatch/i,
+  /incomplete (transfer|folder)/i,   // Size or file count mismatch; transferring again gives the same result
+  /unauthorized/i,
+  /ENOENT|EACCES|EPERM|ENOSPC|EISDIR|ENOTDIR/
+];
+
+// Failures caused by the connection to the device
+const TRANSIENT_PATTERNS = [
+  /connection (was )?closed/i,
+  /premature end of stream/i,
+  /device offline/i,
+  /device .*not found/i,
+  /no devices/i,
+  /device still connecting/i,
+  /connection reset/i,
+  /socket hang up/i,
+  /premature close/i,
+  /protocol fault/i,
+  /ECONNRESET|ECONNREFUSED|ECONNABORTED|EPIPE|ETIMEDOUT/
+];
+
+/**
+ * Checks whether an adb error is worth retrying once the device is back
+ *
+ * @param {Error|string} err - Error thrown by adbkit or the transfer functions
+ * @returns {boolean} - True for connection problems, false for everything else
+ */
+function isTransientError(err) {
+  const message = [err && err.name, err && err.code, err && err.message, typeof err === 'string' ? err : '']
+    .filter(Boolean)
+    .join(' ');
+
+  if (PERMANENT_PATTERNS.some(pattern => pattern.test(message))) return false;
+  return TRANSIENT_PATTERNS.some(pattern => pattern.test(message));
+}
+
+// Export functions
+module.exports = {
+  isTransientError
+};
@@ -0,0 +1,97 @@
+/**
+ * checksum.js
+ * Post-transfer verification: hashes the local copy with Node's crypto module
+ * and the device copy with the *sum tools of toybox/busybox, then compares them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { quoteShellArg } = require('./shellQuote');
+
+// Supported algorithms and the length of their hex digest
+const ALGORITHMS = {
+  md5: 32,
+  sha1: 40,
+  sha256: 64
+};
+
+/**
+ * Computes the hash of a local file
+ *
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - 'md5', 'sha1' or 'sha256'
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+function hashLocalFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Computes the hash of a file on the device. The preferred algorithm is tried
+ * first, then the others; each one is tried as a plain command and through
+ * toybox and busybox, since not every device ships every *sum applet.
+ *
+ * @param {Function} runShell - Runs a shell command on the device: (command) => Promise<string>
+ * @param {string} remotePath - File to hash on the device
+ * @param {string} preferred - Algorithm to try first
+ * @returns {Promise<{algorithm: string, hash: string}>} - Algorithm used and its hex digest
+ */
+async function hashDeviceFile(runShell, remotePath, preferred) {
+  const order = [preferred, ...Object.keys(ALGORITHMS).filter(name => name !== preferred)];
+
+  for (const algorithm of order) {
+    const tool = `${algorithm}sum`;
+    const quotedPath = quoteShellArg(remotePath);
+    const output = await runShell(
+      `(${tool} ${quotedPath} || toybox ${tool} ${quotedPath} || busybox ${tool} ${quotedPath}) 2>/dev/null`
+    );
+
+    const match = output.match(new RegExp(`^([0-9a-fA-F]{${ALGORITHMS[algorithm]}})\\b`));
+    if (match) {
+      return { algorithm, hash: match[1].toLowerCase() };
+    }
+    console.log(`${tool} not available on device, trying next algorithm`);
+  }
+
+  throw new Error('Device has no md5sum, sha1sum or sha256sum to verify the transfer');
+}
+
+/**
+ * Verifies that a local file and a device file have identical contents
+ *
+ * @param {Object} params - Verification parameters
+ * @param {Function} params.runShell - Runs a shell command on the device: (command) => Promise<string>
+ * @param {string} params.localPath - File on the local machine
+ * @param {string} params.remotePath - File on the Android device
+ * @param {string} [params.algorithm='md5'] - Preferred algorithm
+ * @returns {Promise<{algorithm: string, localHash: string, remoteHash: string, match: boolean}>} - Verification result
+ */
+async function verifyTransfer({ runShell, localPath, remotePath, algorithm = 'md5' }) {
+  const preferred = ALGORITHMS[algorithm] ? algorithm : 'md5';
+
+  // The device decides which algorithm is available; the local side follows it
+  const remote = await hashDeviceFile(runShell, remotePath, preferred);
+  const localHash = await hashLocalFile(localPath, remote.algorithm);
+
+  return {
+    algorithm: remote.algorithm,
+    localHash,
+    remoteHash: remote.hash,
+    match: localHash === remote.hash
+  };
+}
+
+// Export functions
+module.exports = {
+  ALGORITHMS,
+  hashLocalFile,
+  hashDeviceFile,
+  verifyTransfer
+};
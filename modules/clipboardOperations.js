@@ -0,0 +1,325 @@
+/**
+ * clipboardOperations.js
+ * Cut, copy and paste of files within a panel. Android items are pasted with
+ * cp/mv on the device itself, so nothing goes through the computer; local
+ * items are copied or moved on the computer.
+ */
+
+const { ipcRenderer } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { state } = require('./state');
+const { createConflictSession, getUniquePath, resolveDestination } = require('./conflictResolver');
+const { copyAndroidItem, moveAndroidItem, deleteAndroidItem } = require('./deviceManagement');
+const { getLocalItemSize, copyLocalItem, moveLocalItem } = require('./localFileSystem');
+
+/**
+ * Puts items on the clipboard, replacing whatever was there
+ *
+ * @param {string} source - Panel the items come from ('local' or 'android')
+ * @param {'copy' | 'cut'} mode - Whether the items are copied or moved when pasted
+ * @param {string} basePath - Folder that contains the items
+ * @param {Array<{name: string, isDirectory: boolean}>} items - Items to put on the clipboard
+ * @param {string} [deviceId] - Android device the items are on
+ */
+function setClipboard(source, mode, basePath, items, deviceId) {
+  state.clipboard = {
+    source,
+    mode,
+    deviceId: deviceId || null,
+    basePath,
+    items: items.map(item => ({ name: item.name, isDirectory: item.isDirectory }))
+  };
+  console.log(`Clipboard: ${mode} ${items.length} item(s) from ${basePath}`);
+}
+
+/**
+ * Checks whether the clipboard holds items that can be pasted into a panel
+ *
+ * @param {string} source - Panel to paste into ('local' or 'android')
+ * @returns {boolean} - True if there is something to paste
+ */
+function hasClipboard(source) {
+  const clipboard = state.clipboard;
+  if (!clipboard || clipboard.source !== source || clipboard.items.length === 0) return false;
+  return source !== 'android' || clipboard.deviceId === state.selectedDevice;
+}
+
+/**
+ * Copies or moves one Android item to a path on the same device. An
+ * existing folder of the same name is merged with the pasted folder; other
+ * existing destinations go through the conflict dialog.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} sourcePath - Item to paste
+ * @param {string} targetPath - Intended destination
+ * @param {boolean} isMove - Move instead of copy
+ * @param {Object} conflicts - Conflict session of the paste
+ * @param {{pasted: number, skipped: number, errors: number}} counts - Result counts, updated in place
+ */
+async function pasteAndroidItem(deviceId, sourcePath, targetPath, isMove, conflicts, counts) {
+  const source = await ipcRenderer.invoke('stat-android-item', { deviceId, path: sourcePath });
+  if (source.isDirectory) {
+    const destination = await ipcRenderer.invoke('stat-android-item', { deviceId, path: targetPath });
+    if (destination.exists && destination.isDirectory) {
+      await mergeAndroidFolder(deviceId, sourcePath, targetPath, isMove, conflicts, counts);
+      return;
+    }
+  }
+
+  const resolved = await resolveDestination(conflicts, { targetPath, isRemote: true, deviceId, source });
+  if (conflicts.cancelled) return;
+  if (!resolved) {
+    counts.skipped++;
+    return;
+  }
+
+  try {
+    if (isMove) {
+      await moveAndroidItem(deviceId, sourcePath, resolved);
+    } else {
+      await copyAndroidItem(deviceId, sourcePath, resolved);
+    }
+    counts.pasted++;
+  } catch (err) {
+    console.error(`Error pasting ${sourcePath}:`, err);
+    counts.errors++;
+  }
+}
+
+/**
+ * Pastes the contents of an Android folder into an existing folder, item by
+ * item, so files already in the destination are kept unless the conflict
+ * dialog says otherwise. A moved folder is removed once everything in it has
+ * been moved.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} sourceDir - Folder to paste
+ * @param {string} targetDir - Existing folder to paste into
+ * @param {boolean} isMove - Move instead of copy
+ * @param {Object} conflicts - Conflict session of the paste
+ * @param {{pasted: number, skipped: number, errors: number}} counts - Result counts, updated in place
+ */
+async function mergeAndroidFolder(deviceId, sourceDir, targetDir, isMove, conflicts, counts) {
+  let entries;
+  try {
+    entries = await ipcRenderer.invoke('list-files', { deviceId, path: sourceDir, noCache: Date.now() });
+  } catch (err) {
+    console.error(`Error listing ${sourceDir}:`, err);
+    counts.errors++;
+    return;
+  }
+
+  const before = { skipped: counts.skipped, errors: counts.errors };
+  for (const entry of entries) {
+    await pasteAndroidItem(deviceId, path.posix.join(sourceDir, entry.name), path.posix.join(targetDir, entry.name),
+      isMove, conflicts, counts);
+    if (conflicts.cancelled) return;
+  }
+
+  // Whatever was skipped or failed is still in the source folder
+  if (isMove && counts.skipped === before.skipped && counts.errors === before.errors) {
+    try {
+      await deleteAndroidItem(deviceId, sourceDir, true);
+    } catch (err) {
+      console.error(`Error removing moved folder ${sourceDir}:`, err);
+    }
+  }
+}
+
+/**
+ * Pastes the Android items on the clipboard into a folder on the same
+ * device. Copying into the folder the items came from creates "name (1)"
+ * duplicates; a folder that already exists is merged with the pasted one and
+ * other existing destinations go through the conflict dialog. A cut is
+ * cleared from the clipboard once it has been pasted.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} destDir - Folder to paste into
+ * @param {Function} setStatus - Function to set status message
+ * @returns {Promise<{pasted: number, skipped: number, errors: number}>} - Result counts
+ */
+async function pasteToAndroid(deviceId, destDir, setStatus) {
+  if (!hasClipboard('android') || state.clipboard.deviceId !== deviceId) {
+    throw new Error('Nothing to paste');
+  }
+
+  const { mode, basePath, items } = state.clipboard;
+  const isMove = mode === 'cut';
+  const conflicts = createConflictSession();
+  const counts = { pasted: 0, skipped: 0, errors: 0 };
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const sourcePath = path.posix.join(basePath, item.name);
+    // Items copied from search results are named by their path; they are pasted by their own name
+    const targetPath = path.posix.join(destDir, path.posix.basename(item.name));
+
+    setStatus(`${isMove ? 'Moving' : 'Copying'} ${item.name} (${i + 1}/${items.length})...`);
+    if (targetPath !== sourcePath) {
+      await pasteAndroidItem(deviceId, sourcePath, targetPath, isMove, conflicts, counts);
+      if (conflicts.cancelled) break;
+    } else if (isMove) {
+      // Moving into the folder the item is already in changes nothing
+      counts.skipped++;
+    } else {
+      try {
+        await copyAndroidItem(deviceId, sourcePath, await getUniquePath(targetPath, true, deviceId));
+        counts.pasted++;
+      } catch (err) {
+        console.error(`Error pasting ${sourcePath}:`, err);
+        counts.errors++;
+      }
+    }
+  }
+
+  // The cut items are no longer where the clipboard says they are
+  if (isMove && counts.pasted > 0) {
+    state.clipboard = null;
+  }
+
+  return counts;
+}
+
+/**
+ * Resolves where a local item is pasted and adds it to the paste. A folder
+ * that already exists at the destination is merged: the items in the pasted
+ * folder are added one by one, so files already there are kept unless the
+ * conflict dialog says otherwise.
+ *
+ * @param {string} sourcePath - Item to paste
+ * @param {string} targetPath - Intended destination
+ * @param {Object} conflicts - Conflict session of the paste
+ * @param {Object} plan - Paste being planned ({ operations, mergedFolders, skipped, errors }), updated in place
+ */
+async function planLocalPaste(sourcePath, targetPath, conflicts, plan) {
+  try {
+    const stats = await fs.promises.stat(sourcePath);
+    const destination = await fs.promises.stat(targetPath).catch(() => null);
+
+    if (stats.isDirectory() && destination && destination.isDirectory()) {
+      for (const name of await fs.promises.readdir(sourcePath)) {
+        await planLocalPaste(path.join(sourcePath, name), path.join(targetPath, name), conflicts, plan);
+        if (conflicts.cancelled) return;
+      }
+      // Listed after the folders inside it, so a moved folder is removed after its subfolders
+      plan.mergedFolders.push(sourcePath);
+      return;
+    }
+
+    const resolved = await resolveDestination(conflicts, {
+      targetPath,
+      isRemote: false,
+      source: { size: stats.size, mtime: stats.mtimeMs }
+    });
+    if (conflicts.cancelled) return;
+    if (!resolved) {
+      plan.skipped++;
+      return;
+    }
+    plan.operations.push({ sourcePath, targetPath: resolved, size: await getLocalItemSize(sourcePath) });
+  } catch (err) {
+    console.error(`Error reading ${sourcePath}:`, err);
+    plan.errors++;
+  }
+}
+
+/**
+ * Pastes the local items on the clipboard into a local folder. Copying into
+ * the folder the items came from creates "name (1)" duplicates; a folder
+ * that already exists is merged with the pasted one and other existing
+ * destinations go through the conflict dialog. A cut is cleared from the
+ * clipboard once it has been pasted.
+ *
+ * @param {string} destDir - Folder to paste into
+ * @param {Function} setStatus - Function to set status message
+ * @param {Function} onProgress - Called with (bytes done, total bytes) of the whole paste
+ * @returns {Promise<{pasted: number, skipped: number, errors: number}>} - Result counts
+ */
+async function pasteToLocal(destDir, setStatus, onProgress) {
+  if (!hasClipboard('local')) {
+    throw new Error('Nothing to paste');
+  }
+
+  const { mode, basePath, items } = state.clipboard;
+  const isMove = mode === 'cut';
+  const conflicts = createConflictSession();
+  let pasted = 0;
+
+  // Resolve every destination first so the progress total covers the whole paste
+  const plan = { operations: [], mergedFolders: [], skipped: 0, errors: 0 };
+  for (const item of items) {
+    const sourcePath = path.join(basePath, item.name);
+    // Items copied from search results are named by their path; they are pasted by their own name
+    const targetPath = path.join(destDir, path.posix.basename(item.name));
+
+    if (path.resolve(targetPath) !== path.resolve(sourcePath)) {
+      await planLocalPaste(sourcePath, targetPath, conflicts, plan);
+      if (conflicts.cancelled) break;
+    } else if (isMove) {
+      // Moving into the folder the item is already in changes nothing
+      plan.skipped++;
+    } else {
+      try {
+        const size = await getLocalItemSize(sourcePath);
+        plan.operations.push({ sourcePath, targetPath: await getUniquePath(targetPath, false), size });
+      } catch (err) {
+        console.error(`Error reading ${sourcePath}:`, err);
+        plan.errors++;
+      }
+    }
+  }
+
+  const { operations, mergedFolders, skipped } = plan;
+  let errors = plan.errors;
+
+  const totalBytes = operations.reduce((sum, operation) => sum + operation.size, 0);
+  let doneBytes = 0;
+  const onBytes = (bytes) => {
+    doneBytes += bytes;
+    onProgress(doneBytes, totalBytes);
+  };
+
+  for (let i = 0; i < operations.length; i++) {
+    const { sourcePath, targetPath, size } = operations[i];
+    const startBytes = doneBytes;
+
+    try {
+      setStatus(`${isMove ? 'Moving' : 'Copying'} ${path.basename(sourcePath)} (${i + 1}/${operations.length})...`);
+      if (isMove) {
+        await moveLocalItem(sourcePath, targetPath, onBytes);
+      } else {
+        await copyLocalItem(sourcePath, targetPath, onBytes);
+      }
+      pasted++;
+    } catch (err) {
+      console.error(`Error pasting ${sourcePath}:`, err);
+      errors++;
+    }
+
+    // Keep the total consistent when an item failed or changed while it was copied
+    doneBytes = startBytes + size;
+    onProgress(doneBytes, totalBytes);
+  }
+
+  // Merged folders that were moved are removed once empty; skipped or failed items keep them
+  if (isMove) {
+    for (const folder of mergedFolders) {
+      await fs.promises.rmdir(folder).catch(() => {});
+    }
+  }
+
+  if (isMove && pasted > 0) {
+    state.clipboard = null;
+  }
+
+  return { pasted, skipped, errors };
+}
+
+// Export functions
+module.exports = {
+  setClipboard,
+  hasClipboard,
+  pasteToAndroid,
+  pasteToLocal
+};
@@ -0,0 +1,273 @@
+/**
+ * conflictResolver.js
+ * Decides what happens when a transfer's destination already exists:
+ * overwrite, skip, keep both, or overwrite only when the source is newer
+ * or has a different size. Asks the user with a dialog unless a policy has
+ * been applied to the whole operation.
+ */
+
+const { ipcRenderer } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const { formatFileSize } = require('./fileSystem');
+
+// The device reports modification times in whole seconds and FAT stores them
+// in 2 second steps, so a source must be newer by more than this to count as newer
+const MTIME_TOLERANCE_MS = 2000;
+
+// Conflict policies offered in the dialog, in display order
+const CONFLICT_POLICIES = [
+  { id: 'overwrite', label: 'Overwrite' },
+  { id: 'skip', label: 'Skip' },
+  { id: 'keepBoth', label: 'Keep both (rename the new copy)' },
+  { id: 'ifNewer', label: 'Overwrite if the source is newer' },
+  { id: 'ifSizeDiffers', label: 'Overwrite if the size is different' }
+];
+
+/**
+ * Creates a conflict session for one user operation (a drop or a transfer
+ * button click). Choosing "apply to all" stores the policy on the session so
+ * the remaining files of that operation are not asked about again.
+ *
+ * @returns {Object} - Conflict session
+ */
+function createConflictSession() {
+  return {
+    policy: null,     // Policy applied to every remaining conflict, if chosen
+    skipped: 0,             // Number of files skipped because of a conflict
+    cancelled: false,       // Set when the user cancels the operation from a dialog
+    spaceConfirmed: false,  // Set when the user queues the operation despite too little free space
+    namesConfirmed: false,  // Set when the user accepts renamed file names for the whole operation
+    filterConfirmed: false  // Set when the user accepts what the filter leaves out for the whole operation
+  };
+}
+
+/**
+ * Gets size and modification time of a destination, if it exists
+ *
+ * @param {string} targetPath - Destination path
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @param {string} deviceId - Android device ID
+ * @returns {Promise<{size: number, mtime: number}|null>} - Destination stats, or null if it does not exist
+ */
+async function statDestination(targetPath, isRemote, deviceId) {
+  if (isRemote) {
+    const result = await ipcRenderer.invoke('stat-android-item', { deviceId, path: targetPath });
+    return result.exists ? { size: result.size, mtime: result.mtime } : null;
+  }
+
+  try {
+    const stats = await fs.promises.stat(targetPath);
+    return { size: stats.size, mtime: stats.mtimeMs };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Finds a free "name (1).ext" style path next to an existing destination
+ *
+ * @param {string} targetPath - Destination that already exists
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @param {string} deviceId - Android device ID
+ * @returns {Promise<string>} - Path that does not exist yet
+ */
+async function getUniquePath(targetPath, isRemote, deviceId) {
+  const pathApi = isRemote ? path.posix : path;
+  const dir = pathApi.dirname(targetPath);
+  const ext = pathApi.extname(targetPath);
+  const base = pathApi.basename(targetPath, ext);
+
+  for (let counter = 1; ; counter++) {
+    const candidate = pathApi.join(dir, `${base} (${counter})${ext}`);
+    if (!(await statDestination(candidate, isRemote, deviceId))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Shows the conflict dialog for one file
+ *
+ * @param {Object} conflict - Conflict details
+ * @param {string} conflict.targetPath - Destination that already exists
+ * @param {Object} conflict.source - Source stats ({ size, mtime })
+ * @param {Object} conflict.destination - Destination stats ({ size, mtime })
+ * @param {string} defaultPolicy - Policy selected when the dialog opens
+ * @returns {Promise<{policy: string, applyToAll: boolean}|null>} - Chosen policy, or null if the operation was cancelled
+ */
+function showConflictDialog({ targetPath, source, destination }, defaultPolicy) {
+  return new Promise((resolve) => {
+    // Create the modal container if it doesn't exist
+    let modalContainer = document.getElementById('custom-modal-container');
+    if (!modalContainer) {
+      modalContainer = document.createElement('div');
+      modalContainer.id = 'custom-modal-container';
+      document.body.appendChild(modalContainer);
+    } else {
+      modalContainer.innerHTML = ''; // Clear any existing content
+    }
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content conflict-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'File Already Exists';
+
+    const pathDisplay = document.createElement('div');
+    pathDisplay.className = 'path-display';
+    pathDisplay.textContent = targetPath;
+
+    // Size and date of both copies
+    const details = document.createElement('div');
+    details.className = 'conflict-details';
+    const describe = (label, stats) => {
+      const line = document.createElement('div');
+      line.textContent = `${label}: ${formatFileSize(stats.size)}, modified ${stats.mtime ? new Date(stats.mtime).toLocaleString() : 'unknown'}`;
+      return line;
+    };
+    details.appendChild(describe('Source', source));
+    details.appendChild(describe('Existing', destination));
+
+    const options = document.createElement('div');
+    options.className = 'conflict-options';
+    CONFLICT_POLICIES.forEach(policy => {
+      const label = document.createElement('label');
+      label.className = 'conflict-option';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'conflict-policy';
+      radio.value = policy.id;
+      radio.checked = policy.id === defaultPolicy;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(policy.label));
+      options.appendChild(label);
+    });
+
+    const applyLabel = document.createElement('label');
+    applyLabel.className = 'conflict-option conflict-apply-all';
+    const applyCheckbox = document.createElement('input');
+    applyCheckbox.type = 'checkbox';
+    applyLabel.appendChild(applyCheckbox);
+    applyLabel.appendChild(document.createTextNode('Apply to all conflicts in this transfer'));
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-btn';
+    cancelButton.textContent = 'Cancel Transfer';
+
+    const continueButton = document.createElement('button');
+    continueButton.className = 'create-btn';
+    continueButton.textContent = 'Continue';
+
+    buttonGroup.appendChild(cancelButton);
+    buttonGroup.appendChild(continueButton);
+
+    modalContent.appendChild(title);
+    modalContent.appendChild(pathDisplay);
+    modalContent.appendChild(details);
+    modalContent.appendChild(options);
+    modalContent.appendChild(applyLabel);
+    modalContent.appendChild(buttonGroup);
+    modalContainer.appendChild(modalContent);
+
+    const close = (result) => {
+      document.removeEventListener('keyup', onKeyUp);
+      document.body.removeChild(modalContainer);
+      resolve(result);
+    };
+
+    const onKeyUp = (e) => {
+      if (e.key === 'Enter') {
+        continueButton.click();
+      } else if (e.key === 'Escape') {
+        cancelButton.click();
+      }
+    };
+    document.addEventListener('keyup', onKeyUp);
+
+    cancelButton.addEventListener('click', () => close(null));
+
+    continueButton.addEventListener('click', () => {
+      const selected = options.querySelector('input[name="conflict-policy"]:checked');
+      close({
+        policy: selected ? selected.value : 'overwrite',
+        applyToAll: applyCheckbox.checked
+      });
+    });
+  });
+}
+
+/**
+ * Resolves the destination of a file before it is queued. Returns the path
+ * the file should be written to, or null when it should be skipped. Once the
+ * user cancels the operation from the dialog, every file resolves to null.
+ *
+ * @param {Object} session - Conflict session from createConflictSession()
+ * @param {Object} params - File details
+ * @param {string} params.targetPath - Intended destination
+ * @param {boolean} params.isRemote - Whether the destination is on the Android device
+ * @param {string} params.deviceId - Android device ID
+ * @param {Object} params.source - Source stats ({ size, mtime } with mtime in milliseconds)
+ * @returns {Promise<string|null>} - Destination path to use, or null to skip the file
+ */
+async function resolveDestination(session, { targetPath, isRemote, deviceId, source }) {
+  // Without a session (e.g. internal transfers) existing files are overwritten as before
+  if (!session) return targetPath;
+  if (session.cancelled) return null;
+
+  const destination = await statDestination(targetPath, isRemote, deviceId);
+  if (!destination) return targetPath;
+
+  let policy = session.policy;
+  if (!policy) {
+    const defaultPolicy = await ipcRenderer.invoke('get-setting', { key: 'conflictPolicy' });
+    const choice = await showConflictDialog({ targetPath, source, destination }, defaultPolicy);
+    if (!choice) {
+      session.cancelled = true;
+      return null;
+    }
+
+    policy = choice.policy;
+    if (choice.applyToAll) {
+      session.policy = policy;
+    }
+    // Remember the choice so the dialog opens with it next time
+    await ipcRenderer.invoke('set-setting', { key: 'conflictPolicy', value: policy });
+  }
+
+  let resolved = targetPath;
+  switch (policy) {
+    case 'skip':
+      resolved = null;
+      break;
+    case 'keepBoth':
+      resolved = await getUniquePath(targetPath, isRemote, deviceId);
+      break;
+    case 'ifNewer':
+      resolved = source.mtime - destination.mtime > MTIME_TOLERANCE_MS ? targetPath : null;
+      break;
+    case 'ifSizeDiffers':
+      resolved = source.size !== destination.size ? targetPath : null;
+      break;
+    default:
+      resolved = targetPath;
+  }
+
+  if (!resolved) {
+    session.skipped++;
+    console.log(`Skipping existing file (${policy}): ${targetPath}`);
+  }
+  return resolved;
+}
+
+// Export functions
+module.exports = {
+  CONFLICT_POLICIES,
+  createConflictSession,
+  getUniquePath,
+  resolveDestination
+};
@@ -0,0 +1,62 @@
+/**
+ * contextMenu.js
+ * Shows native context menus for the file panels. The menu is built in the
+ * main process; the entry the user picks is sent back and its action runs here.
+ */
+
+const { ipcRenderer } = require('electron');
+
+/**
+ * Runtime state of the context menu
+ */
+const menu = {
+  actions: new Map(),   // Entry ID -> action of the menu currently shown
+  listening: false      // Whether the context-menu-command listener is registered
+};
+
+/**
+ * Runs the action of the entry picked in the last menu
+ *
+ * @param {Object} event - IPC event object
+ * @param {Object} data - context-menu-command payload ({ id })
+ */
+function runMenuCommand(event, data) {
+  const action = menu.actions.get(data.id);
+  menu.actions.clear();
+
+  if (action) {
+    Promise.resolve()
+      .then(action)
+      .catch(err => console.error(`Error running context menu entry ${data.id}:`, err));
+  }
+}
+
+/**
+ * Shows a context menu at the mouse position
+ *
+ * @param {Array<Object>} items - Entries ({ id, label, enabled, action }) or { type: 'separator' }
+ */
+function showContextMenu(items) {
+  if (!menu.listening) {
+    ipcRenderer.on('context-menu-command', runMenuCommand);
+    menu.listening = true;
+  }
+
+  menu.actions.clear();
+  items.forEach(item => {
+    if (item.id && item.action) {
+      menu.actions.set(item.id, item.action);
+    }
+  });
+
+  ipcRenderer.send('show-context-menu', {
+    items: items.map(item => item.type === 'separator'
+      ? { type: 'separator' }
+      : { id: item.id, label: item.label, enabled: item.enabled !== false })
+  });
+}
+
+// Export functions
+module.exports = {
+  showContextMenu
+};
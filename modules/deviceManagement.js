@@ -61,11 +61,14 @@ async function deleteAndroidItem(deviceId, path, isDirectory) {
   try {
     console.log(`Deleting Android ${isDirectory ? 'directory' : 'file'}:`, path);
     
-    await ipcRenderer.invoke('delete-item', {
+    const result = await ipcRenderer.invoke('delete-item', {
       deviceId: deviceId,
       path: path,
       isDirectory: isDirectory
     });
+    if (!result.success) {
+      throw new Error(result.error || `Failed to delete ${path}`);
+    }
     
     return true;
   } catch (err) {
@@ -74,6 +77,42 @@ async function deleteAndroidItem(deviceId, path, isDirectory) {
   }
 }
 
+/**
+ * Copies a file or folder to another path on the Android device
+ * 
+ * @param {string} deviceId - Android device ID
+ * @param {string} sourcePath - Item to copy
+ * @param {string} destPath - Full destination path (replaced once the copy is complete if it exists)
+ * @returns {Promise<boolean>} - Promise that resolves to true if the copy was successful
+ */
+async function copyAndroidItem(deviceId, sourcePath, destPath) {
+  console.log(`Copying Android item ${sourcePath} to ${destPath}`);
+
+  const result = await ipcRenderer.invoke('copy-android-item', { deviceId, sourcePath, destPath });
+  if (!result.success) {
+    throw new Error(result.error || `Failed to copy ${sourcePath}`);
+  }
+  return true;
+}
+
+/**
+ * Moves a file or folder to another path on the Android device
+ * 
+ * @param {string} deviceId - Android device ID
+ * @param {string} sourcePath - Item to move
+ * @param {string} destPath - Full destination path (replaced once the copy is complete if it exists)
+ * @returns {Promise<boolean>} - Promise that resolves to true if the move was successful
+ */
+async function moveAndroidItem(deviceId, sourcePath, destPath) {
+  console.log(`Moving Android item ${sourcePath} to ${destPath}`);
+
+  const result = await ipcRenderer.invoke('move-android-item', { deviceId, sourcePath, destPath });
+  if (!result.success) {
+    throw new Error(result.error || `Failed to move ${sourcePath}`);
+  }
+  return true;
+}
+
 /**
  * Creates a directory on an Android device
  * 
@@ -124,6 +163,8 @@ async function openAndroidShell(deviceId, setStatus) {
 module.exports = {
   loadDevices,
   deleteAndroidItem,
+  copyAndroidItem,
+  moveAndroidItem,
   createAndroidDirectory,
   openAndroidShell
 }; 
\ No newline at end of file
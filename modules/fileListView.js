@@ -0,0 +1,341 @@
+/**
+ * fileListView.js
+ * Details view of the file lists: columns for modification date, size, type
+ * and (on the device) permissions and owner, sorting by any column and
+ * resizable columns. The sort and column widths are remembered per panel.
+ */
+
+const { ipcRenderer } = require('electron');
+
+// Columns of the details view, in display order
+const COLUMNS = [
+  { key: 'name', label: 'Name', width: 'minmax(120px, 1fr)' },
+  { key: 'mtime', label: 'Modified', width: '140px' },
+  { key: 'size', label: 'Size', width: '80px', numeric: true },
+  { key: 'type', label: 'Type', width: '80px' },
+  { key: 'mode', label: 'Permissions', width: '95px', deviceOnly: true },
+  { key: 'owner', label: 'Owner', width: '110px', deviceOnly: true }
+];
+
+// Narrowest a column can be dragged to
+const MIN_COLUMN_WIDTH = 40;
+
+// Compares names the way people expect ("img2" before "img10"); shared because sorting large folders calls it a lot
+const nameCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Gets the columns shown in a panel
+ *
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @returns {Array<Object>} - Column definitions
+ */
+function getColumns(isLocal) {
+  return COLUMNS.filter(column => !isLocal || !column.deviceOnly);
+}
+
+/**
+ * Gets the localStorage key of a panel's view settings
+ *
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @returns {string} - Storage key
+ */
+function getStorageKey(isLocal) {
+  return `fileListView.${isLocal ? 'local' : 'android'}`;
+}
+
+/**
+ * Loads the sort and column widths of a panel
+ *
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @returns {{sortKey: string, descending: boolean, widths: Object}} - View settings
+ */
+function loadViewSettings(isLocal) {
+  const settings = { sortKey: 'name', descending: false, widths: {} };
+  try {
+    Object.assign(settings, JSON.parse(localStorage.getItem(getStorageKey(isLocal)) || '{}'));
+  } catch (err) {
+    console.error('Error loading file list view settings:', err);
+  }
+  if (!getColumns(isLocal).some(column => column.key === settings.sortKey)) {
+    settings.sortKey = 'name';
+  }
+  return settings;
+}
+
+/**
+ * Saves the sort and column widths of a panel
+ *
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @param {Object} settings - View settings
+ */
+function saveViewSettings(isLocal, settings) {
+  localStorage.setItem(getStorageKey(isLocal), JSON.stringify(settings));
+}
+
+/**
+ * Gets the extension of a file name
+ *
+ * @param {string} name - File name
+ * @returns {string} - Lower case extension without the dot, '' if there is none
+ */
+function getExtension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Collects what the details view shows about a listed item. Local items
+ * get their size and date later from applyLocalStats().
+ *
+ * @param {Object} item - fs.Dirent (local), adbkit readdir entry (Android) or search result ({ name, isDir, size, mtime, mode })
+ * @param {boolean} isLocal - Whether the item is local
+ * @returns {Object} - { name, isDir, size, mtime, type, mode, owner }; size is null while unknown
+ */
+function describeItem(item, isLocal) {
+  // Search results come with their details; their names are paths below the searched folder
+  if (typeof item.isDir === 'boolean') {
+    return {
+      name: item.name,
+      isDir: item.isDir,
+      size: item.isDir ? 0 : item.size,
+      mtime: item.mtime,
+      type: item.isDir ? '' : getExtension(item.name.slice(item.name.lastIndexOf('/') + 1)),
+      mode: item.mode,
+      owner: ''
+    };
+  }
+
+  if (isLocal) {
+    const isDir = item.isDirectory();
+    return {
+      name: item.name,
+      isDir,
+      size: isDir ? 0 : null,
+      mtime: 0,
+      type: isDir ? '' : getExtension(item.name),
+      mode: 0,
+      owner: ''
+    };
+  }
+
+  const isDir = (item.mode & 0x4000) === 0x4000;
+  return {
+    name: item.name,
+    isDir,
+    size: isDir ? 0 : item.size,
+    mtime: item.mtime ? new Date(item.mtime).getTime() : 0,
+    type: isDir ? '' : getExtension(item.name),
+    mode: item.mode,
+    owner: ''
+  };
+}
+
+/**
+ * Fills in the size, date and mode of a local item
+ *
+ * @param {Object} entry - Item from describeItem()
+ * @param {fs.Stats} stats - Stats of the item
+ */
+function applyLocalStats(entry, stats) {
+  entry.size = entry.isDir ? 0 : stats.size;
+  entry.mtime = stats.mtimeMs;
+  entry.mode = stats.mode;
+}
+
+/**
+ * Fills in the owner of an Android item
+ *
+ * @param {Object} entry - Item from describeItem()
+ * @param {Object} owners - Owners by name, from loadOwners()
+ */
+function applyOwner(entry, owners) {
+  const owner = owners[entry.name];
+  entry.owner = owner ? `${owner.owner}:${owner.group}` : '';
+}
+
+/**
+ * Sorts items by the chosen column; folders always come first
+ *
+ * @param {Array<Object>} entries - Items from describeItem()
+ * @param {Object} settings - View settings ({ sortKey, descending })
+ * @returns {Array<Object>} - Sorted copy
+ */
+function sortEntries(entries, { sortKey, descending }) {
+  const direction = descending ? -1 : 1;
+  return [...entries].sort((a, b) => {
+    if (a.isDir !== b.isDir) return a.isDir ? -1 : 1;
+
+    let result = 0;
+    if (sortKey === 'size' || sortKey === 'mtime') {
+      result = (a[sortKey] || 0) - (b[sortKey] || 0);
+    } else if (sortKey === 'mode') {
+      result = (a.mode & 0o7777) - (b.mode & 0o7777);
+    } else if (sortKey !== 'name') {
+      result = nameCollator.compare(a[sortKey], b[sortKey]);
+    }
+    return direction * (result || nameCollator.compare(a.name, b.name));
+  });
+}
+
+/**
+ * Formats Unix mode bits like ls does (e.g. "drwxr-x---")
+ *
+ * @param {number} mode - st_mode of the item
+ * @returns {string} - Permission string
+ */
+function formatMode(mode) {
+  if (!mode) return '';
+  const fileType = (mode & 0xF000) === 0x4000 ? 'd' : (mode & 0xF000) === 0xA000 ? 'l' : '-';
+  const bits = ['r', 'w', 'x', 'r', 'w', 'x', 'r', 'w', 'x']
+    .map((char, i) => (mode & (0o400 >> i)) ? char : '-')
+    .join('');
+  return fileType + bits;
+}
+
+/**
+ * Formats a modification time for the list
+ *
+ * @param {number} mtime - Time in milliseconds
+ * @returns {string} - Local date and time, '' if unknown
+ */
+function formatDate(mtime) {
+  if (!mtime) return '';
+  const date = new Date(mtime);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * Gets the text of a column for an item
+ *
+ * @param {Object} entry - Item from describeItem()
+ * @param {string} key - Column key
+ * @param {Function} formatFileSize - Size formatter
+ * @returns {string} - Cell text
+ */
+function getCellText(entry, key, formatFileSize) {
+  switch (key) {
+    case 'mtime':
+      return formatDate(entry.mtime);
+    case 'size':
+      if (entry.isDir) return '-';
+      return entry.size === null ? '' : formatFileSize(entry.size);
+    case 'type':
+      return entry.isDir ? 'Folder' : entry.type ? `${entry.type.toUpperCase()} file` : 'File';
+    case 'mode':
+      return formatMode(entry.mode);
+    case 'owner':
+      return entry.owner;
+    default:
+      return entry.name;
+  }
+}
+
+/**
+ * Sets the column widths of a panel on its list
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @param {Object} settings - View settings ({ widths })
+ */
+function applyColumnWidths(container, isLocal, settings) {
+  const template = getColumns(isLocal)
+    .map(column => settings.widths[column.key] ? `${settings.widths[column.key]}px` : column.width)
+    .join(' ');
+  container.style.setProperty('--file-columns', template);
+}
+
+/**
+ * Creates the header row: clicking a column sorts by it (again to reverse),
+ * dragging its right edge resizes it
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {boolean} isLocal - Whether this is the local panel
+ * @param {Object} settings - View settings of the panel
+ * @param {Function} onSort - Called after the sort has changed, to render the list again
+ * @returns {HTMLElement} - Header row
+ */
+function createHeader(container, isLocal, settings, onSort) {
+  const header = document.createElement('div');
+  header.className = 'file-list-header';
+
+  getColumns(isLocal).forEach(column => {
+    const cell = document.createElement('div');
+    cell.className = `file-list-header-cell${column.numeric ? ' numeric' : ''}`;
+    cell.dataset.column = column.key;
+    cell.textContent = column.label;
+    if (settings.sortKey === column.key) {
+      cell.classList.add('sorted');
+      cell.textContent += settings.descending ? ' ▼' : ' ▲';
+    }
+
+    cell.addEventListener('click', () => {
+      if (settings.sortKey === column.key) {
+        settings.descending = !settings.descending;
+      } else {
+        settings.sortKey = column.key;
+        settings.descending = false;
+      }
+      saveViewSettings(isLocal, settings);
+      onSort();
+    });
+
+    const handle = document.createElement('div');
+    handle.className = 'file-list-resize-handle';
+    handle.addEventListener('click', e => e.stopPropagation());
+    handle.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const startX = e.clientX;
+      const startWidth = cell.getBoundingClientRect().width;
+
+      const onMove = (moveEvent) => {
+        settings.widths[column.key] = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + moveEvent.clientX - startX));
+        applyColumnWidths(container, isLocal, settings);
+      };
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        saveViewSettings(isLocal, settings);
+      };
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+    // Double-clicking the edge goes back to the default width
+    handle.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      delete settings.widths[column.key];
+      applyColumnWidths(container, isLocal, settings);
+      saveViewSettings(isLocal, settings);
+    });
+
+    cell.appendChild(handle);
+    header.appendChild(cell);
+  });
+
+  return header;
+}
+
+/**
+ * Loads the owners of the items in an Android directory
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} dirPath - Listed directory
+ * @returns {Promise<Object>} - Owners by name ({ owner, group })
+ */
+function loadOwners(deviceId, dirPath) {
+  return ipcRenderer.invoke('list-owners', { deviceId, path: dirPath });
+}
+
+// Export functions
+module.exports = {
+  getColumns,
+  loadViewSettings,
+  describeItem,
+  applyLocalStats,
+  applyOwner,
+  sortEntries,
+  getCellText,
+  applyColumnWidths,
+  createHeader,
+  loadOwners
+};
@@ -0,0 +1,482 @@
+/**
+ * fileSearch.js
+ * Recursive search in the open folder of either panel: by name (text, glob
+ * or regular expression), optionally limited by file type, size and
+ * modification date. The device is searched with find, the computer with an
+ * asynchronous walker; results appear in the panel's file list while they
+ * are found, named by their path below the searched folder.
+ */
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { state } = require('./state');
+const fileSystem = require('./fileSystem');
+const transferFilters = require('./transferFilters');
+
+// Results shown at most; the search stops when there are more
+const MAX_RESULTS = 10000;
+
+// How often new results are added to the list, in milliseconds
+const RESULT_REFRESH_MS = 300;
+
+// Ways the search text can be matched against names
+const SEARCH_MODES = {
+  contains: 'Name contains',
+  glob: 'Glob',
+  regex: 'Regex'
+};
+
+// Search controls of each panel, set up by initSearch()
+const panels = {};
+
+// Search shown in each panel, running or finished; null while the panel shows its folder
+const searches = { local: null, android: null };
+
+// Device search results are routed by search ID
+const deviceSearchHandlers = new Map();
+let listeningForResults = false;
+let searchCounter = 0;
+
+/**
+ * Creates a test for names. Text is found anywhere in the name; globs
+ * containing "/" are matched against the path below the searched folder,
+ * other globs and regular expressions against the name. Case is ignored.
+ *
+ * @param {string} query - Search text, glob or regular expression
+ * @param {string} mode - SEARCH_MODES key
+ * @returns {Function} - (name, relativePath) => boolean
+ * @throws {SyntaxError} - If the regular expression is invalid
+ */
+function createNameMatcher(query, mode) {
+  if (mode === 'regex') {
+    const expression = new RegExp(query, 'i');
+    return name => expression.test(name);
+  }
+  if (mode === 'glob') {
+    const expression = transferFilters.globToRegExp(query);
+    return (name, relativePath) => expression.test(query.includes('/') ? relativePath : name);
+  }
+  const text = query.toLowerCase();
+  return name => name.toLowerCase().includes(text);
+}
+
+/**
+ * Gets a glob find can test names with, so the device does not send every
+ * item back. Regular expressions and path globs are only tested here.
+ *
+ * @param {string} query - Search text
+ * @param {string} mode - SEARCH_MODES key
+ * @returns {string} - Glob for find -iname, '' to let find list everything
+ */
+function getDeviceNamePattern(query, mode) {
+  if (mode === 'contains') {
+    return `*${query.replace(/[*?[\]\\]/g, '\\$&')}*`;
+  }
+  if (mode === 'glob' && !query.includes('/') && !query.includes('**')) {
+    return query;
+  }
+  return '';
+}
+
+/**
+ * Reads the filter fields of a panel
+ *
+ * @param {Object} panel - Search controls of the panel
+ * @returns {Object|null} - Rules for transferFilters.getExclusionReason(), or null if no filter is set
+ */
+function getFilterRules(panel) {
+  const megabytes = (input) => {
+    const value = parseFloat(input.value);
+    return value > 0 ? Math.round(value * 1024 * 1024) : 0;
+  };
+  const rules = {
+    types: panel.typeSelect.value ? [panel.typeSelect.value] : [],
+    minSize: megabytes(panel.minSizeInput),
+    maxSize: megabytes(panel.maxSizeInput),
+    modifiedAfter: panel.afterInput.value,
+    modifiedBefore: panel.beforeInput.value
+  };
+  return transferFilters.isFilterActive(rules) ? rules : null;
+}
+
+/**
+ * Checks a found item against the search. Folders are only found while no
+ * type, size or date filter is set.
+ *
+ * @param {Object} search - Running search
+ * @param {Object} item - Found item ({ name, isDir, size, mtime, mode }), named by its relative path
+ * @returns {boolean} - True if the item is a result
+ */
+function isResult(search, item) {
+  const name = path.posix.basename(item.name);
+  if (!search.matches(name, item.name)) return false;
+  if (!search.rules) return true;
+  if (item.isDir) return false;
+  return transferFilters.getExclusionReason(search.rules, {
+    name,
+    relativePath: item.name,
+    size: item.size,
+    mtime: item.mtime
+  }) === null;
+}
+
+/**
+ * Queues a found item for the list; stops the search once it has found
+ * MAX_RESULTS items
+ *
+ * @param {Object} search - Running search
+ * @param {Object} item - Found item
+ */
+function addResult(search, item) {
+  if (search.cancelled || !isResult(search, item)) return;
+  search.pending.push(item);
+  search.found++;
+  if (search.found >= MAX_RESULTS) {
+    search.truncated = true;
+    cancelSearch(search);
+  }
+}
+
+/**
+ * Adds the queued results to the list. A search whose list has been
+ * replaced since (another folder was opened) is stopped.
+ *
+ * @param {Object} search - Search
+ */
+function flushResults(search) {
+  if (search.pending.length === 0) return;
+  const items = search.pending;
+  search.pending = [];
+  if (!fileSystem.appendFileListItems(panels[search.side].container, items, search.model)) {
+    cancelSearch(search);
+    return;
+  }
+  showSearchStatus(search);
+}
+
+/**
+ * Walks a local folder and everything below it. Folders that cannot be read
+ * are skipped; links to folders are not followed, so links cannot make the
+ * walk go round in circles.
+ *
+ * @param {Object} search - Running search
+ * @param {string} dirPath - Folder to walk
+ * @param {string} relativeDir - Its path below the searched folder, "/" separated; '' for the searched folder
+ */
+async function walkLocal(search, dirPath, relativeDir) {
+  const subfolders = [];
+  let dir;
+  try {
+    dir = await fs.promises.opendir(dirPath);
+  } catch (err) {
+    console.log(`Skipping unreadable folder ${dirPath}: ${err.message}`);
+    return;
+  }
+
+  // Leaving the loop early closes the directory
+  for await (const dirent of dir) {
+    if (search.cancelled) return;
+
+    const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+    const itemPath = path.join(dirPath, dirent.name);
+    const isDir = dirent.isDirectory();
+    if (isDir) subfolders.push({ itemPath, relativePath });
+
+    if (!search.matches(dirent.name, relativePath)) continue;
+    const stats = await fs.promises.stat(itemPath).catch(() => null);
+    if (stats) {
+      addResult(search, {
+        name: relativePath,
+        isDir,
+        size: isDir ? 0 : stats.size,
+        mtime: stats.mtimeMs,
+        mode: stats.mode
+      });
+    }
+  }
+
+  // Subfolders are walked after the folder is closed, so only one is open at a time
+  for (const { itemPath, relativePath } of subfolders) {
+    if (search.cancelled) return;
+    await walkLocal(search, itemPath, relativePath);
+  }
+}
+
+/**
+ * Searches the open folder on the device; results arrive in 'search-results'
+ * events while find runs
+ *
+ * @param {Object} search - Running search
+ */
+async function searchAndroid(search) {
+  if (!listeningForResults) {
+    ipcRenderer.on('search-results', (event, { searchId, items }) => {
+      const handler = deviceSearchHandlers.get(searchId);
+      if (handler) handler(items);
+    });
+    listeningForResults = true;
+  }
+
+  deviceSearchHandlers.set(search.id, items => items.forEach(item => addResult(search, item)));
+  try {
+    const result = await ipcRenderer.invoke('search-android', {
+      searchId: search.id,
+      deviceId: state.selectedDevice,
+      root: search.root,
+      namePattern: getDeviceNamePattern(search.query, search.mode)
+    });
+    if (!result.success) {
+      search.error = result.error || 'Search failed';
+    }
+  } finally {
+    deviceSearchHandlers.delete(search.id);
+  }
+}
+
+/**
+ * Stops a running search; the results found so far stay in the list
+ *
+ * @param {Object|null} search - Search
+ */
+function cancelSearch(search) {
+  if (!search || !search.running || search.cancelled) return;
+  search.cancelled = true;
+  if (!search.isLocal) {
+    ipcRenderer.invoke('search-android-cancel', { searchId: search.id })
+      .catch(err => console.error('Error stopping device search:', err));
+  }
+}
+
+/**
+ * Shows the progress or outcome of a search above the panel's list
+ *
+ * @param {Object} search - Search
+ */
+function showSearchStatus(search) {
+  if (searches[search.side] !== search) return;
+  const panel = panels[search.side];
+  const count = `${search.found} found`;
+  let text;
+  if (search.running && !search.cancelled) {
+    text = `Searching ${search.root}... ${count}`;
+  } else if (search.error) {
+    text = `Search failed: ${search.error}. ${count}`;
+  } else if (search.truncated) {
+    text = `Showing the first ${MAX_RESULTS} results in ${search.root}`;
+  } else if (search.cancelled) {
+    text = `Search stopped: ${count}`;
+  } else {
+    text = search.found > 0 ? `${count} in ${search.root}` : `No matches in ${search.root}`;
+  }
+
+  panel.status.textContent = text;
+  panel.status.classList.toggle('error', Boolean(search.error));
+  panel.bar.classList.add('searching');
+  panel.stopBtn.textContent = search.running && !search.cancelled ? 'Stop' : '✕';
+  panel.stopBtn.title = search.running && !search.cancelled ? 'Stop searching' : 'Close the results and show the folder again';
+}
+
+/**
+ * Hides the search status of a panel
+ *
+ * @param {Object} panel - Search controls of the panel
+ */
+function hideSearchStatus(panel) {
+  panel.bar.classList.remove('searching');
+  panel.status.textContent = '';
+  panel.status.classList.remove('error');
+}
+
+/**
+ * Searches the open folder of a panel with the text and filters entered in
+ * its search bar, replacing the list with the results. An empty search
+ * shows the folder again.
+ *
+ * @param {string} side - 'local' or 'android'
+ * @returns {Promise<void>} - Resolves when the search has finished or was stopped
+ */
+async function runSearch(side) {
+  const panel = panels[side];
+  const isLocal = side === 'local';
+  const query = panel.input.value.trim();
+  const mode = panel.modeSelect.value;
+
+  if (!query) {
+    await endSearch(side);
+    return;
+  }
+  if (!isLocal && !state.selectedDevice) {
+    panel.setStatus('No device selected');
+    return;
+  }
+
+  let matches;
+  try {
+    matches = createNameMatcher(query, mode);
+  } catch (err) {
+    panel.setStatus(`Invalid regular expression: ${err.message}`, 'error');
+    return;
+  }
+
+  cancelSearch(searches[side]);
+  const search = {
+    id: `search-${++searchCounter}`,
+    side,
+    isLocal,
+    root: isLocal ? state.localPath : state.androidPath,
+    query,
+    mode,
+    matches,
+    rules: getFilterRules(panel),
+    model: null,
+    pending: [],
+    found: 0,
+    running: true,
+    cancelled: false,
+    truncated: false,
+    error: null
+  };
+  searches[side] = search;
+  console.log(`Searching ${isLocal ? 'local' : 'Android'} folder ${search.root} for "${query}" (${mode})`);
+
+  // Selections are kept by name, and results are named by their path
+  (isLocal ? state.localSelectedItems : state.androidSelectedItems).clear();
+  search.model = panel.renderFileList([], panel.container, isLocal, { search: true });
+  showSearchStatus(search);
+
+  const timer = setInterval(() => flushResults(search), RESULT_REFRESH_MS);
+  try {
+    if (isLocal) {
+      await walkLocal(search, search.root, '');
+    } else {
+      await searchAndroid(search);
+    }
+  } catch (err) {
+    console.error('Error searching:', err);
+    search.error = err.message;
+  } finally {
+    clearInterval(timer);
+  }
+
+  flushResults(search);
+  search.running = false;
+  showSearchStatus(search);
+}
+
+/**
+ * Closes the search results of a panel and shows its folder again
+ *
+ * @param {string} side - 'local' or 'android'
+ * @returns {Promise<void>} - Resolves when the folder is shown
+ */
+async function endSearch(side) {
+  const panel = panels[side];
+  const search = searches[side];
+  if (!search) return;
+
+  cancelSearch(search);
+  searches[side] = null;
+  hideSearchStatus(panel);
+  await panel.reload();
+}
+
+/**
+ * Checks whether a panel shows the results of searching a folder, so
+ * refreshing the panel should search again rather than list the folder
+ *
+ * @param {string} side - 'local' or 'android'
+ * @param {string} folderPath - Open folder of the panel
+ * @returns {boolean} - True if the panel shows results for this folder
+ */
+function isSearchShown(side, folderPath) {
+  return Boolean(searches[side]) && searches[side].root === folderPath;
+}
+
+/**
+ * Sets up the search bar of a panel. Enter searches, Escape (or the close
+ * button) shows the folder again, and opening another folder ends the search.
+ *
+ * @param {string} side - 'local' or 'android'
+ * @param {Object} options - Panel callbacks
+ * @param {HTMLElement} options.container - File list element of the panel
+ * @param {Function} options.renderFileList - (items, container, isLocal, options) => list model
+ * @param {Function} options.reload - Lists the open folder again
+ * @param {Function} options.setStatus - Function to set status message
+ */
+function initSearch(side, { container, renderFileList, reload, setStatus }) {
+  const bar = document.getElementById(`${side}-search-bar`);
+  if (!bar) return;
+
+  const panel = {
+    bar,
+    container,
+    renderFileList,
+    reload,
+    setStatus,
+    input: document.getElementById(`${side}-search`),
+    modeSelect: document.getElementById(`${side}-search-mode`),
+    filtersBtn: document.getElementById(`${side}-search-filters-toggle`),
+    filters: document.getElementById(`${side}-search-filters`),
+    typeSelect: document.getElementById(`${side}-search-type`),
+    minSizeInput: document.getElementById(`${side}-search-min`),
+    maxSizeInput: document.getElementById(`${side}-search-max`),
+    afterInput: document.getElementById(`${side}-search-after`),
+    beforeInput: document.getElementById(`${side}-search-before`),
+    status: document.getElementById(`${side}-search-status`),
+    stopBtn: document.getElementById(`${side}-search-stop`)
+  };
+  panels[side] = panel;
+
+  Object.entries(SEARCH_MODES).forEach(([mode, label]) => {
+    panel.modeSelect.add(new Option(label, mode));
+  });
+  Object.entries(transferFilters.FILTER_TYPES).forEach(([type, { label }]) => {
+    panel.typeSelect.add(new Option(label, type));
+  });
+
+  panel.input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      runSearch(side);
+    } else if (e.key === 'Escape') {
+      panel.input.value = '';
+      endSearch(side);
+    }
+  });
+
+  panel.filtersBtn.addEventListener('click', () => {
+    panel.filters.hidden = !panel.filters.hidden;
+  });
+  panel.filters.addEventListener('change', () => {
+    panel.filtersBtn.classList.toggle('active', Boolean(getFilterRules(panel)));
+  });
+
+  panel.stopBtn.addEventListener('click', () => {
+    const search = searches[side];
+    if (search && search.running && !search.cancelled) {
+      cancelSearch(search);
+      showSearchStatus(search);
+    } else {
+      endSearch(side);
+    }
+  });
+
+  // Opening a folder replaces the results; the search text stays for searching there
+  container.addEventListener('file-list-rendered', (e) => {
+    if (e.detail.search || !searches[side]) return;
+    cancelSearch(searches[side]);
+    searches[side] = null;
+    hideSearchStatus(panel);
+  });
+}
+
+// Export functions
+module.exports = {
+  SEARCH_MODES,
+  createNameMatcher,
+  initSearch,
+  runSearch,
+  endSearch,
+  isSearchShown
+};
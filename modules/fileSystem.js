@@ -8,6 +8,9 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const uiOps = require('./uiOperations');
+const fileListView = require('./fileListView');
+const localFS = require('./localFileSystem');
+const hiddenFiles = require('./hiddenFiles');
 
 // File type definitions for media file handling
 const FILE_TYPES = {
@@ -16,6 +19,24 @@ const FILE_TYPES = {
   VIDEO: ['mp4', 'webm', 'mkv', 'avi', 'mov', 'wmv', 'm4v', '3gp']
 };
 
+// Height of one row in pixels; rows are positioned absolutely, so every row has the same height
+const ROW_HEIGHT = 36;
+
+// Rows rendered above and below the visible ones, so fast scrolling does not show gaps
+const OVERSCAN_ROWS = 10;
+
+// Local files stat'ed at the same time
+const STAT_BATCH_SIZE = 200;
+
+// Entries shown before the rest of a large local folder has been read
+const FIRST_LISTING_BATCH = 500;
+
+// How often a large local folder being read is shown again, in milliseconds
+const LISTING_REFRESH_MS = 300;
+
+// List model of each file list element; rows are rendered from it on demand
+const listModels = new WeakMap();
+
 /**
  * Gets the appropriate icon for a file based on its type
  * 
@@ -118,19 +139,48 @@ function adaptPathToOS(inputPath, isLocalPath) {
 }
 
 /**
- * Loads files from the local file system
+ * Loads files from the local file system. Large folders are shown while
+ * they are still being read: the first entries straight away, the rest in
+ * batches.
  * 
  * @param {Object} state - Application state
  * @param {HTMLElement} localFilesList - DOM element to render files
- * @param {Function} renderFileList - Function to render files
+ * @param {Function} renderFileList - Function to render files; returns the list model
  * @param {Function} setStatus - Function to set status
  */
 async function loadLocalFiles(state, localFilesList, renderFileList, setStatus, pullAndroidFileToTemp, viewFile) {
   localFilesList.innerHTML = '<div class="loading">Loading...</div>';
+  const listedPath = state.localPath;
   
   try {
-    const files = await fs.promises.readdir(state.localPath, { withFileTypes: true });
-    renderFileList(files, localFilesList, true, state, setStatus, pullAndroidFileToTemp, viewFile);
+    const dir = await fs.promises.opendir(listedPath);
+    let batch = [];
+    let model = null;
+    let lastShown = Date.now();
+    
+    for await (const dirent of dir) {
+      batch.push(dirent);
+      const due = model ? Date.now() - lastShown >= LISTING_REFRESH_MS : batch.length >= FIRST_LISTING_BATCH;
+      if (!due) continue;
+      
+      if (!model) {
+        if (state.localPath !== listedPath) return;
+        model = renderFileList(batch, localFilesList, true, state, setStatus, pullAndroidFileToTemp, viewFile);
+      } else if (!appendFileListItems(localFilesList, batch, model)) {
+        // Another folder is shown by now; leaving the loop closes the directory
+        return;
+      }
+      batch = [];
+      lastShown = Date.now();
+    }
+    
+    if (!model) {
+      if (state.localPath === listedPath) {
+        renderFileList(batch, localFilesList, true, state, setStatus, pullAndroidFileToTemp, viewFile);
+      }
+    } else if (batch.length > 0) {
+      appendFileListItems(localFilesList, batch, model);
+    }
   } catch (err) {
     console.error('Error loading local files:', err);
     localFilesList.innerHTML = `<div class="error">Error: ${err.message}</div>`;
@@ -325,7 +375,446 @@ async function handleItemDoubleClick(e, item, isLocal, state, renderFileList, se
 }
 
 /**
- * Renders a list of files in the specified container
+ * Gets a listed item by name, whether or not its row is rendered
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {string} name - Item name
+ * @returns {Object|null} - Item ({ name, isDir, size, mtime, ... }) or null if it is not listed
+ */
+function getListedItem(container, name) {
+  const model = listModels.get(container);
+  return (model && model.byName.get(name)) || null;
+}
+
+/**
+ * Creates the row element of a listed item
+ *
+ * @param {Object} model - List model
+ * @param {Object} entry - Item from fileListView.describeItem()
+ * @param {number} index - Position of the item in the sorted list
+ * @returns {HTMLElement} - Row element
+ */
+function createRow(model, entry, index) {
+  const { isLocal, state, columns, selectedItems } = model;
+  const { isDir, name } = entry;
+  
+  // Check file type
+  const fileType = getFileType(name);
+  
+  const itemElem = document.createElement('div');
+  itemElem.className = `file-item ${isDir ? 'folder-item' : 'file-item'} ${selectedItems.has(name) ? 'selected' : ''}`;
+  itemElem.style.top = `${index * ROW_HEIGHT}px`;
+  itemElem.style.height = `${ROW_HEIGHT}px`;
+  itemElem.dataset.name = name;
+  itemElem.dataset.isDir = isDir ? 'true' : 'false'; // Add a data attribute to store directory status
+  itemElem.dataset.isLocal = isLocal ? 'true' : 'false'; // Track source type for drag/drop
+  if (fileType) {
+    itemElem.dataset.fileType = fileType;
+  }
+  
+  // Make items draggable for drag and drop
+  itemElem.draggable = 'true';
+  itemElem.dataset.sourcePath = isLocal ? path.join(state.localPath, name) : path.join(state.androidPath, name);
+  itemElem.dataset.isItem = 'true'; // Mark as a draggable item (not a button)
+  
+  let viewButton = '';
+  if (!isDir && fileType) {
+    viewButton = `<button class="view-btn" title="View/Play this file">👁️</button>`;
+  }
+  
+  itemElem.innerHTML = `
+    <div class="file-column file-column-name">
+      <div class="file-icon">${isDir ? '📁' : getFileIcon(fileType)}</div>
+      <div class="file-name">${name}</div>
+      ${viewButton}
+    </div>
+  `;
+  columns.slice(1).forEach(column => {
+    const cell = document.createElement('div');
+    cell.className = `file-column file-column-${column.key}`;
+    cell.dataset.column = column.key;
+    cell.textContent = fileListView.getCellText(entry, column.key, formatFileSize);
+    itemElem.appendChild(cell);
+  });
+  
+  return itemElem;
+}
+
+/**
+ * Renders the rows that are currently scrolled into view
+ *
+ * @param {Object} model - List model
+ */
+function drawRows(model) {
+  const { container, rows, visible } = model;
+  rows.style.height = `${visible.length * ROW_HEIGHT}px`;
+  
+  if (visible.length === 0 && model.entries.length > 0) {
+    rows.innerHTML = model.shownCount > 0
+      ? '<div class="empty-folder">No items match the filter</div>'
+      : '<div class="empty-folder">This folder only has hidden items</div>';
+    return;
+  }
+  
+  const top = Math.max(0, container.scrollTop - rows.offsetTop);
+  const first = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const last = Math.min(visible.length, Math.ceil((top + container.clientHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  
+  const fragment = document.createDocumentFragment();
+  for (let i = first; i < last; i++) {
+    fragment.appendChild(createRow(model, visible[i], i));
+  }
+  rows.innerHTML = '';
+  rows.appendChild(fragment);
+}
+
+/**
+ * Redraws the visible rows at the next animation frame; repeated calls
+ * before then are merged
+ *
+ * @param {Object} model - List model
+ */
+function scheduleDraw(model) {
+  if (model.drawPending) return;
+  model.drawPending = true;
+  requestAnimationFrame(() => {
+    model.drawPending = false;
+    if (listModels.get(model.container) === model) drawRows(model);
+  });
+}
+
+/**
+ * Sorts the list model by the column chosen for its panel and picks the
+ * items that are shown: hidden items are left out as chosen for the panel,
+ * then those the quick filter does not let through
+ *
+ * @param {Object} model - List model
+ */
+function sortModel(model) {
+  model.entries = fileListView.sortEntries(model.entries, model.settings);
+  const shown = model.entries.filter(entry => !hiddenFiles.isHidden(entry.name, model.isLocal, model.windowsHidden));
+  model.shownCount = shown.length;
+  model.visible = model.filter ? shown.filter(model.filter) : shown;
+}
+
+/**
+ * Picks the shown items again and redraws the list. Selected items that are
+ * no longer shown are deselected, so actions never touch items that cannot
+ * be seen.
+ *
+ * @param {Object} model - List model
+ */
+function updateVisibleEntries(model) {
+  sortModel(model);
+  const shownNames = new Set(model.visible.map(entry => entry.name));
+  Array.from(model.selectedItems).forEach(name => {
+    if (!shownNames.has(name)) model.selectedItems.delete(name);
+  });
+  drawRows(model);
+}
+
+/**
+ * Stats the queued local files a batch at a time, without blocking the
+ * window, and shows their sizes and dates as they arrive
+ *
+ * @param {Object} model - List model
+ */
+async function statPendingEntries(model) {
+  if (model.statting) return;
+  model.statting = true;
+  
+  while (model.pendingStats.length > 0 && listModels.get(model.container) === model) {
+    const batch = model.pendingStats.splice(0, STAT_BATCH_SIZE);
+    const results = await Promise.all(batch.map(entry =>
+      fs.promises.stat(path.join(model.listedPath, entry.name)).catch(() => null)));
+    
+    // Broken links and files removed since the listing have no stats
+    results.forEach((stats, i) => {
+      if (stats) fileListView.applyLocalStats(batch[i], stats);
+    });
+    scheduleDraw(model);
+  }
+  
+  model.statting = false;
+  // Sorting by size or date waits for all stats, so rows do not jump around while they arrive
+  if (listModels.get(model.container) === model && ['size', 'mtime', 'mode'].includes(model.settings.sortKey)) {
+    sortModel(model);
+    scheduleDraw(model);
+  }
+}
+
+/**
+ * Adds listed items to a list model and shows them
+ *
+ * @param {Object} model - List model
+ * @param {Array} items - fs.Dirent (local) or adbkit readdir entries (Android)
+ */
+function addEntries(model, items) {
+  const entries = items.map(item => fileListView.describeItem(item, model.isLocal));
+  entries.forEach(entry => model.byName.set(entry.name, entry));
+  model.entries = model.entries.concat(entries);
+  sortModel(model);
+  
+  // Search results are stat'ed while searching
+  if (model.isLocal && !model.search) {
+    model.pendingStats.push(...entries);
+    statPendingEntries(model);
+  }
+  
+  // Search results start empty and fill in as they are found
+  if (model.entries.length === 0 && !model.search) {
+    model.container.innerHTML = '<div class="empty-folder">This folder is empty</div>';
+    return;
+  }
+  drawRows(model);
+}
+
+/**
+ * Adds more items to a rendered list, e.g. the next part of a large folder
+ * or the next search results
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {Array} items - Items to add
+ * @param {Object} model - List model the items belong to
+ * @returns {boolean} - False if the list shows another folder by now
+ */
+function appendFileListItems(container, items, model) {
+  if (listModels.get(container) !== model) return false;
+  addEntries(model, items);
+  return true;
+}
+
+/**
+ * Shows only the listed items a quick filter lets through; filtered out
+ * items are deselected
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {Function|null} filter - (entry) => boolean, null to show every item
+ * @returns {{shown: number, total: number}} - Items shown and items listed (not counting hidden items)
+ */
+function setListFilter(container, filter) {
+  const model = listModels.get(container);
+  if (!model) return { shown: 0, total: 0 };
+  
+  model.filter = filter;
+  container.scrollTop = 0;
+  updateVisibleEntries(model);
+  return { shown: model.visible.length, total: model.shownCount };
+}
+
+/**
+ * Shows or hides the hidden items of a file list after the panel's choice
+ * has changed; items that are hidden now are deselected
+ *
+ * @param {HTMLElement} container - File list element
+ */
+function refreshHiddenItems(container) {
+  const model = listModels.get(container);
+  if (model) updateVisibleEntries(model);
+}
+
+/**
+ * Selects every item shown in a file list; items hidden by the quick filter
+ * are not selected
+ *
+ * @param {HTMLElement} container - File list element
+ */
+function selectAllListed(container) {
+  const model = listModels.get(container);
+  if (!model) return;
+  
+  model.selectedItems.clear();
+  model.visible.forEach(entry => model.selectedItems.add(entry.name));
+  container.querySelectorAll('.file-item').forEach(row => row.classList.add('selected'));
+}
+
+/**
+ * Handles clicks on a file list:
+ * - Single-click: Select items (folders or files)
+ * - Ctrl/Cmd+click: Toggle selection (multi-select)
+ * - Shift+click: Select range of items
+ * - Click on the view button: Open the file viewer overlay
+ *
+ * @param {MouseEvent} e - Click event
+ * @param {Object} model - List model of the clicked list
+ */
+function handleListClick(e, model) {
+  const { container, selectedItems, visible } = model;
+  const itemElem = e.target.closest('.file-item');
+  if (!itemElem) return;
+  
+  if (e.target.classList.contains('view-btn')) {
+    viewListedFile(model, itemElem.dataset.name, itemElem.dataset.fileType);
+    return;
+  }
+  
+  // Store the name for reference
+  const name = itemElem.dataset.name;
+  
+  // Mark the last clicked item for shift selection
+  if (!e.shiftKey) {
+    container.dataset.lastClicked = name;
+  }
+  
+  if (e.ctrlKey || e.metaKey) {
+    // Toggle selection with Ctrl/Cmd
+    if (selectedItems.has(name)) {
+      selectedItems.delete(name);
+    } else {
+      selectedItems.add(name);
+    }
+  } else if (e.shiftKey && container.dataset.lastClicked) {
+    // Shift+click for range selection over the whole list, not only the rendered rows; filtered out items are left out
+    const lastClicked = container.dataset.lastClicked;
+    const startIdx = visible.findIndex(entry => entry.name === lastClicked);
+    const endIdx = visible.findIndex(entry => entry.name === name);
+    
+    if (startIdx !== -1 && endIdx !== -1) {
+      selectedItems.clear();
+      
+      // Select all items in the range
+      for (let i = Math.min(startIdx, endIdx); i <= Math.max(startIdx, endIdx); i++) {
+        selectedItems.add(visible[i].name);
+      }
+    }
+  } else {
+    // Single click selection (not navigating into folders anymore)
+    selectedItems.clear();
+    selectedItems.add(name);
+  }
+  
+  container.querySelectorAll('.file-item').forEach(row => {
+    row.classList.toggle('selected', selectedItems.has(row.dataset.name));
+  });
+}
+
+/**
+ * Opens a listed media file in the viewer overlay; Android files are pulled
+ * to a temporary location first
+ *
+ * @param {Object} model - List model
+ * @param {string} name - File name
+ * @param {string} fileType - Media type from getFileType()
+ */
+async function viewListedFile(model, name, fileType) {
+  const { isLocal, state, setStatus, pullAndroidFileToTemp, viewFile } = model;
+  console.log(`View button clicked for ${isLocal ? 'local' : 'Android'} file:`, name);
+  
+  // Use the directly imported viewFile if available, or the passed one as fallback
+  const show = (filePath) => {
+    if (typeof viewFile === 'function') {
+      viewFile(filePath, name, fileType, isLocal);
+    } else if (uiOps && typeof uiOps.viewFile === 'function') {
+      uiOps.viewFile(filePath, name, fileType, isLocal);
+    } else {
+      console.error('viewFile function not available');
+    }
+  };
+  
+  if (isLocal) {
+    show(path.join(state.localPath, name));
+    return;
+  }
+  
+  // For Android files, we need to pull the file to a temporary location first
+  console.log('Pulling Android file for viewing:', name);
+  setStatus(`Preparing ${name} for viewing...`);
+  
+  try {
+    // Search results are named by their path; the temporary copy only gets the file name
+    const tempFile = await pullAndroidFileToTemp(state.selectedDevice, 
+                                               path.join(state.androidPath, name).replace(/\\/g, '/'),
+                                               path.posix.basename(name));
+    show(tempFile);
+    setStatus(`Viewing: ${name}`);
+  } catch (err) {
+    console.error('Error preparing file for viewing:', err);
+    setStatus(`Error: ${err.message}`);
+  }
+}
+
+/**
+ * Attaches the event handlers of a file list element. They are attached once
+ * and look up the list model, because rows are created and dropped while
+ * scrolling.
+ *
+ * @param {HTMLElement} container - File list element
+ */
+function bindListEvents(container) {
+  if (container.dataset.listEventsBound) return;
+  container.dataset.listEventsBound = 'true';
+  
+  container.addEventListener('scroll', () => {
+    const model = listModels.get(container);
+    if (model) scheduleDraw(model);
+  });
+  new ResizeObserver(() => {
+    const model = listModels.get(container);
+    if (model) scheduleDraw(model);
+  }).observe(container);
+  
+  container.addEventListener('click', (e) => {
+    const model = listModels.get(container);
+    if (model) handleListClick(e, model);
+  });
+  
+  /**
+   * Handle double-click for folder navigation
+   */
+  container.addEventListener('dblclick', (e) => {
+    const model = listModels.get(container);
+    const itemElem = e.target.closest('.file-item');
+    if (!model || !itemElem) return;
+    handleItemDoubleClick(e, itemElem, model.isLocal, model.state, model.renderFileList, model.setStatus, model.pullAndroidFileToTemp, model.viewFile);
+  });
+  
+  /**
+   * Handle drag start event
+   * Initiates drag operation with item data
+   */
+  container.addEventListener('dragstart', (e) => {
+    const itemElem = e.target.closest && e.target.closest('.file-item');
+    if (!itemElem) return;
+    
+    // Store dragged item data for transfer
+    const name = itemElem.dataset.name;
+    const isDir = itemElem.dataset.isDir === 'true';
+    const isLocal = itemElem.dataset.isLocal === 'true';
+    const sourcePath = itemElem.dataset.sourcePath;
+    
+    // Create drag data
+    e.dataTransfer.effectAllowed = 'copyMove';
+    e.dataTransfer.setData('text/plain', JSON.stringify({
+      name: name,
+      isDir: isDir,
+      isLocal: isLocal,
+      sourcePath: sourcePath,
+      isItem: true
+    }));
+    
+    // Add dragging class for visual feedback
+    itemElem.classList.add('dragging');
+    
+    console.log(`Dragging ${isLocal ? 'local' : 'Android'} item: ${name}`);
+  });
+  
+  container.addEventListener('dragend', (e) => {
+    // Remove dragging class when drag ends
+    const itemElem = e.target.closest && e.target.closest('.file-item');
+    if (itemElem) itemElem.classList.remove('dragging');
+  });
+}
+
+/**
+ * Renders a list of files in the specified container as a details view,
+ * sorted by the column chosen for the panel. Only the rows scrolled into
+ * view exist in the DOM, so folders with tens of thousands of entries open
+ * straight away; local sizes and dates are filled in as they are read.
+ * 
+ * Search results are rendered the same way, named by their path below the
+ * open folder, so they can be selected, transferred and deleted like the
+ * folder's own items. A 'file-list-rendered' event ({ search, listedPath })
+ * is fired on the container whenever the list is replaced.
  * 
  * @param {Array} items - Array of file items to render
  * @param {HTMLElement} container - DOM element to render the file list into
@@ -334,231 +823,87 @@ async function handleItemDoubleClick(e, item, isLocal, state, renderFileList, se
  * @param {Function} setStatus - Function to set status message
  * @param {Function} pullAndroidFileToTemp - Function to pull Android files to temp
  * @param {Function} viewFile - Function to view files
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.search] - The items are search results ({ name, isDir, size, mtime, mode })
+ * @returns {Object} - List model; pass it to appendFileListItems() to add more items
  */
-function renderFileList(items, container, isLocal, state, setStatus, pullAndroidFileToTemp, viewFile) {
+function renderFileList(items, container, isLocal, state, setStatus, pullAndroidFileToTemp, viewFile, options = {}) {
+  const search = Boolean(options.search);
+  
+  // Start at the top of a newly opened folder or search; a refreshed one keeps its position
+  const listedPath = isLocal ? state.localPath : state.androidPath;
+  const previous = listModels.get(container);
+  if (!previous || previous.listedPath !== listedPath || previous.search !== search) {
+    container.scrollTop = 0;
+  }
   container.innerHTML = '';
   
   // Ensure selected items collections exist
   if (!state.localSelectedItems) state.localSelectedItems = new Set();
   if (!state.androidSelectedItems) state.androidSelectedItems = new Set();
   
-  const selectedItems = isLocal ? state.localSelectedItems : state.androidSelectedItems;
-  
-  // Sort: directories first, then files, alphabetically
-  const sortedItems = [...items].sort((a, b) => {
-    // For Android, use mode to check if directory (mode & 0x4000 for directories in Unix)
-    const aIsDir = isLocal ? a.isDirectory() : ((a.mode & 0x4000) === 0x4000);
-    const bIsDir = isLocal ? b.isDirectory() : ((b.mode & 0x4000) === 0x4000);
-    
-    if (aIsDir && !bIsDir) return -1;
-    if (!aIsDir && bIsDir) return 1;
-    
-    const aName = isLocal ? a.name : a.name;
-    const bName = isLocal ? b.name : b.name;
-    return aName.localeCompare(bName);
-  });
+  const model = {
+    container,
+    isLocal,
+    state,
+    setStatus,
+    pullAndroidFileToTemp,
+    viewFile,
+    renderFileList,
+    selectedItems: isLocal ? state.localSelectedItems : state.androidSelectedItems,
+    listedPath,
+    search,
+    settings: fileListView.loadViewSettings(isLocal),
+    columns: fileListView.getColumns(isLocal),
+    entries: [],            // Items in display order
+    visible: [],            // Items shown (not hidden, let through by the quick filter), in display order
+    shownCount: 0,          // Items that are not hidden
+    filter: null,           // Quick filter (entry => boolean), null to show everything
+    windowsHidden: null,    // Names with the Windows hidden attribute, once known
+    byName: new Map(),      // Items by name
+    pendingStats: [],       // Local items whose size and date have not been read yet
+    statting: false,
+    drawPending: false,
+    rows: document.createElement('div')
+  };
+  listModels.set(container, model);
+  bindListEvents(container);
   
   // Add a CSS class to the container that marks it as a file list
   container.classList.add('file-list-container');
+  fileListView.applyColumnWidths(container, isLocal, model.settings);
+  container.appendChild(fileListView.createHeader(container, isLocal, model.settings, () => {
+    sortModel(model);
+    drawRows(model);
+  }));
+  model.rows.className = 'file-list-rows';
+  container.appendChild(model.rows);
   
-  sortedItems.forEach(item => {
-    // For Android, use mode to check if directory (mode & 0x4000 for directories in Unix)
-    const isDir = isLocal ? item.isDirectory() : ((item.mode & 0x4000) === 0x4000);
-    const name = isLocal ? item.name : item.name;
-    const size = isLocal ? (isDir ? '-' : formatFileSize(fs.statSync(path.join(state.localPath, name)).size)) 
-                          : (isDir ? '-' : formatFileSize(item.size));
-    
-    // Check file type
-    const fileType = getFileType(name);
-    
-    const itemElem = document.createElement('div');
-    itemElem.className = `file-item ${isDir ? 'folder-item' : 'file-item'} ${selectedItems.has(name) ? 'selected' : ''}`;
-    itemElem.dataset.name = name;
-    itemElem.dataset.isDir = isDir ? 'true' : 'false'; // Add a data attribute to store directory status
-    itemElem.dataset.isLocal = isLocal ? 'true' : 'false'; // Track source type for drag/drop
-    if (fileType) {
-      itemElem.dataset.fileType = fileType;
-    }
-    
-    // Make items draggable for drag and drop
-    itemElem.draggable = 'true';
-    itemElem.dataset.sourcePath = isLocal ? path.join(state.localPath, name) : path.join(state.androidPath, name);
-    itemElem.dataset.isItem = 'true'; // Mark as a draggable item (not a button)
-    
-    let viewButton = '';
-    if (!isDir && fileType) {
-      viewButton = `<button class="view-btn" title="View/Play this file">👁️</button>`;
-    }
-    
-    itemElem.innerHTML = `
-      <div class="file-icon">${isDir ? '📁' : getFileIcon(fileType)}</div>
-      <div class="file-name">${name}</div>
-      <div class="file-size">${size}</div>
-      ${viewButton}
-    `;
-    
-    /**
-     * Handle click events on file items:
-     * - Single-click: Select items (folders or files)
-     * - Ctrl/Cmd+click: Toggle selection (multi-select)
-     * - Shift+click: Select range of items
-     * - Double-click: Navigate into folders
-     */
-    itemElem.addEventListener('click', (e) => {
-      // Skip click handling if view button was clicked
-      if (e.target.classList.contains('view-btn')) {
-        return;
-      }
-      
-      // Store the name for reference
-      const name = itemElem.dataset.name;
-      const isDir = itemElem.dataset.isDir === 'true';
-      
-      // Mark the last clicked item for shift selection
-      if (!e.shiftKey) {
-        container.dataset.lastClicked = name;
-      }
-      
-      if (e.ctrlKey || e.metaKey) {
-        // Toggle selection with Ctrl/Cmd
-        if (selectedItems.has(name)) {
-          selectedItems.delete(name);
-          itemElem.classList.remove('selected');
-        } else {
-          selectedItems.add(name);
-          itemElem.classList.add('selected');
-        }
-      } else if (e.shiftKey && container.dataset.lastClicked) {
-        // Shift+click for range selection
-        const lastClicked = container.dataset.lastClicked;
-        
-        // Find all items between last clicked and current
-        const fileItems = Array.from(container.querySelectorAll('.file-item'));
-        const startIdx = fileItems.findIndex(item => item.dataset.name === lastClicked);
-        const endIdx = fileItems.findIndex(item => item.dataset.name === name);
-        
-        if (startIdx !== -1 && endIdx !== -1) {
-          // Clear current selection
-          if (!e.ctrlKey && !e.metaKey) {
-            selectedItems.clear();
-            fileItems.forEach(item => item.classList.remove('selected'));
-          }
-          
-          // Determine range start and end
-          const rangeStart = Math.min(startIdx, endIdx);
-          const rangeEnd = Math.max(startIdx, endIdx);
-          
-          // Select all items in the range
-          for (let i = rangeStart; i <= rangeEnd; i++) {
-            const rangeItem = fileItems[i];
-            selectedItems.add(rangeItem.dataset.name);
-            rangeItem.classList.add('selected');
-          }
-        }
-      } else {
-        // Single click selection (not navigating into folders anymore)
-        if (!e.ctrlKey && !e.metaKey && !e.shiftKey) {
-          // Clear selection and select this item
-          selectedItems.clear();
-          container.querySelectorAll('.file-item').forEach(item => {
-            item.classList.remove('selected');
-          });
-        }
-        
-        selectedItems.add(name);
-        itemElem.classList.add('selected');
-      }
-    });
-
-    /**
-     * Handle double-click for folder navigation
-     */
-    itemElem.addEventListener('dblclick', (e) => handleItemDoubleClick(e, itemElem, isLocal, state, renderFileList, setStatus, pullAndroidFileToTemp, viewFile));
-    
-    /**
-     * Handle drag start event
-     * Initiates drag operation with item data
-     */
-    itemElem.addEventListener('dragstart', (e) => {
-      // Store dragged item data for transfer
-      const name = itemElem.dataset.name;
-      const isDir = itemElem.dataset.isDir === 'true';
-      const isLocal = itemElem.dataset.isLocal === 'true';
-      const sourcePath = itemElem.dataset.sourcePath;
-      
-      // Create drag data
-      e.dataTransfer.effectAllowed = 'copy';
-      e.dataTransfer.setData('text/plain', JSON.stringify({
-        name: name,
-        isDir: isDir,
-        isLocal: isLocal,
-        sourcePath: sourcePath,
-        isItem: true
-      }));
-      
-      // Add dragging class for visual feedback
-      itemElem.classList.add('dragging');
-      
-      console.log(`Dragging ${isLocal ? 'local' : 'Android'} item: ${name}`);
-    });
-    
-    itemElem.addEventListener('dragend', () => {
-      // Remove dragging class when drag ends
-      itemElem.classList.remove('dragging');
+  addEntries(model, items);
+  container.dispatchEvent(new CustomEvent('file-list-rendered', { detail: { search, listedPath } }));
+  
+  if (isLocal && process.platform === 'win32') {
+    // The hidden attribute needs a dir command, so hidden items disappear once it has run
+    localFS.getWindowsHiddenNames(listedPath).then(names => {
+      if (listModels.get(container) !== model || names.size === 0) return;
+      model.windowsHidden = names;
+      updateVisibleEntries(model);
     });
-    
-    /**
-     * Handle view button click for media files
-     * Opens the file viewer overlay
-     */
-    if (!isDir && fileType) {
-      const viewBtn = itemElem.querySelector('.view-btn');
-      if (viewBtn) {
-        viewBtn.addEventListener('click', async () => {
-          console.log(`View button clicked for ${isLocal ? 'local' : 'Android'} file:`, name);
-          if (isLocal) {
-            const filePath = path.join(state.localPath, name);
-            // Use the directly imported viewFile if available, or the passed one as fallback
-            if (typeof viewFile === 'function') {
-              viewFile(filePath, name, fileType, true);
-            } else if (uiOps && typeof uiOps.viewFile === 'function') {
-              uiOps.viewFile(filePath, name, fileType, true);
-            } else {
-              console.error('viewFile function not available');
-            }
-          } else {
-            // For Android files, we need to pull the file to a temporary location first
-            console.log('Pulling Android file for viewing:', name);
-            setStatus(`Preparing ${name} for viewing...`);
-            
-            try {
-              const tempFile = await pullAndroidFileToTemp(state.selectedDevice, 
-                                                         path.join(state.androidPath, name).replace(/\\/g, '/'),
-                                                         name);
-              // Use the directly imported viewFile if available, or the passed one as fallback
-              if (typeof viewFile === 'function') {
-                viewFile(tempFile, name, fileType, false);
-              } else if (uiOps && typeof uiOps.viewFile === 'function') {
-                uiOps.viewFile(tempFile, name, fileType, false);
-              } else {
-                console.error('viewFile function not available');
-              }
-              setStatus(`Viewing: ${name}`);
-            } catch (err) {
-              console.error('Error preparing file for viewing:', err);
-              setStatus(`Error: ${err.message}`);
-            }
-          }
-        });
-      }
-    }
-    
-    container.appendChild(itemElem);
-  });
+  }
   
-  if (items.length === 0) {
-    container.innerHTML = '<div class="empty-folder">This folder is empty</div>';
+  if (!isLocal && !search && items.length > 0) {
+    // Owners need a shell command, so they are filled in once the list is shown
+    fileListView.loadOwners(state.selectedDevice, model.listedPath)
+      .then(owners => {
+        if (listModels.get(container) !== model) return;
+        model.entries.forEach(entry => fileListView.applyOwner(entry, owners));
+        if (model.settings.sortKey === 'owner') sortModel(model);
+        scheduleDraw(model);
+      })
+      .catch(err => console.error('Error loading owners:', err));
   }
+  
+  return model;
 }
 
 // Export functions
@@ -566,6 +911,11 @@ module.exports = {
   loadLocalFiles,
   loadAndroidFiles,
   renderFileList,
+  appendFileListItems,
+  setListFilter,
+  refreshHiddenItems,
+  selectAllListed,
+  getListedItem,
   getFileIcon,
   getFileType,
   formatFileSize,
@@ -0,0 +1,343 @@
+/**
+ * filenameCompat.js
+ * Makes file names fit the file system they are transferred to. Names that
+ * are not allowed there (Windows reserved names and characters, characters
+ * Android shared storage rejects, ...) get a predictable replacement, and
+ * names that would end up as the same file on a case-insensitive file system
+ * are numbered. The changes are shown to the user before anything is queued.
+ */
+
+// Longest file name, in UTF-8 bytes, most file systems accept
+const MAX_NAME_BYTES = 255;
+
+// Number of renamed items listed in the report; the rest are summarised
+const MAX_REPORT_ROWS = 200;
+
+// Naming rules of the file systems files can be transferred to
+const NAME_RULES = {
+  windows: {
+    label: 'Windows',
+    invalidChars: /[<>:"/\\|?*\x00-\x1F]/g,
+    reservedNames: /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])(\..*)?$/i,
+    noTrailingDotOrSpace: true,
+    caseInsensitive: true
+  },
+  mac: {
+    label: 'macOS',
+    invalidChars: /[:/\x00]/g,
+    reservedNames: null,
+    noTrailingDotOrSpace: false,
+    caseInsensitive: true
+  },
+  linux: {
+    label: 'Linux',
+    invalidChars: /[/\x00]/g,
+    reservedNames: null,
+    noTrailingDotOrSpace: false,
+    caseInsensitive: false
+  },
+  // Shared storage (/sdcard) follows FAT naming rules and ignores case
+  android: {
+    label: 'Android',
+    invalidChars: /[<>:"/\\|?*\x00-\x1F\x7F]/g,
+    reservedNames: null,
+    noTrailingDotOrSpace: false,
+    caseInsensitive: true
+  }
+};
+
+/**
+ * Gets the naming rules of a transfer destination
+ *
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @returns {string} - Key of NAME_RULES
+ */
+function getTargetPlatform(isRemote) {
+  if (isRemote) return 'android';
+  if (process.platform === 'win32') return 'windows';
+  if (process.platform === 'darwin') return 'mac';
+  return 'linux';
+}
+
+/**
+ * Splits a file name into base name and extension ("a.tar.gz" -> "a.tar", ".gz")
+ *
+ * @param {string} name - File name
+ * @returns {{base: string, ext: string}} - Base name and extension (with the dot)
+ */
+function splitExtension(name) {
+  const dot = name.lastIndexOf('.');
+  if (dot <= 0) return { base: name, ext: '' };
+  return { base: name.slice(0, dot), ext: name.slice(dot) };
+}
+
+/**
+ * Replaces the parts of a name that are not allowed on a platform. The same
+ * name always gets the same replacement: invalid characters and trailing dots
+ * or spaces become "_", reserved names get a "_" prefix and overlong names are
+ * shortened before their extension.
+ *
+ * @param {string} name - File or folder name
+ * @param {string} platform - Key of NAME_RULES
+ * @returns {{name: string, reasons: Array<string>}} - Name to use, and why it was changed (empty if unchanged)
+ */
+function sanitizeFileName(name, platform) {
+  const rules = NAME_RULES[platform];
+  const reasons = [];
+  let result = name;
+
+  const invalid = result.match(rules.invalidChars);
+  if (invalid) {
+    const shown = new Set(invalid.map(char => (/[\x00-\x1F\x7F]/.test(char) ? 'control characters' : char)));
+    reasons.push(`${[...shown].join(' ')} not allowed on ${rules.label}`);
+    result = result.replace(rules.invalidChars, '_');
+  }
+
+  if (rules.noTrailingDotOrSpace && /[. ]+$/.test(result)) {
+    reasons.push(`ends with a dot or space, which ${rules.label} drops`);
+    result = result.replace(/[. ]+$/, trailing => '_'.repeat(trailing.length));
+  }
+
+  if (rules.reservedNames && rules.reservedNames.test(result)) {
+    reasons.push(`reserved name on ${rules.label}`);
+    result = `_${result}`;
+  }
+
+  if (Buffer.byteLength(result) > MAX_NAME_BYTES) {
+    reasons.push(`longer than ${MAX_NAME_BYTES} bytes`);
+    let { base, ext } = splitExtension(result);
+    if (Buffer.byteLength(ext) > MAX_NAME_BYTES / 2) {
+      base = result;
+      ext = '';
+    }
+    while (Buffer.byteLength(base + ext) > MAX_NAME_BYTES) {
+      base = Array.from(base).slice(0, -1).join('');
+    }
+    result = base + ext;
+  }
+
+  if (!result) {
+    reasons.push('empty name');
+    result = '_';
+  }
+
+  return { name: result, reasons };
+}
+
+/**
+ * Checks the names of a batch of items against the destination platform.
+ * Every path segment is sanitised, and names that end up the same in one
+ * folder (after sanitising, or differing only in case on a case-insensitive
+ * file system) are numbered "name (1).ext", "name (2).ext". Names that need no
+ * change keep them; within a folder items are handled in sorted order, so the
+ * same batch always maps the same way.
+ *
+ * @param {Array<string>} relativePaths - Item paths relative to the batch root, "/" separated
+ * @param {string} platform - Key of NAME_RULES
+ * @returns {{issues: Array<Object>, mapPath: Function}} - Renamed items ({ path, name, newName, reasons }) and a function mapping a relative path to the one to use
+ */
+function checkBatchNames(relativePaths, platform) {
+  const rules = NAME_RULES[platform];
+  const fold = name => (rules.caseInsensitive ? name.toLowerCase() : name);
+
+  // Group every item, including folders only implied by a file path, by parent folder
+  const children = new Map();
+  const addPath = (relativePath) => {
+    const slash = relativePath.lastIndexOf('/');
+    const parent = slash < 0 ? '' : relativePath.slice(0, slash);
+    if (!children.has(parent)) children.set(parent, new Set());
+    if (children.get(parent).has(relativePath)) return;
+    children.get(parent).add(relativePath);
+    if (parent) addPath(parent);
+  };
+  relativePaths.filter(Boolean).forEach(addPath);
+
+  const mapped = new Map([['', '']]);
+  const issues = [];
+
+  // Parents are mapped before their children
+  const parents = [...children.keys()].sort((a, b) => a.split('/').length - b.split('/').length || (a < b ? -1 : 1));
+  parents.forEach(parent => {
+    const parentTarget = mapped.get(parent);
+    const used = new Map();
+    const entries = [...children.get(parent)].sort().map(relativePath => {
+      const name = relativePath.slice(parent ? parent.length + 1 : 0);
+      const { name: sanitized, reasons } = sanitizeFileName(name, platform);
+      return { relativePath, name, sanitized, reasons };
+    });
+
+    const claim = (entry, newName) => {
+      used.set(fold(newName), entry.name);
+      mapped.set(entry.relativePath, parentTarget ? `${parentTarget}/${newName}` : newName);
+      if (newName !== entry.name) {
+        issues.push({ path: entry.relativePath, name: entry.name, newName, reasons: entry.reasons });
+      }
+    };
+
+    // Unchanged names first, so they win over names that only clash after sanitising
+    const ordered = entries.filter(entry => entry.reasons.length === 0)
+      .concat(entries.filter(entry => entry.reasons.length > 0));
+    ordered.forEach(entry => {
+      if (!used.has(fold(entry.sanitized))) {
+        claim(entry, entry.sanitized);
+        return;
+      }
+
+      const clash = used.get(fold(entry.sanitized));
+      entry.reasons = entry.reasons.concat(entry.reasons.length === 0
+        ? `differs only in case from "${clash}"`
+        : `same name as "${clash}" after renaming`);
+
+      const { base, ext } = splitExtension(entry.sanitized);
+      let counter = 1;
+      while (used.has(fold(`${base} (${counter})${ext}`))) counter++;
+      claim(entry, `${base} (${counter})${ext}`);
+    });
+  });
+
+  issues.sort((a, b) => (a.path < b.path ? -1 : 1));
+  const mapPath = (relativePath) => (mapped.has(relativePath) ? mapped.get(relativePath) : relativePath);
+  return { issues, mapPath };
+}
+
+/**
+ * Shows the items that will be renamed and lets the user continue or cancel
+ *
+ * @param {Array<Object>} issues - Renamed items from checkBatchNames()
+ * @param {string} platform - Key of NAME_RULES
+ * @returns {Promise<{proceed: boolean, dontAskAgain: boolean}>} - The user's choice
+ */
+function showRenameReport(issues, platform) {
+  return new Promise((resolve) => {
+    // Create the modal container if it doesn't exist
+    let modalContainer = document.getElementById('custom-modal-container');
+    if (!modalContainer) {
+      modalContainer = document.createElement('div');
+      modalContainer.id = 'custom-modal-container';
+      document.body.appendChild(modalContainer);
+    } else {
+      modalContainer.innerHTML = ''; // Clear any existing content
+    }
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content rename-report';
+
+    const title = document.createElement('h3');
+    title.textContent = issues.length === 1 ? '1 Name Will Be Changed' : `${issues.length} Names Will Be Changed`;
+
+    const description = document.createElement('div');
+    description.className = 'conflict-details';
+    description.textContent = `These names cannot be used on ${NAME_RULES[platform].label} as they are. ` +
+      'The items will be transferred under the new names:';
+
+    const list = document.createElement('div');
+    list.className = 'rename-report-list';
+    issues.slice(0, MAX_REPORT_ROWS).forEach(issue => {
+      const row = document.createElement('div');
+      row.className = 'rename-report-row';
+
+      const names = document.createElement('div');
+      names.textContent = `${issue.path} → ${issue.newName}`;
+      names.title = issue.path;
+
+      const reason = document.createElement('div');
+      reason.className = 'rename-report-reason';
+      reason.textContent = issue.reasons.join('; ');
+
+      row.appendChild(names);
+      row.appendChild(reason);
+      list.appendChild(row);
+    });
+    if (issues.length > MAX_REPORT_ROWS) {
+      const more = document.createElement('div');
+      more.className = 'rename-report-reason';
+      more.textContent = `…and ${issues.length - MAX_REPORT_ROWS} more (see the developer console)`;
+      list.appendChild(more);
+    }
+
+    const applyLabel = document.createElement('label');
+    applyLabel.className = 'conflict-option conflict-apply-all';
+    const applyCheckbox = document.createElement('input');
+    applyCheckbox.type = 'checkbox';
+    applyLabel.appendChild(applyCheckbox);
+    applyLabel.appendChild(document.createTextNode('Rename without asking for the rest of this transfer'));
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-btn';
+    cancelButton.textContent = 'Cancel Transfer';
+
+    const continueButton = document.createElement('button');
+    continueButton.className = 'create-btn';
+    continueButton.textContent = 'Continue';
+
+    buttonGroup.appendChild(cancelButton);
+    buttonGroup.appendChild(continueButton);
+
+    modalContent.appendChild(title);
+    modalContent.appendChild(description);
+    modalContent.appendChild(list);
+    modalContent.appendChild(applyLabel);
+    modalContent.appendChild(buttonGroup);
+    modalContainer.appendChild(modalContent);
+
+    const close = (proceed) => {
+      document.removeEventListener('keyup', onKeyUp);
+      document.body.removeChild(modalContainer);
+      resolve({ proceed, dontAskAgain: applyCheckbox.checked });
+    };
+
+    const onKeyUp = (e) => {
+      if (e.key === 'Enter') {
+        continueButton.click();
+      } else if (e.key === 'Escape') {
+        cancelButton.click();
+      }
+    };
+    document.addEventListener('keyup', onKeyUp);
+
+    cancelButton.addEventListener('click', () => close(false));
+    continueButton.addEventListener('click', () => close(true));
+  });
+}
+
+/**
+ * Checks the names of a batch and, if any have to change, asks the user
+ * before the batch is queued. Cancelling stops the whole operation.
+ *
+ * @param {Object} session - Conflict session of the operation (may be null)
+ * @param {Array<string>} relativePaths - Item paths relative to the batch root, "/" separated
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @returns {Promise<Function|null>} - Function mapping a relative path to the one to use, or null if cancelled
+ */
+async function resolveBatchNames(session, relativePaths, isRemote) {
+  if (session && session.cancelled) return null;
+
+  const platform = getTargetPlatform(isRemote);
+  const { issues, mapPath } = checkBatchNames(relativePaths, platform);
+  if (issues.length === 0) return mapPath;
+
+  issues.forEach(issue => {
+    console.log(`Renaming for ${NAME_RULES[platform].label}: ${issue.path} -> ${issue.newName} (${issue.reasons.join('; ')})`);
+  });
+
+  if (session && session.namesConfirmed) return mapPath;
+
+  const { proceed, dontAskAgain } = await showRenameReport(issues, platform);
+  if (!proceed) {
+    if (session) session.cancelled = true;
+    return null;
+  }
+  if (session && dontAskAgain) session.namesConfirmed = true;
+  return mapPath;
+}
+
+// Export functions
+module.exports = {
+  getTargetPlatform,
+  sanitizeFileName,
+  checkBatchNames,
+  resolveBatchNames
+};
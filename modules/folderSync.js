@@ -0,0 +1,910 @@
+/**
+ * folderSync.js
+ * One-way folder sync (mirror) between a local folder and a folder on the
+ * Android device. Both trees are compared by size and modification time, the
+ * resulting plan is shown as a preview, and only the difference is transferred.
+ */
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+const fs = require('fs');
+const { formatFileSize } = require('./fileSystem');
+const { listAndroidFilesRecursively, enqueueTransfers } = require('./transferOperations');
+const { removeLocalItem } = require('./localFileSystem');
+const { deleteAndroidItem } = require('./deviceManagement');
+
+// Modification times closer than this are treated as equal (FAT stores times in 2 second steps)
+const MTIME_TOLERANCE_MS = 2000;
+
+// Maximum number of plan entries listed in the preview
+const MAX_PREVIEW_ENTRIES = 500;
+
+/**
+ * Lists a local folder as a tree keyed by relative path ('/' separated)
+ *
+ * @param {string} rootPath - Local folder
+ * @returns {{exists: boolean, files: Map<string, Object>, directories: Set<string>}} - Files ({ size, mtime }) and directories
+ */
+function listLocalTree(rootPath) {
+  const tree = { exists: fs.existsSync(rootPath), files: new Map(), directories: new Set() };
+  if (!tree.exists) return tree;
+
+  function walk(dirPath, relativeDir) {
+    const items = fs.readdirSync(dirPath, { withFileTypes: true });
+
+    for (const item of items) {
+      const itemPath = path.join(dirPath, item.name);
+      const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+
+      if (item.isDirectory()) {
+        tree.directories.add(relativePath);
+        walk(itemPath, relativePath);
+      } else if (item.isFile()) {
+        const stats = fs.statSync(itemPath);
+        tree.files.set(relativePath, { size: stats.size, mtime: stats.mtimeMs });
+      }
+    }
+  }
+
+  walk(rootPath, '');
+  return tree;
+}
+
+/**
+ * Lists a folder on the Android device as a tree keyed by relative path
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} rootPath - Folder on the Android device
+ * @param {boolean} mustExist - Whether a missing folder is an error (true for the sync source)
+ * @returns {Promise<{exists: boolean, files: Map<string, Object>, directories: Set<string>}>} - Files ({ size, mtime }) and directories
+ */
+async function listAndroidTree(deviceId, rootPath, mustExist) {
+  const tree = { exists: true, files: new Map(), directories: new Set() };
+  const root = rootPath.replace(/\/+$/, '');
+
+  // Listing a missing folder gives an empty listing rather than an error, so the folder is checked first
+  const rootStats = await ipcRenderer.invoke('stat-android-item', { deviceId, path: root || '/' });
+  if (!rootStats.exists) {
+    if (mustExist) {
+      throw new Error(`Android folder does not exist: ${rootPath}`);
+    }
+    tree.exists = false;
+    return tree;
+  }
+
+  const listing = await listAndroidFilesRecursively(deviceId, root || '/');
+
+  const toRelative = itemPath => path.posix.relative(root || '/', itemPath);
+  listing.directories.forEach(dir => tree.directories.add(toRelative(dir.path)));
+  listing.files.forEach(file => tree.files.set(toRelative(file.path), { size: file.size, mtime: file.mtime }));
+
+  return tree;
+}
+
+/**
+ * Checks whether a relative path lies inside one of the given directories
+ *
+ * @param {string} relativePath - Path to check
+ * @param {Set<string>} directories - Relative directory paths
+ * @returns {boolean} - True if an ancestor of the path is in the set
+ */
+function isInsideAny(relativePath, directories) {
+  let parent = path.posix.dirname(relativePath);
+  while (parent !== '.' && parent !== '/') {
+    if (directories.has(parent)) return true;
+    parent = path.posix.dirname(parent);
+  }
+  return false;
+}
+
+/**
+ * Compares the source and destination folders and builds the sync plan.
+ * Nothing is changed on either side.
+ *
+ * @param {Object} options - Sync options
+ * @param {string} options.deviceId - Android device ID
+ * @param {string} options.localRoot - Local folder
+ * @param {string} options.androidRoot - Folder on the Android device
+ * @param {string} options.direction - 'toAndroid' (device mirrors local) or 'toLocal' (local mirrors device)
+ * @param {boolean} options.deleteExtraneous - Delete destination files that are not in the source
+ * @returns {Promise<Object>} - Sync plan
+ */
+async function buildSyncPlan({ deviceId, localRoot, androidRoot, direction, deleteExtraneous }) {
+  const toAndroid = direction === 'toAndroid';
+
+  const localTree = toAndroid ? listLocalTree(localRoot) : null;
+  if (localTree && !localTree.exists) {
+    throw new Error(`Local folder does not exist: ${localRoot}`);
+  }
+  const androidTree = await listAndroidTree(deviceId, androidRoot, !toAndroid);
+  const source = toAndroid ? localTree : androidTree;
+  const destination = toAndroid ? androidTree : listLocalTree(localRoot);
+
+  const plan = {
+    direction,
+    deviceId,
+    localRoot,
+    androidRoot,
+    deleteExtraneous,
+    destinationExists: destination.exists,
+    copy: [],               // Files missing from the destination
+    update: [],             // Files whose size or modification time differ
+    delete: [],             // Destination files/directories not in the source
+    createDirectories: [],  // Source directories missing from the destination
+    unchanged: 0,
+    totalBytes: 0
+  };
+
+  source.directories.forEach(dir => {
+    if (!destination.directories.has(dir)) {
+      plan.createDirectories.push(dir);
+    }
+  });
+  plan.createDirectories.sort();
+
+  source.files.forEach((stats, relativePath) => {
+    const existing = destination.files.get(relativePath);
+    const entry = { relativePath, size: stats.size, mtime: stats.mtime };
+
+    if (!existing) {
+      plan.copy.push(entry);
+    } else if (existing.size !== stats.size || stats.mtime - existing.mtime > MTIME_TOLERANCE_MS) {
+      plan.update.push(entry);
+    } else {
+      plan.unchanged++;
+      return;
+    }
+    plan.totalBytes += stats.size;
+  });
+
+  if (deleteExtraneous) {
+    // Only the topmost extraneous directory is listed; deleting it removes its contents
+    const extraDirectories = new Set([...destination.directories].filter(dir => !source.directories.has(dir)));
+
+    extraDirectories.forEach(dir => {
+      if (!isInsideAny(dir, extraDirectories)) {
+        plan.delete.push({ relativePath: dir, isDirectory: true, size: 0 });
+      }
+    });
+    destination.files.forEach((stats, relativePath) => {
+      if (!source.files.has(relativePath) && !isInsideAny(relativePath, extraDirectories)) {
+        plan.delete.push({ relativePath, isDirectory: false, size: stats.size });
+      }
+    });
+  }
+
+  plan.copy.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  plan.update.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  plan.delete.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  console.log(`Sync plan (${direction}): ${plan.copy.length} new, ${plan.update.length} changed, ${plan.delete.length} to delete, ${plan.unchanged} unchanged`);
+  return plan;
+}
+
+/**
+ * Gets the local and Android paths of a plan entry
+ *
+ * @param {Object} plan - Sync plan
+ * @param {string} relativePath - Path relative to the synced folders
+ * @returns {{localPath: string, androidPath: string}} - Paths on both sides
+ */
+function resolveEntryPaths(plan, relativePath) {
+  return {
+    localPath: path.join(plan.localRoot, ...relativePath.split('/')),
+    androidPath: path.posix.join(plan.androidRoot, relativePath)
+  };
+}
+
+/**
+ * Executes a sync plan: deletes extraneous items, creates missing directories
+ * and queues the new and changed files
+ *
+ * @param {Object} plan - Plan from buildSyncPlan()
+ * @param {Function} setStatus - Function to set status message
+ * @returns {Promise<{queued: number, deleted: number, errors: number}>} - Result counts
+ */
+async function executeSyncPlan(plan, setStatus) {
+  const toAndroid = plan.direction === 'toAndroid';
+  let deleted = 0;
+  let errors = 0;
+
+  for (const entry of plan.delete) {
+    const { localPath, androidPath } = resolveEntryPaths(plan, entry.relativePath);
+    try {
+      setStatus(`Sync: deleting ${entry.relativePath}`);
+      if (toAndroid) {
+        await deleteAndroidItem(plan.deviceId, androidPath, entry.isDirectory);
+      } else {
+        await removeLocalItem(localPath, entry.isDirectory);
+      }
+      deleted++;
+    } catch (err) {
+      console.error(`Sync: error deleting ${entry.relativePath}:`, err);
+      errors++;
+    }
+  }
+
+  // The destination root is created too, in case it does not exist yet
+  for (const relativePath of ['', ...plan.createDirectories]) {
+    const { localPath, androidPath } = resolveEntryPaths(plan, relativePath);
+    try {
+      if (toAndroid) {
+        await ipcRenderer.invoke('create-directory', { deviceId: plan.deviceId, path: androidPath });
+      } else if (!fs.existsSync(localPath)) {
+        fs.mkdirSync(localPath, { recursive: true });
+      }
+    } catch (err) {
+      console.error(`Sync: error creating directory ${relativePath}:`, err);
+      errors++;
+    }
+  }
+
+  const jobs = [...plan.copy, ...plan.update].map(entry => {
+    const { localPath, androidPath } = resolveEntryPaths(plan, entry.relativePath);
+    return {
+      type: toAndroid ? 'push' : 'pull',
+      deviceId: plan.deviceId,
+      localPath,
+      remotePath: androidPath,
+      size: entry.size
+    };
+  });
+
+  const sourceRoot = toAndroid ? path.basename(plan.localRoot) : path.posix.basename(plan.androidRoot);
+  await enqueueTransfers(jobs, `Sync ${sourceRoot || plan.androidRoot}`);
+
+  return { queued: jobs.length, deleted, errors };
+}
+
+/**
+ * Gets the key under which the state of a two-way sync pair is saved
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} localRoot - Local folder
+ * @param {string} androidRoot - Folder on the Android device
+ * @returns {string} - Pair key
+ */
+function getPairKey(deviceId, localRoot, androidRoot) {
+  return `${deviceId}|${path.resolve(localRoot)}|${androidRoot.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Compares a file's current stats with its last-synced stats
+ *
+ * @param {Object|undefined} current - Current stats ({ size, mtime }), undefined if the file is gone
+ * @param {Object|undefined} base - Stats recorded at the last sync
+ * @returns {string} - 'absent', 'new', 'deleted', 'changed' or 'same'
+ */
+function getChange(current, base) {
+  if (!base) return current ? 'new' : 'absent';
+  if (!current) return 'deleted';
+  if (current.size !== base.size || Math.abs(current.mtime - base.mtime) > MTIME_TOLERANCE_MS) {
+    return 'changed';
+  }
+  return 'same';
+}
+
+// Descriptions of the conflicts a two-way sync can find
+const CONFLICT_DESCRIPTIONS = {
+  bothChanged: 'Changed on both sides',
+  bothNew: 'Added on both sides with different contents',
+  changedLocalDeletedAndroid: 'Changed here, deleted on the device',
+  deletedLocalChangedAndroid: 'Deleted here, changed on the device'
+};
+
+/**
+ * Compares both folders with the state saved at the last two-way sync and
+ * builds the plan. A file changed on one side only is copied to the other
+ * side; a file deleted on one side only is deleted on the other side; files
+ * changed on both sides are reported as conflicts. Nothing is changed.
+ *
+ * @param {Object} options - Sync options
+ * @param {string} options.deviceId - Android device ID
+ * @param {string} options.localRoot - Local folder
+ * @param {string} options.androidRoot - Folder on the Android device
+ * @returns {Promise<Object>} - Two-way sync plan
+ */
+async function buildTwoWayPlan({ deviceId, localRoot, androidRoot }) {
+  const localTree = listLocalTree(localRoot);
+  if (!localTree.exists) {
+    throw new Error(`Local folder does not exist: ${localRoot}`);
+  }
+  const androidTree = await listAndroidTree(deviceId, androidRoot, false);
+
+  const pairKey = getPairKey(deviceId, localRoot, androidRoot);
+  const saved = await ipcRenderer.invoke('get-sync-state', { pairKey });
+  const base = saved ? saved.files : {};
+
+  // A side that has lost every synced file is far more likely unmounted storage or a wrong folder
+  // than a deliberate deletion, so it must not delete everything on the other side
+  const syncedCount = Object.keys(base).length;
+  if (syncedCount > 0 && (!androidTree.exists || androidTree.files.size === 0)) {
+    throw new Error(`Device folder ${androidRoot} is missing or empty, but ${syncedCount} files were synced with it. ` +
+      'Nothing was planned, so no local files are deleted; check that the device storage is available');
+  }
+  if (syncedCount > 0 && localTree.files.size === 0) {
+    throw new Error(`Local folder ${localRoot} is empty, but ${syncedCount} files were synced with it. ` +
+      'Nothing was planned, so no device files are deleted; check that the drive is available');
+  }
+
+  const plan = {
+    direction: 'twoWay',
+    deviceId,
+    localRoot,
+    androidRoot,
+    pairKey,
+    firstSync: !saved,
+    push: [],           // Files to copy to the device
+    pull: [],           // Files to copy to the computer
+    deleteLocal: [],    // Files deleted on the device, to delete locally
+    deleteAndroid: [],  // Files deleted locally, to delete on the device
+    conflicts: [],      // Files that need a manual decision
+    forget: [],         // Files deleted on both sides, dropped from the saved state
+    inSync: {},         // Files that are identical on both sides, with their current stats
+    unchanged: 0,
+    totalBytes: 0
+  };
+
+  const relativePaths = new Set([...localTree.files.keys(), ...androidTree.files.keys(), ...Object.keys(base)]);
+
+  relativePaths.forEach(relativePath => {
+    const local = localTree.files.get(relativePath);
+    const android = androidTree.files.get(relativePath);
+    const last = base[relativePath] || {};
+    const localChange = getChange(local, last.local);
+    const androidChange = getChange(android, last.android);
+    const entry = { relativePath, local, android };
+
+    if (localChange === 'same' && androidChange === 'same') {
+      plan.inSync[relativePath] = { local, android };
+      plan.unchanged++;
+    } else if (local && android && local.size === android.size &&
+               Math.abs(local.mtime - android.mtime) <= MTIME_TOLERANCE_MS) {
+      // Both sides already hold the same file (e.g. both were changed to the same contents)
+      plan.inSync[relativePath] = { local, android };
+      plan.unchanged++;
+    } else if ((localChange === 'new' || localChange === 'changed') && (androidChange === 'same' || androidChange === 'absent')) {
+      plan.push.push(entry);
+      plan.totalBytes += local.size;
+    } else if ((androidChange === 'new' || androidChange === 'changed') && (localChange === 'same' || localChange === 'absent')) {
+      plan.pull.push(entry);
+      plan.totalBytes += android.size;
+    } else if (localChange === 'deleted' && androidChange === 'same') {
+      plan.deleteAndroid.push(entry);
+    } else if (androidChange === 'deleted' && localChange === 'same') {
+      plan.deleteLocal.push(entry);
+    } else if (localChange === 'deleted' && androidChange === 'deleted') {
+      plan.forget.push(entry);
+    } else if (localChange === 'new' && androidChange === 'new') {
+      plan.conflicts.push({ ...entry, kind: 'bothNew' });
+    } else if (localChange === 'deleted') {
+      plan.conflicts.push({ ...entry, kind: 'deletedLocalChangedAndroid' });
+    } else if (androidChange === 'deleted') {
+      plan.conflicts.push({ ...entry, kind: 'changedLocalDeletedAndroid' });
+    } else {
+      plan.conflicts.push({ ...entry, kind: 'bothChanged' });
+    }
+  });
+
+  ['push', 'pull', 'deleteLocal', 'deleteAndroid', 'conflicts'].forEach(key => {
+    plan[key].sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  });
+
+  console.log(`Two-way sync plan: ${plan.push.length} to device, ${plan.pull.length} to computer, ` +
+    `${plan.deleteLocal.length + plan.deleteAndroid.length} to delete, ${plan.conflicts.length} conflicts`);
+  return plan;
+}
+
+/**
+ * Records the current stats of the files whose two-way sync transfer has
+ * completed, once the queue reports that their batch has finished. The sync
+ * pair is stored on the queued jobs, so a batch that is finished after the
+ * app restarted is recorded too. Files whose transfer failed keep their old
+ * state so the next sync picks them up again.
+ *
+ * @param {Object} event - IPC event object
+ * @param {Object} data - queue-batch-finished payload
+ */
+async function recordFinishedSyncBatch(event, data) {
+  try {
+    const jobs = await ipcRenderer.invoke('queue-list');
+    const syncJobs = jobs.filter(job => job.batchId === data.batchId && job.status === 'completed' && job.sync);
+    if (syncJobs.length === 0) return;
+
+    // Every job of a sync batch belongs to the same folder pair
+    const { pairKey, androidRoot } = syncJobs[0].sync;
+    const saved = await ipcRenderer.invoke('get-sync-state', { pairKey });
+    const state = saved || { files: {} };
+
+    for (const job of syncJobs) {
+      const relativePath = path.posix.relative(androidRoot, job.remotePath);
+      try {
+        const localStats = fs.statSync(job.localPath);
+        const androidStats = await ipcRenderer.invoke('stat-android-item', { deviceId: job.deviceId, path: job.remotePath });
+        if (!androidStats.exists) continue;
+
+        state.files[relativePath] = {
+          local: { size: localStats.size, mtime: localStats.mtimeMs },
+          android: { size: androidStats.size, mtime: androidStats.mtime }
+        };
+      } catch (err) {
+        // Left out of the state, so the next sync compares the file again
+        console.error(`Could not record the sync state of ${relativePath}:`, err);
+      }
+    }
+
+    state.lastSync = Date.now();
+    await ipcRenderer.invoke('save-sync-state', { pairKey, state });
+    console.log(`Two-way sync state updated for ${pairKey}`);
+  } catch (err) {
+    console.error('Error updating two-way sync state:', err);
+  }
+}
+
+/**
+ * Executes a two-way sync plan: applies the user's conflict decisions,
+ * deletes files on the side where they are no longer wanted, queues the
+ * copies in both directions and saves the new sync state
+ *
+ * @param {Object} plan - Plan from buildTwoWayPlan()
+ * @param {Object} resolutions - Decision per conflicting relative path: 'local', 'android' or 'skip'
+ * @param {Function} setStatus - Function to set status message
+ * @returns {Promise<{queued: number, deleted: number, errors: number, conflicts: number}>} - Result counts (conflicts = skipped conflicts)
+ */
+async function executeTwoWayPlan(plan, resolutions, setStatus) {
+  const push = [...plan.push];
+  const pull = [...plan.pull];
+  const deleteLocal = [...plan.deleteLocal];
+  const deleteAndroid = [...plan.deleteAndroid];
+  let skippedConflicts = 0;
+
+  plan.conflicts.forEach(conflict => {
+    const choice = resolutions[conflict.relativePath] || 'skip';
+    if (choice === 'local') {
+      (conflict.local ? push : deleteAndroid).push(conflict);
+    } else if (choice === 'android') {
+      (conflict.android ? pull : deleteLocal).push(conflict);
+    } else {
+      skippedConflicts++;
+    }
+  });
+
+  const saved = await ipcRenderer.invoke('get-sync-state', { pairKey: plan.pairKey });
+  const state = { files: { ...(saved ? saved.files : {}), ...plan.inSync } };
+  let deleted = 0;
+  let errors = 0;
+
+  plan.forget.forEach(entry => delete state.files[entry.relativePath]);
+
+  for (const entry of [...deleteLocal, ...deleteAndroid]) {
+    const onDevice = deleteAndroid.includes(entry);
+    const { localPath, androidPath } = resolveEntryPaths(plan, entry.relativePath);
+    try {
+      setStatus(`Sync: deleting ${entry.relativePath}`);
+      if (onDevice) {
+        await deleteAndroidItem(plan.deviceId, androidPath, false);
+      } else {
+        await removeLocalItem(localPath, false);
+      }
+      delete state.files[entry.relativePath];
+      deleted++;
+    } catch (err) {
+      console.error(`Sync: error deleting ${entry.relativePath}:`, err);
+      errors++;
+    }
+  }
+
+  // Parent directories of the copies must exist on the receiving side
+  const androidDirs = new Set(push.map(entry => path.posix.dirname(resolveEntryPaths(plan, entry.relativePath).androidPath)));
+  for (const dir of androidDirs) {
+    await ipcRenderer.invoke('create-directory', { deviceId: plan.deviceId, path: dir });
+  }
+  pull.forEach(entry => {
+    fs.mkdirSync(path.dirname(resolveEntryPaths(plan, entry.relativePath).localPath), { recursive: true });
+  });
+
+  const jobs = [
+    ...push.map(entry => ({ type: 'push', size: entry.local.size, ...resolveEntryPaths(plan, entry.relativePath) })),
+    ...pull.map(entry => ({ type: 'pull', size: entry.android.size, ...resolveEntryPaths(plan, entry.relativePath) }))
+  ].map(job => ({
+    type: job.type,
+    deviceId: plan.deviceId,
+    localPath: job.localPath,
+    remotePath: job.androidPath,
+    size: job.size,
+    sync: { pairKey: plan.pairKey, androidRoot: plan.androidRoot }
+  }));
+
+  state.lastSync = Date.now();
+  await ipcRenderer.invoke('save-sync-state', { pairKey: plan.pairKey, state });
+
+  await enqueueTransfers(jobs, `Two-way sync ${path.basename(plan.localRoot)}`);
+
+  return { queued: jobs.length, deleted, errors, conflicts: skippedConflicts };
+}
+
+/**
+ * Renders a plan into the preview element of the sync dialog
+ *
+ * @param {HTMLElement} preview - Preview element
+ * @param {Object} plan - Sync plan
+ */
+function renderPlanPreview(preview, plan) {
+  preview.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'sync-summary';
+  summary.textContent = `${plan.copy.length} new, ${plan.update.length} changed, ` +
+    `${plan.delete.length} to delete, ${plan.unchanged} unchanged — ${formatFileSize(plan.totalBytes)} to transfer`;
+  preview.appendChild(summary);
+
+  const entries = [
+    ...plan.copy.map(entry => ({ action: 'copy', symbol: '+', entry })),
+    ...plan.update.map(entry => ({ action: 'update', symbol: '~', entry })),
+    ...plan.delete.map(entry => ({ action: 'delete', symbol: '−', entry }))
+  ];
+
+  const list = document.createElement('div');
+  list.className = 'sync-plan-list';
+  entries.slice(0, MAX_PREVIEW_ENTRIES).forEach(({ action, symbol, entry }) => {
+    const row = document.createElement('div');
+    row.className = `sync-plan-item sync-${action}`;
+    row.textContent = `${symbol} ${entry.relativePath}${entry.isDirectory ? '/' : ''}`;
+    if (entry.size) {
+      row.title = formatFileSize(entry.size);
+    }
+    list.appendChild(row);
+  });
+
+  if (entries.length > MAX_PREVIEW_ENTRIES) {
+    const more = document.createElement('div');
+    more.className = 'sync-plan-item';
+    more.textContent = `…and ${entries.length - MAX_PREVIEW_ENTRIES} more`;
+    list.appendChild(more);
+  } else if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'sync-plan-item';
+    empty.textContent = 'Folders are already in sync';
+    list.appendChild(empty);
+  }
+
+  preview.appendChild(list);
+}
+
+/**
+ * Renders a two-way plan into the preview element of the sync dialog. Each
+ * conflict gets a selector to keep the local copy, keep the device copy or
+ * leave the file alone.
+ *
+ * @param {HTMLElement} preview - Preview element
+ * @param {Object} plan - Two-way sync plan
+ */
+function renderTwoWayPreview(preview, plan) {
+  preview.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'sync-summary';
+  summary.textContent = `${plan.push.length} to device, ${plan.pull.length} to computer, ` +
+    `${plan.deleteLocal.length + plan.deleteAndroid.length} to delete, ${plan.conflicts.length} conflicts, ` +
+    `${plan.unchanged} unchanged — ${formatFileSize(plan.totalBytes)} to transfer`;
+  preview.appendChild(summary);
+
+  if (plan.firstSync) {
+    const note = document.createElement('div');
+    note.className = 'path-display';
+    note.textContent = 'First sync of these folders: files that differ on both sides are listed as conflicts.';
+    preview.appendChild(note);
+  }
+
+  const entries = [
+    ...plan.push.map(entry => ({ action: 'copy', symbol: '→', entry })),
+    ...plan.pull.map(entry => ({ action: 'copy', symbol: '←', entry })),
+    ...plan.deleteAndroid.map(entry => ({ action: 'delete', symbol: '−', entry, suffix: ' (device)' })),
+    ...plan.deleteLocal.map(entry => ({ action: 'delete', symbol: '−', entry, suffix: ' (local)' }))
+  ];
+
+  const list = document.createElement('div');
+  list.className = 'sync-plan-list';
+  entries.slice(0, MAX_PREVIEW_ENTRIES).forEach(({ action, symbol, entry, suffix }) => {
+    const row = document.createElement('div');
+    row.className = `sync-plan-item sync-${action}`;
+    row.textContent = `${symbol} ${entry.relativePath}${suffix || ''}`;
+    list.appendChild(row);
+  });
+
+  if (entries.length > MAX_PREVIEW_ENTRIES) {
+    const more = document.createElement('div');
+    more.className = 'sync-plan-item';
+    more.textContent = `…and ${entries.length - MAX_PREVIEW_ENTRIES} more`;
+    list.appendChild(more);
+  } else if (entries.length === 0 && plan.conflicts.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'sync-plan-item';
+    empty.textContent = 'Folders are already in sync';
+    list.appendChild(empty);
+  }
+  preview.appendChild(list);
+
+  if (plan.conflicts.length === 0) return;
+
+  const conflictHeader = document.createElement('div');
+  conflictHeader.className = 'sync-summary sync-conflict-header';
+  conflictHeader.textContent = 'Conflicts';
+
+  const createChoiceSelect = (conflict) => {
+    const select = document.createElement('select');
+    select.className = conflict ? 'sync-resolution' : 'sync-resolution-all';
+    select.innerHTML = `
+      <option value="skip">${conflict ? 'Leave both' : 'Resolve all…'}</option>
+      <option value="local">Keep local</option>
+      <option value="android">Keep device</option>
+    `;
+    if (conflict) {
+      select.dataset.relativePath = conflict.relativePath;
+    }
+    return select;
+  };
+
+  // Sets every conflict at once
+  const allSelect = createChoiceSelect(null);
+  conflictHeader.appendChild(allSelect);
+  preview.appendChild(conflictHeader);
+
+  const conflictList = document.createElement('div');
+  conflictList.className = 'sync-plan-list';
+  plan.conflicts.slice(0, MAX_PREVIEW_ENTRIES).forEach(conflict => {
+    const row = document.createElement('div');
+    row.className = 'sync-plan-item sync-conflict';
+
+    const name = document.createElement('span');
+    name.textContent = conflict.relativePath;
+    name.title = CONFLICT_DESCRIPTIONS[conflict.kind];
+
+    const kind = document.createElement('span');
+    kind.className = 'sync-conflict-kind';
+    kind.textContent = CONFLICT_DESCRIPTIONS[conflict.kind];
+
+    row.appendChild(name);
+    row.appendChild(kind);
+    row.appendChild(createChoiceSelect(conflict));
+    conflictList.appendChild(row);
+  });
+  preview.appendChild(conflictList);
+
+  allSelect.addEventListener('change', () => {
+    conflictList.querySelectorAll('.sync-resolution').forEach(select => {
+      select.value = allSelect.value;
+    });
+  });
+}
+
+/**
+ * Reads the conflict decisions from the preview of a two-way plan. Conflicts
+ * beyond the rendered rows follow the "resolve all" choice.
+ *
+ * @param {HTMLElement} preview - Preview element
+ * @param {Object} plan - Two-way sync plan
+ * @returns {Object} - Decision per relative path ('local', 'android' or 'skip')
+ */
+function getConflictResolutions(preview, plan) {
+  const allSelect = preview.querySelector('.sync-resolution-all');
+  const resolutions = {};
+
+  plan.conflicts.forEach(conflict => {
+    resolutions[conflict.relativePath] = allSelect ? allSelect.value : 'skip';
+  });
+  preview.querySelectorAll('.sync-resolution').forEach(select => {
+    resolutions[select.dataset.relativePath] = select.value;
+  });
+
+  return resolutions;
+}
+
+/**
+ * Shows the sync dialog for the folders currently open in both panels.
+ * The folders can be mirrored in either direction or synced both ways.
+ * "Dry Run" builds and previews the plan without changing anything;
+ * "Sync" executes it.
+ *
+ * @param {Object} options - Dialog options
+ * @param {string} options.deviceId - Android device ID
+ * @param {string} options.localPath - Local folder
+ * @param {string} options.androidPath - Folder on the Android device
+ * @param {Function} options.setStatus - Function to set status message
+ * @returns {Promise<Object|null>} - Result of executeSyncPlan() or executeTwoWayPlan(), or null if the dialog was closed without syncing
+ */
+function showSyncDialog({ deviceId, localPath, androidPath, setStatus }) {
+  return new Promise((resolve) => {
+    // Create the modal container if it doesn't exist
+    let modalContainer = document.getElementById('custom-modal-container');
+    if (!modalContainer) {
+      modalContainer = document.createElement('div');
+      modalContainer.id = 'custom-modal-container';
+      document.body.appendChild(modalContainer);
+    } else {
+      modalContainer.innerHTML = ''; // Clear any existing content
+    }
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content sync-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Sync Folders';
+
+    const directionGroup = document.createElement('div');
+    directionGroup.className = 'input-group';
+    const directionLabel = document.createElement('label');
+    directionLabel.textContent = 'Sync mode:';
+    const directionSelect = document.createElement('select');
+    directionSelect.innerHTML = `
+      <option value="toAndroid">Mirror: make the Android folder match the local folder</option>
+      <option value="toLocal">Mirror: make the local folder match the Android folder</option>
+      <option value="twoWay">Two-way: copy changes in both directions</option>
+    `;
+    directionGroup.appendChild(directionLabel);
+    directionGroup.appendChild(directionSelect);
+
+    const pathDisplay = document.createElement('div');
+    pathDisplay.className = 'path-display';
+
+    const deleteLabel = document.createElement('label');
+    deleteLabel.className = 'sync-option';
+    const deleteCheckbox = document.createElement('input');
+    deleteCheckbox.type = 'checkbox';
+    deleteLabel.appendChild(deleteCheckbox);
+    deleteLabel.appendChild(document.createTextNode('Delete files in the destination that are not in the source'));
+
+    const preview = document.createElement('div');
+    preview.className = 'sync-preview';
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-btn';
+    cancelButton.textContent = 'Close';
+
+    const dryRunButton = document.createElement('button');
+    dryRunButton.className = 'cancel-btn';
+    dryRunButton.textContent = 'Dry Run';
+
+    const syncButton = document.createElement('button');
+    syncButton.className = 'create-btn';
+    syncButton.textContent = 'Sync';
+
+    buttonGroup.appendChild(cancelButton);
+    buttonGroup.appendChild(dryRunButton);
+    buttonGroup.appendChild(syncButton);
+
+    modalContent.appendChild(title);
+    modalContent.appendChild(directionGroup);
+    modalContent.appendChild(pathDisplay);
+    modalContent.appendChild(deleteLabel);
+    modalContent.appendChild(preview);
+    modalContent.appendChild(buttonGroup);
+    modalContainer.appendChild(modalContent);
+
+    // The plan shown in the preview; cleared whenever the options change
+    let plan = null;
+
+    const resetPlan = () => {
+      plan = null;
+      preview.innerHTML = '';
+      syncButton.textContent = 'Sync';
+    };
+
+    const updatePaths = () => {
+      const direction = directionSelect.value;
+      if (direction === 'twoWay') {
+        pathDisplay.textContent = `${localPath} ⇄ ${androidPath}`;
+      } else if (direction === 'toAndroid') {
+        pathDisplay.textContent = `${localPath} → ${androidPath}`;
+      } else {
+        pathDisplay.textContent = `${androidPath} → ${localPath}`;
+      }
+      // Two-way sync deletes based on the saved state, not on this option
+      deleteLabel.style.display = direction === 'twoWay' ? 'none' : '';
+      resetPlan();
+    };
+    updatePaths();
+
+    directionSelect.addEventListener('change', updatePaths);
+    deleteCheckbox.addEventListener('change', resetPlan);
+
+    const setBusy = (busy) => {
+      dryRunButton.disabled = busy;
+      syncButton.disabled = busy;
+    };
+
+    const createPlan = async () => {
+      setBusy(true);
+      preview.textContent = 'Comparing folders...';
+      try {
+        if (directionSelect.value === 'twoWay') {
+          plan = await buildTwoWayPlan({ deviceId, localRoot: localPath, androidRoot: androidPath });
+          renderTwoWayPreview(preview, plan);
+        } else {
+          plan = await buildSyncPlan({
+            deviceId,
+            localRoot: localPath,
+            androidRoot: androidPath,
+            direction: directionSelect.value,
+            deleteExtraneous: deleteCheckbox.checked
+          });
+          renderPlanPreview(preview, plan);
+        }
+        syncButton.textContent = 'Start Sync';
+      } catch (err) {
+        console.error('Error building sync plan:', err);
+        plan = null;
+        preview.innerHTML = '';
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'error-message';
+        errorMsg.textContent = `Error: ${err.message}`;
+        preview.appendChild(errorMsg);
+      } finally {
+        setBusy(false);
+      }
+      return plan;
+    };
+
+    const close = (result) => {
+      if (modalContainer.parentNode) {
+        document.body.removeChild(modalContainer);
+      }
+      resolve(result);
+    };
+
+    cancelButton.addEventListener('click', () => close(null));
+    dryRunButton.addEventListener('click', createPlan);
+
+    syncButton.addEventListener('click', async () => {
+      // Always sync what the user has seen: the first click only shows the plan
+      if (!plan) {
+        await createPlan();
+        return;
+      }
+
+      const deleteCount = plan.direction === 'twoWay'
+        ? plan.deleteLocal.length + plan.deleteAndroid.length
+        : plan.delete.length;
+      if (deleteCount > 0 &&
+          !window.confirm(`Delete ${deleteCount} item(s) as part of this sync?`)) {
+        return;
+      }
+
+      setBusy(true);
+      try {
+        const result = plan.direction === 'twoWay'
+          ? await executeTwoWayPlan(plan, getConflictResolutions(preview, plan), setStatus)
+          : await executeSyncPlan(plan, setStatus);
+        close(result);
+      } catch (err) {
+        console.error('Error executing sync plan:', err);
+        setBusy(false);
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'error-message';
+        errorMsg.textContent = `Error: ${err.message}`;
+        preview.appendChild(errorMsg);
+      }
+    });
+  });
+}
+
+/**
+ * Starts recording the sync state of two-way sync batches as they finish,
+ * including batches restored from the previous session
+ */
+function initFolderSync() {
+  ipcRenderer.on('queue-batch-finished', recordFinishedSyncBatch);
+}
+
+// Export functions
+module.exports = {
+  initFolderSync,
+  buildSyncPlan,
+  executeSyncPlan,
+  buildTwoWayPlan,
+  executeTwoWayPlan,
+  showSyncDialog
+};
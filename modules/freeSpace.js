@@ -0,0 +1,102 @@
+/**
+ * freeSpace.js
+ * Free space on the computer (fs.statfs) and on the device (df), used to
+ * check a transfer batch before it is queued. Used by the main process.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { quoteShellArg } = require('./shellQuote');
+
+// Multipliers of the size suffixes printed by older df versions ("25.0G")
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Parses a df size column
+ *
+ * @param {string} value - Column value, a block count or a size like "1.5G"
+ * @param {number} blockSize - Bytes per block for plain numbers
+ * @returns {number|null} - Size in bytes, or null if the value is not a size
+ */
+function parseDfSize(value, blockSize) {
+  const match = /^([\d.]+)([KMGT])?$/i.exec(value || '');
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  return Math.floor(match[2] ? number * SIZE_UNITS[match[2].toUpperCase()] : number * blockSize);
+}
+
+/**
+ * Gets the free space of the file system a device folder is on. Handles
+ * toybox/busybox df ("1K-blocks ... Available") as well as the old toolbox
+ * df ("Size Used Free Blksize" with suffixed sizes).
+ *
+ * @param {Function} runShell - Runs a shell command on the device and resolves with its output
+ * @param {string} dirPath - Folder on the device (does not need to exist yet)
+ * @returns {Promise<number|null>} - Free bytes, or null if df output could not be read
+ */
+async function getDeviceFreeSpace(runShell, dirPath) {
+  // df needs an existing path, so the nearest existing parent is used
+  const output = await runShell(
+    `d=${quoteShellArg(dirPath)}; while [ ! -e "$d" ] && [ "$d" != "/" ]; do d=$(dirname "$d"); done; ` +
+    'df -k "$d" 2>/dev/null || df "$d" 2>/dev/null'
+  );
+
+  const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) return null;
+
+  const header = lines[0].split(/\s+/);
+  const values = lines[lines.length - 1].split(/\s+/);
+  const column = header.findIndex(name => /^(available|avail|free)$/i.test(name));
+  if (column < 0) return null;
+
+  // "Mounted on" is two words in the header; a long filesystem name is printed on a line of its own
+  const expectedColumns = header.length - (header.includes('on') ? 1 : 0);
+  const shift = Math.max(0, expectedColumns - values.length);
+  const blocks = /^(\d+)[kK]?-blocks$/.exec(header.find(name => /-blocks$/i.test(name)) || '');
+  const blockSize = blocks ? parseInt(blocks[1], 10) * (/k-blocks$/i.test(blocks[0]) ? 1024 : 1) : 1024;
+
+  return parseDfSize(values[column - shift], blockSize);
+}
+
+/**
+ * Gets the free space of the file system a local folder is on
+ *
+ * @param {string} dirPath - Local folder (does not need to exist yet)
+ * @returns {Promise<number|null>} - Free bytes available to the user, or null if unknown
+ */
+async function getLocalFreeSpace(dirPath) {
+  let dir = path.resolve(dirPath);
+  while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+
+  if (typeof fs.promises.statfs !== 'function') return null;
+  const stats = await fs.promises.statfs(dir);
+  return stats.bavail * stats.bsize;
+}
+
+/**
+ * Gets the deepest folder that contains all given paths
+ *
+ * @param {Array<string>} paths - File paths
+ * @param {Object} pathApi - path or path.posix
+ * @returns {string} - Common parent folder
+ */
+function getCommonDirectory(paths, pathApi) {
+  let common = pathApi.dirname(paths[0]);
+  paths.forEach(filePath => {
+    while (common !== pathApi.dirname(common) &&
+           filePath !== common && !filePath.startsWith(common.endsWith(pathApi.sep) ? common : common + pathApi.sep)) {
+      common = pathApi.dirname(common);
+    }
+  });
+  return common;
+}
+
+// Export functions
+module.exports = {
+  getDeviceFreeSpace,
+  getLocalFreeSpace,
+  getCommonDirectory
+};
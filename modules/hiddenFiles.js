@@ -0,0 +1,102 @@
+/**
+ * hiddenFiles.js
+ * Whether the panels show hidden files (dot-prefixed names, and on Windows
+ * items with the hidden attribute) and, on the device, the clutter Android
+ * leaves in media folders. The choices are kept in the settings.
+ */
+
+const { ipcRenderer } = require('electron');
+
+// Android clutter hidden by the clutter filter: thumbnail caches, items in the
+// trash or still being written by the media store, and media scanner markers
+const NOISE_PATTERNS = [/^\.thumbnails$/i, /^\.trashed-/i, /^\.pending-/i, /^\.nomedia$/i];
+
+// Setting of each toggle
+const SETTING_KEYS = {
+  local: { showHidden: 'showHiddenLocal' },
+  android: { showHidden: 'showHiddenAndroid', hideNoise: 'hideAndroidNoise' }
+};
+
+// Current choices of each panel; everything is shown until the settings are loaded
+const panelOptions = {
+  local: { showHidden: true, hideNoise: false },
+  android: { showHidden: true, hideNoise: false }
+};
+
+/**
+ * Checks whether a name is Android clutter
+ *
+ * @param {string} name - Item name
+ * @returns {boolean} - True if the clutter filter hides it
+ */
+function isNoise(name) {
+  return NOISE_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Checks whether a listed item is hidden in its panel. Search results are
+ * named by their path, so they are hidden when any folder on the way is.
+ *
+ * @param {string} name - Item name, or path below the listed folder
+ * @param {boolean} isLocal - Whether the item is in the local panel
+ * @param {Set<string>} [windowsHidden] - Names with the Windows hidden attribute in the listed folder
+ * @returns {boolean} - True if the item is not shown
+ */
+function isHidden(name, isLocal, windowsHidden) {
+  const { showHidden, hideNoise } = panelOptions[isLocal ? 'local' : 'android'];
+  if (showHidden && !hideNoise) return false;
+
+  const segments = name.split('/');
+  if (!showHidden && windowsHidden && windowsHidden.has(segments[0])) return true;
+  return segments.some(segment => (!showHidden && segment.startsWith('.')) || (hideNoise && isNoise(segment)));
+}
+
+/**
+ * Binds a toggle to its setting
+ *
+ * @param {HTMLInputElement} checkbox - Toggle
+ * @param {string} side - 'local' or 'android'
+ * @param {string} option - 'showHidden' or 'hideNoise'
+ * @param {Function} onChange - Called after the choice has changed, to show the list again
+ */
+async function bindToggle(checkbox, side, option, onChange) {
+  if (!checkbox) return;
+  const key = SETTING_KEYS[side][option];
+
+  try {
+    panelOptions[side][option] = Boolean(await ipcRenderer.invoke('get-setting', { key }));
+  } catch (err) {
+    console.error(`Error loading setting ${key}:`, err);
+  }
+  checkbox.checked = panelOptions[side][option];
+
+  checkbox.addEventListener('change', async () => {
+    panelOptions[side][option] = checkbox.checked;
+    onChange();
+    try {
+      await ipcRenderer.invoke('set-setting', { key, value: checkbox.checked });
+    } catch (err) {
+      console.error(`Error saving setting ${key}:`, err);
+    }
+  });
+}
+
+/**
+ * Sets up the toggles of a panel from the settings
+ *
+ * @param {string} side - 'local' or 'android'
+ * @param {Function} onChange - Called when the choices change or have been loaded, to show the list again
+ */
+async function initHiddenToggles(side, onChange) {
+  await bindToggle(document.getElementById(`${side}-show-hidden`), side, 'showHidden', onChange);
+  if (side === 'android') {
+    await bindToggle(document.getElementById('android-hide-noise'), side, 'hideNoise', onChange);
+  }
+  onChange();
+}
+
+// Export functions
+module.exports = {
+  isHidden,
+  initHiddenToggles
+};
@@ -3,6 +3,7 @@
  * Handles operations on the local file system like deletion and navigation
  */
 
+const { ipcRenderer } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const { rimraf } = require('rimraf');
@@ -40,6 +41,244 @@ async function deleteLocalItem(itemPath, isDirectory) {
   });
 }
 
+/**
+ * Deletes a local file or folder through the main process, which records
+ * the deletion in the transfer history. Used by the renderer.
+ * 
+ * @param {string} itemPath - Path to the file or folder
+ * @param {boolean} isDirectory - Whether the item is a directory
+ * @returns {Promise<boolean>} - Promise that resolves to true if deletion was successful
+ */
+async function removeLocalItem(itemPath, isDirectory) {
+  const result = await ipcRenderer.invoke('delete-local-item', { path: itemPath, isDirectory });
+  if (!result.success) {
+    throw new Error(result.error || `Failed to delete ${itemPath}`);
+  }
+  return true;
+}
+
+/**
+ * Renames a local file or folder through the main process, which records
+ * the rename in the transfer history. Used by the renderer.
+ * 
+ * @param {string} oldPath - Current path of the item
+ * @param {string} newPath - New path of the item
+ * @returns {Promise<boolean>} - Promise that resolves to true if the rename was successful
+ */
+async function renameLocalItem(oldPath, newPath) {
+  const result = await ipcRenderer.invoke('rename-local-item', { oldPath, newPath });
+  if (!result.success) {
+    throw new Error(result.error || `Failed to rename ${oldPath}`);
+  }
+  return true;
+}
+
+/**
+ * Gets the total size of a file, or of every file inside a folder
+ * 
+ * @param {string} itemPath - Path to the file or folder
+ * @returns {Promise<number>} - Size in bytes
+ */
+async function getLocalItemSize(itemPath) {
+  const stats = await fs.promises.lstat(itemPath);
+  if (!stats.isDirectory()) return stats.size;
+
+  let total = 0;
+  for (const name of await fs.promises.readdir(itemPath)) {
+    total += await getLocalItemSize(path.join(itemPath, name));
+  }
+  return total;
+}
+
+/**
+ * Checks that an item can be copied or moved to a destination: not onto
+ * itself, not into itself, and not over a folder that contains it
+ * 
+ * @param {string} sourcePath - Item to copy or move
+ * @param {string} destPath - Full destination path
+ */
+function checkLocalDestination(sourcePath, destPath) {
+  const source = path.resolve(sourcePath);
+  const dest = path.resolve(destPath);
+  const isInside = (parent, child) => {
+    const relative = path.relative(parent, child);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+
+  if (source === dest) {
+    throw new Error('Source and destination are the same');
+  }
+  if (isInside(source, dest)) {
+    throw new Error('Cannot copy or move a folder into itself');
+  }
+  if (isInside(dest, source)) {
+    throw new Error(`Cannot replace ${dest} with an item it contains`);
+  }
+}
+
+/**
+ * Copies a file or folder recursively, keeping modification times
+ * 
+ * @param {string} sourcePath - Item to copy
+ * @param {string} destPath - Destination path
+ * @param {Function} onBytes - Called with the number of bytes copied since the last call
+ */
+async function copyLocalTree(sourcePath, destPath, onBytes) {
+  const stats = await fs.promises.lstat(sourcePath);
+
+  if (stats.isDirectory()) {
+    await fs.promises.mkdir(destPath, { recursive: true });
+    for (const name of await fs.promises.readdir(sourcePath)) {
+      await copyLocalTree(path.join(sourcePath, name), path.join(destPath, name), onBytes);
+    }
+  } else if (stats.isSymbolicLink()) {
+    await fs.promises.symlink(await fs.promises.readlink(sourcePath), destPath);
+    return;
+  } else {
+    await new Promise((resolve, reject) => {
+      const readStream = fs.createReadStream(sourcePath);
+      const writeStream = fs.createWriteStream(destPath);
+      readStream.on('data', chunk => onBytes(chunk.length));
+      readStream.on('error', reject);
+      writeStream.on('error', reject);
+      writeStream.on('finish', resolve);
+      readStream.pipe(writeStream);
+    });
+  }
+
+  await fs.promises.utimes(destPath, stats.atime, stats.mtime);
+}
+
+/**
+ * Gets the hidden path next to a destination that a copy is written to
+ * before it replaces the destination (named like the partial files of
+ * transfers, e.g. .photo.jpg.aft-partial)
+ * 
+ * @param {string} destPath - Full destination path
+ * @returns {string} - Staging path
+ */
+function getStagingPath(destPath) {
+  return path.join(path.dirname(destPath), `.${path.basename(destPath)}.aft-partial`);
+}
+
+/**
+ * Copies a file or folder into a staging path, removing whatever was
+ * copied if the copy fails
+ * 
+ * @param {string} sourcePath - Item to copy
+ * @param {string} stagingPath - Staging path from getStagingPath()
+ * @param {Function} onBytes - Called with the number of bytes copied since the last call
+ */
+async function copyToStaging(sourcePath, stagingPath, onBytes) {
+  await rimraf(stagingPath);
+  try {
+    await copyLocalTree(sourcePath, stagingPath, onBytes);
+  } catch (err) {
+    await rimraf(stagingPath);
+    throw err;
+  }
+}
+
+/**
+ * Puts a completed copy in place of its destination. An existing
+ * destination is set aside until the copy has taken its place, and put back
+ * if that fails.
+ * 
+ * @param {string} stagingPath - Completed copy
+ * @param {string} destPath - Full destination path
+ */
+async function replaceWithStaged(stagingPath, destPath) {
+  const previousPath = `${stagingPath}.old`;
+  let hasPrevious = false;
+  try {
+    await rimraf(previousPath);
+    await fs.promises.rename(destPath, previousPath);
+    hasPrevious = true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  try {
+    await fs.promises.rename(stagingPath, destPath);
+  } catch (err) {
+    if (hasPrevious) await fs.promises.rename(previousPath, destPath);
+    throw err;
+  }
+  if (hasPrevious) await rimraf(previousPath);
+}
+
+/**
+ * Copies a file or folder on the local file system. The copy is written
+ * next to the destination and replaces an existing destination only once it
+ * is complete, so a failed copy leaves the destination as it was.
+ * 
+ * @param {string} sourcePath - Item to copy
+ * @param {string} destPath - Full destination path
+ * @param {Function} [onBytes] - Called with the number of bytes copied since the last call
+ * @returns {Promise<boolean>} - Promise that resolves to true if the copy was successful
+ */
+async function copyLocalItem(sourcePath, destPath, onBytes = () => {}) {
+  checkLocalDestination(sourcePath, destPath);
+  console.log(`Copying local item ${sourcePath} to ${destPath}`);
+
+  const stagingPath = getStagingPath(destPath);
+  await copyToStaging(sourcePath, stagingPath, onBytes);
+  try {
+    await replaceWithStaged(stagingPath, destPath);
+  } catch (err) {
+    await rimraf(stagingPath);
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * Moves a file or folder on the local file system. An existing destination
+ * is replaced only once the item is next to it. Moves across drives are
+ * copied and then deleted.
+ * 
+ * @param {string} sourcePath - Item to move
+ * @param {string} destPath - Full destination path
+ * @param {Function} [onBytes] - Called with the number of bytes copied since the last call
+ * @returns {Promise<boolean>} - Promise that resolves to true if the move was successful
+ */
+async function moveLocalItem(sourcePath, destPath, onBytes = () => {}) {
+  checkLocalDestination(sourcePath, destPath);
+  console.log(`Moving local item ${sourcePath} to ${destPath}`);
+
+  const stagingPath = getStagingPath(destPath);
+  let copied = false;
+  try {
+    await rimraf(stagingPath);
+    await fs.promises.rename(sourcePath, stagingPath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+
+    // rename() cannot cross drives or volumes
+    await copyToStaging(sourcePath, stagingPath, onBytes);
+    copied = true;
+  }
+
+  try {
+    await replaceWithStaged(stagingPath, destPath);
+  } catch (err) {
+    // A renamed item goes back where it came from; a copy is discarded
+    if (copied) {
+      await rimraf(stagingPath);
+    } else {
+      await fs.promises.rename(stagingPath, sourcePath);
+    }
+    throw err;
+  }
+
+  if (copied) {
+    await rimraf(sourcePath);
+  } else {
+    onBytes(await getLocalItemSize(destPath));
+  }
+  return true;
+}
+
 /**
  * Navigates up one level in the file path
  * 
@@ -110,6 +349,32 @@ async function getWindowsDrives() {
   });
 }
 
+/**
+ * Gets the names of the items in a folder that have the Windows hidden
+ * attribute. Node does not report file attributes, so they are listed with
+ * dir; cmd /u makes it write UTF-16, which keeps non-ASCII names intact.
+ * 
+ * @param {string} dirPath - Folder to check
+ * @returns {Promise<Set<string>>} - Names of the hidden items; empty on other systems or if dir fails
+ */
+async function getWindowsHiddenNames(dirPath) {
+  if (process.platform !== 'win32') {
+    return new Set();
+  }
+  
+  return new Promise((resolve) => {
+    const { execFile } = require('child_process');
+    execFile('cmd', ['/d', '/u', '/c', 'dir', '/a:h', '/b', dirPath], { encoding: 'utf16le', windowsHide: true }, (err, stdout) => {
+      // dir fails when nothing in the folder is hidden
+      if (err) {
+        resolve(new Set());
+        return;
+      }
+      resolve(new Set(stdout.split(/\r?\n/).filter(Boolean)));
+    });
+  });
+}
+
 /**
  * Gets the home directory path
  * 
@@ -155,8 +420,14 @@ function getStartingDirectory() {
 // Export functions
 module.exports = {
   deleteLocalItem,
+  removeLocalItem,
+  renameLocalItem,
+  getLocalItemSize,
+  copyLocalItem,
+  moveLocalItem,
   navigateUp,
   getWindowsDrives,
+  getWindowsHiddenNames,
   getHomeDirectory,
   getTempDirectory,
   getStartingDirectory
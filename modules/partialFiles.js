@@ -0,0 +1,133 @@
+/**
+ * partialFiles.js
+ * Keeps track of the partial files transfers write to before renaming them
+ * into place, so the ones left behind by a crash or a removed job can be
+ * found and cleaned up on the next start. Used by the main process.
+ */
+
+// Key under which the partial files are persisted in electron-store
+const STORE_KEY = 'partialFiles';
+
+/**
+ * Runtime state of the registry
+ */
+const registry = {
+  store: null,    // electron-store instance used for persistence
+  entries: []     // Partial files: { path, deviceId, jobId, source, trackedAt }; deviceId is null for local files, source is the
+                  // { size, mtime } of the file being copied, trackedAt is when a transfer last wrote to it
+};
+
+/**
+ * Writes the current entries to electron-store. Written synchronously before
+ * a transfer starts, so the file is known even if the app crashes.
+ */
+function persistEntries() {
+  if (!registry.store) return;
+
+  try {
+    registry.store.set(STORE_KEY, registry.entries);
+  } catch (err) {
+    console.error('Error persisting partial files:', err);
+  }
+}
+
+/**
+ * Checks whether an entry describes a given partial file
+ *
+ * @param {Object} entry - Registry entry
+ * @param {string} partialPath - Path of the partial file
+ * @param {string|null} deviceId - Device the file is on, null for local files
+ * @returns {boolean} - True if the entry is for that file
+ */
+function isSameFile(entry, partialPath, deviceId) {
+  return entry.path === partialPath && (entry.deviceId || null) === (deviceId || null);
+}
+
+/**
+ * Loads the partial files recorded by previous sessions
+ *
+ * @param {Object} options - Registry dependencies
+ * @param {Object} options.store - electron-store instance
+ */
+function initPartialFiles({ store }) {
+  registry.store = store;
+  const saved = store.get(STORE_KEY, []);
+  registry.entries = Array.isArray(saved) ? saved : [];
+  console.log(`${registry.entries.length} partial file(s) left by previous sessions`);
+}
+
+/**
+ * Records a partial file a transfer is about to write to
+ *
+ * @param {string} partialPath - Path of the partial file (or staging folder)
+ * @param {string|null} deviceId - Device the file is on, null for local files
+ * @param {string} [jobId] - Queue job the transfer belongs to
+ * @param {{size: number, mtime: number}} [source] - Size and modification time of the file being copied
+ */
+function trackPartial(partialPath, deviceId, jobId, source) {
+  const existing = registry.entries.find(entry => isSameFile(entry, partialPath, deviceId));
+  if (existing) {
+    existing.jobId = jobId || existing.jobId || null;
+    existing.source = source || null;
+    existing.trackedAt = Date.now();
+  } else {
+    registry.entries.push({
+      path: partialPath,
+      deviceId: deviceId || null,
+      jobId: jobId || null,
+      source: source || null,
+      trackedAt: Date.now()
+    });
+  }
+  persistEntries();
+}
+
+/**
+ * Checks whether a partial file was written from the source file as it is
+ * now, so a transfer can continue from it. A partial file recorded without
+ * the size and modification time of its source is not continued.
+ *
+ * @param {string} partialPath - Path of the partial file
+ * @param {string|null} deviceId - Device the file is on, null for local files
+ * @param {{size: number, mtime: number}} source - Current size and modification time of the file being copied
+ * @returns {boolean} - True if the partial file belongs to this version of the source
+ */
+function matchesSource(partialPath, deviceId, source) {
+  const entry = registry.entries.find(item => isSameFile(item, partialPath, deviceId));
+  return Boolean(entry && entry.source && entry.source.size === source.size && entry.source.mtime === source.mtime);
+}
+
+/**
+ * Forgets a partial file that has been renamed into place or removed
+ *
+ * @param {string} partialPath - Path of the partial file
+ * @param {string|null} deviceId - Device the file is on, null for local files
+ */
+function untrackPartial(partialPath, deviceId) {
+  const count = registry.entries.length;
+  registry.entries = registry.entries.filter(entry => !isSameFile(entry, partialPath, deviceId));
+  if (registry.entries.length !== count) persistEntries();
+}
+
+/**
+ * Gets the partial files no transfer can resume from any more
+ *
+ * @param {Function} isResumable - (entry) => boolean, true if a queue job still owns the file
+ * @param {string|null} [deviceId] - Only files on this device; null for local files, undefined for all
+ * @returns {Array<Object>} - Stale entries
+ */
+function getStalePartials(isResumable, deviceId) {
+  return registry.entries.filter(entry => {
+    if (deviceId !== undefined && (entry.deviceId || null) !== (deviceId || null)) return false;
+    return !isResumable(entry);
+  });
+}
+
+// Export functions
+module.exports = {
+  initPartialFiles,
+  trackPartial,
+  untrackPartial,
+  matchesSource,
+  getStalePartials
+};
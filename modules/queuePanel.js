@@ -0,0 +1,608 @@
+/**
+ * queuePanel.js
+ * Renders the transfer queue panel and forwards pause/resume/cancel actions
+ * to the transfer queue in the main process
+ */
+
+const { ipcRenderer } = require('electron');
+const path = require('path');
+const { formatFileSize } = require('./fileSystem');
+
+// Maximum number of rows rendered at once; unfinished jobs are shown first
+const MAX_VISIBLE_JOBS = 200;
+
+// Weight of the newest sample in the smoothed transfer speed
+const SPEED_SMOOTHING = 0.3;
+
+// Minimum time between two transfer speed samples
+const SPEED_SAMPLE_MS = 1000;
+
+// Job states that will never change again
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// Labels shown for each job status
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Transferring',
+  retrying: 'Retrying',
+  paused: 'Paused',
+  completed: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Runtime state of the panel
+ */
+const panel = {
+  container: null,        // Root element of the queue panel
+  list: null,             // Element the job rows are rendered into
+  summary: null,          // Element showing the queue summary text
+  retryFailed: null,      // Button that queues every failed job again
+  overall: null,          // Element showing the progress of all unfinished batches
+  jobs: new Map(),        // Job ID -> job in queue order, as last received from the main process
+  rows: new Map(),        // Job ID -> rendered row, dropped when the job changes
+  progress: new Map(),    // Latest progress event per job ID
+  meter: {
+    lastBytes: new Map(), // Bytes transferred per job at its last progress event
+    sampleBytes: 0,       // Bytes transferred since the current sample started
+    sampleStart: 0,       // Time the current sample started
+    speed: 0              // Smoothed transfer speed in bytes per second
+  }
+};
+
+/**
+ * Formats a duration for the ETA display
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Duration like "1h 05m", "4m 12s" or "9s"
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Adds a progress event to the transfer speed. Only bytes that were actually
+ * transferred count: the offset a resumed transfer starts from and
+ * time-based estimates are left out. Samples are taken at most once per
+ * SPEED_SAMPLE_MS and smoothed with an exponential moving average.
+ *
+ * @param {Object} data - transfer-progress payload
+ */
+function recordSpeedSample(data) {
+  const meter = panel.meter;
+  if (data.stage === 'verifying' || data.estimated || typeof data.transferred !== 'number') return;
+
+  const now = Date.now();
+  const last = meter.lastBytes.get(data.jobId);
+  meter.lastBytes.set(data.jobId, data.transferred);
+  if (last === undefined) {
+    if (!meter.sampleStart) meter.sampleStart = now;
+    return;
+  }
+
+  meter.sampleBytes += Math.max(0, data.transferred - last);
+  const elapsed = now - meter.sampleStart;
+  if (elapsed < SPEED_SAMPLE_MS) return;
+
+  const sampleSpeed = meter.sampleBytes / (elapsed / 1000);
+  meter.speed = meter.speed > 0
+    ? meter.speed * (1 - SPEED_SMOOTHING) + sampleSpeed * SPEED_SMOOTHING
+    : sampleSpeed;
+  meter.sampleBytes = 0;
+  meter.sampleStart = now;
+}
+
+/**
+ * Resets the transfer speed once nothing is being transferred any more
+ */
+function resetSpeedMeter() {
+  panel.meter.lastBytes.clear();
+  panel.meter.sampleBytes = 0;
+  panel.meter.sampleStart = 0;
+  panel.meter.speed = 0;
+}
+
+/**
+ * Gets the jobs counted in the overall progress: every job of the batches
+ * that still have unfinished jobs, except cancelled ones
+ *
+ * @param {Array<Object>} jobs - Queue jobs
+ * @returns {Array<Object>} - Jobs of the active batches
+ */
+function getActiveBatchJobs(jobs) {
+  const activeBatches = new Set(jobs
+    .filter(job => !FINISHED_STATES.includes(job.status))
+    .map(job => job.batchId));
+  return jobs.filter(job => activeBatches.has(job.batchId) && job.status !== 'cancelled');
+}
+
+/**
+ * Updates the overall progress bar, speed and ETA of the active batches
+ */
+function renderOverallProgress() {
+  if (!panel.overall) return;
+
+  const jobs = getActiveBatchJobs(Array.from(panel.jobs.values()));
+  const running = jobs.some(job => job.status === 'running');
+  if (!running) resetSpeedMeter();
+
+  panel.overall.classList.toggle('active', jobs.length > 0);
+  if (jobs.length === 0) return;
+
+  let totalBytes = 0;
+  let doneBytes = 0;
+  jobs.forEach(job => {
+    const progress = panel.progress.get(job.id);
+    totalBytes += job.size || 0;
+    if (job.status === 'completed' || (progress && progress.stage === 'verifying')) {
+      doneBytes += job.size || 0;
+    } else if (progress && typeof progress.transferred === 'number') {
+      doneBytes += Math.min(progress.transferred, job.size || progress.transferred);
+    }
+  });
+
+  const percent = totalBytes > 0 ? Math.min(100, (doneBytes / totalBytes) * 100) : 0;
+  const completed = jobs.filter(job => job.status === 'completed').length;
+  const parts = [
+    `${completed}/${jobs.length} files`,
+    `${formatFileSize(doneBytes)} of ${formatFileSize(totalBytes)}`
+  ];
+
+  const speed = panel.meter.speed;
+  if (running && speed > 0) {
+    parts.push(`${formatFileSize(speed)}/s`);
+    parts.push(`${formatDuration((totalBytes - doneBytes) / speed)} left`);
+  }
+
+  panel.overall.querySelector('.queue-overall-fill').style.width = `${percent}%`;
+  panel.overall.querySelector('.queue-overall-text').textContent = parts.join(' · ');
+}
+
+/**
+ * Gets the name shown for a job (the source file name)
+ *
+ * @param {Object} job - Queue job
+ * @returns {string} - File name
+ */
+function getJobFileName(job) {
+  return job.type === 'pull'
+    ? path.posix.basename(job.remotePath)
+    : path.basename(job.localPath);
+}
+
+/**
+ * Builds the summary text for the panel header
+ *
+ * @param {Array<Object>} jobs - Queue jobs
+ * @returns {string} - Summary text
+ */
+function buildSummary(jobs) {
+  const count = status => jobs.filter(job => job.status === status).length;
+  const pending = count('queued') + count('running');
+  const afterRetries = jobs.filter(job => job.status === 'failed' && job.failedAfterRetries).length;
+  const parts = [];
+
+  if (pending > 0) parts.push(`${pending} pending`);
+  if (count('retrying') > 0) parts.push(`${count('retrying')} waiting to retry`);
+  if (count('paused') > 0) parts.push(`${count('paused')} paused`);
+  if (count('completed') > 0) parts.push(`${count('completed')} done`);
+  if (count('failed') > 0) {
+    parts.push(afterRetries > 0 ? `${count('failed')} failed (${afterRetries} after retries)` : `${count('failed')} failed`);
+  }
+  if (count('cancelled') > 0) parts.push(`${count('cancelled')} cancelled`);
+
+  return parts.length > 0 ? parts.join(' · ') : 'No transfers';
+}
+
+/**
+ * Creates a small action button for a job row
+ *
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {string} channel - IPC channel to invoke
+ * @param {string} jobId - Job the action applies to
+ * @returns {HTMLElement} - Button element
+ */
+function createJobButton(label, title, channel, jobId) {
+  const button = document.createElement('button');
+  button.className = 'queue-job-btn';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', async () => {
+    try {
+      await ipcRenderer.invoke(channel, { jobId });
+    } catch (err) {
+      console.error(`Error invoking ${channel}:`, err);
+    }
+  });
+  return button;
+}
+
+/**
+ * Creates the DOM row for a single job
+ *
+ * @param {Object} job - Queue job
+ * @returns {HTMLElement} - Job row element
+ */
+function createJobRow(job) {
+  const row = document.createElement('div');
+  row.className = `queue-item status-${job.status}`;
+  row.dataset.jobId = job.id;
+
+  const direction = document.createElement('span');
+  direction.className = 'queue-direction';
+  direction.textContent = job.type === 'pull' ? '⬇️' : '⬆️';
+  direction.title = job.type === 'pull' ? 'Android → Local' : 'Local → Android';
+  if (job.deleteSource) {
+    direction.title += ' (move)';
+  }
+  if (job.bulk) {
+    direction.title += ' (whole folder as one tar stream)';
+  }
+
+  const name = document.createElement('span');
+  name.className = 'queue-file-name';
+  name.textContent = getJobFileName(job);
+  name.title = job.type === 'pull'
+    ? `${job.remotePath} → ${job.localPath}`
+    : `${job.localPath} → ${job.remotePath}`;
+
+  const status = document.createElement('span');
+  status.className = 'queue-item-status';
+  status.textContent = job.interrupted ? 'Interrupted' : STATUS_LABELS[job.status] || job.status;
+  if (job.status === 'retrying') {
+    status.textContent = `Retry ${job.retries}…`;
+    status.title = job.retryAt
+      ? `${job.error}\nNext attempt at ${new Date(job.retryAt).toLocaleTimeString()}, once the device is connected`
+      : job.error;
+  } else if (job.error) {
+    status.title = job.error;
+  } else if (job.status === 'completed' && job.checksum) {
+    status.textContent = 'Verified';
+    status.title = `${job.checksum.algorithm}: ${job.checksum.hash}`;
+  }
+
+  const progress = document.createElement('div');
+  progress.className = 'queue-item-progress';
+  const fill = document.createElement('div');
+  fill.className = 'queue-item-fill';
+  fill.style.width = job.status === 'completed' ? '100%' : '0%';
+  progress.appendChild(fill);
+
+  const size = document.createElement('span');
+  size.className = 'queue-item-size';
+  size.textContent = job.size ? formatFileSize(job.size) : '';
+
+  const actions = document.createElement('div');
+  actions.className = 'queue-item-actions';
+  if (job.status === 'queued' || job.status === 'running' || job.status === 'retrying') {
+    actions.appendChild(createJobButton('⏸', 'Pause', 'queue-pause', job.id));
+  }
+  if (job.status === 'paused' || job.status === 'failed') {
+    actions.appendChild(createJobButton('▶', job.status === 'failed' ? 'Retry' : 'Resume', 'queue-resume', job.id));
+  }
+  if (!['completed', 'failed', 'cancelled'].includes(job.status)) {
+    actions.appendChild(createJobButton('✖', 'Cancel', 'queue-cancel', job.id));
+  }
+
+  row.appendChild(direction);
+  row.appendChild(name);
+  row.appendChild(size);
+  row.appendChild(progress);
+  row.appendChild(status);
+  row.appendChild(actions);
+
+  return row;
+}
+
+/**
+ * Applies a progress event to a rendered job row
+ *
+ * @param {HTMLElement} row - Job row element
+ * @param {Object} data - transfer-progress payload
+ */
+function applyProgress(row, data) {
+  const fill = row.querySelector('.queue-item-fill');
+  if (fill && data.stage !== 'verifying') {
+    fill.style.width = `${Math.min(100, data.percent || 0)}%`;
+  }
+
+  const status = row.querySelector('.queue-item-status');
+  if (status && row.classList.contains('status-running')) {
+    if (data.stage === 'verifying') {
+      status.textContent = 'Verifying…';
+      return;
+    }
+    status.textContent = data.total > 0
+      ? `${formatFileSize(data.transferred)} of ${formatFileSize(data.total)}`
+      : STATUS_LABELS.running;
+  }
+}
+
+/**
+ * Forgets the rendered row of a job, so it is built again on the next render
+ *
+ * @param {string} jobId - Job whose row is out of date
+ */
+function dropRow(jobId) {
+  const row = panel.rows.get(jobId);
+  if (row) {
+    row.remove();
+    panel.rows.delete(jobId);
+  }
+}
+
+/**
+ * Renders the job list into the panel. Rows that are still up to date are
+ * kept and only put in order; the others are built again.
+ */
+function renderJobs() {
+  if (!panel.list) return;
+  const jobs = Array.from(panel.jobs.values());
+
+  panel.summary.textContent = buildSummary(jobs);
+  panel.container.classList.toggle('has-jobs', jobs.length > 0);
+  if (panel.retryFailed) {
+    const failed = jobs.filter(job => job.status === 'failed').length;
+    panel.retryFailed.hidden = failed === 0;
+    panel.retryFailed.textContent = `Retry Failed (${failed})`;
+  }
+  renderOverallProgress();
+
+  if (jobs.length === 0) {
+    panel.list.innerHTML = '<div class="queue-empty">No transfers queued</div>';
+    panel.rows.clear();
+    panel.progress.clear();
+    return;
+  }
+
+  // Unfinished jobs first, then the most recently finished ones
+  const unfinished = jobs.filter(job => !FINISHED_STATES.includes(job.status));
+  const finished = jobs
+    .filter(job => FINISHED_STATES.includes(job.status))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  const visible = [...unfinished, ...finished].slice(0, MAX_VISIBLE_JOBS);
+
+  // Rows that are no longer shown go, and so do the empty and "…more" messages
+  const visibleIds = new Set(visible.map(job => job.id));
+  Array.from(panel.rows.keys())
+    .filter(jobId => !visibleIds.has(jobId))
+    .forEach(dropRow);
+  panel.list.querySelectorAll('.queue-empty, .queue-more').forEach(element => element.remove());
+
+  visible.forEach((job, index) => {
+    let row = panel.rows.get(job.id);
+    if (!row) {
+      row = createJobRow(job);
+      const progress = panel.progress.get(job.id);
+      if (progress && job.status !== 'completed') {
+        applyProgress(row, progress);
+      }
+      panel.rows.set(job.id, row);
+    }
+    const current = panel.list.children[index];
+    if (current !== row) {
+      panel.list.insertBefore(row, current || null);
+    }
+  });
+
+  if (jobs.length > visible.length) {
+    const more = document.createElement('div');
+    more.className = 'queue-more';
+    more.textContent = `…and ${jobs.length - visible.length} more`;
+    panel.list.appendChild(more);
+  }
+}
+
+/**
+ * Shows a complete job list, e.g. when the panel is first loaded
+ *
+ * @param {Array<Object>} jobs - Queue jobs from the main process
+ */
+function renderQueue(jobs) {
+  panel.jobs = new Map((jobs || []).map(job => [job.id, job]));
+  Array.from(panel.rows.keys()).forEach(dropRow);
+  renderJobs();
+}
+
+/**
+ * Applies the jobs that changed since the last update; only their rows are
+ * built again
+ *
+ * @param {Object} data - queue-jobs-changed payload ({ jobs, removedIds })
+ */
+function applyQueueChanges({ jobs, removedIds }) {
+  (removedIds || []).forEach(jobId => {
+    panel.jobs.delete(jobId);
+    panel.progress.delete(jobId);
+    dropRow(jobId);
+  });
+  // A job that is already known keeps its place in the queue order
+  (jobs || []).forEach(job => {
+    panel.jobs.set(job.id, job);
+    dropRow(job.id);
+  });
+  renderJobs();
+}
+
+/**
+ * Updates the progress bar of a job from a transfer-progress event
+ *
+ * @param {Object} data - transfer-progress payload (must include jobId)
+ */
+function updateJobProgress(data) {
+  if (!data || !data.jobId) return;
+
+  panel.progress.set(data.jobId, data);
+  recordSpeedSample(data);
+  renderOverallProgress();
+
+  const row = panel.rows.get(data.jobId);
+  if (row) {
+    applyProgress(row, data);
+  }
+}
+
+/**
+ * Shows a boolean setting in a checkbox and saves it when the checkbox changes
+ *
+ * @param {HTMLInputElement|null} checkbox - Checkbox element
+ * @param {string} key - Setting name
+ */
+async function bindSettingCheckbox(checkbox, key) {
+  if (!checkbox) return;
+
+  try {
+    checkbox.checked = await ipcRenderer.invoke('get-setting', { key });
+  } catch (err) {
+    console.error(`Error loading setting ${key}:`, err);
+  }
+  checkbox.addEventListener('change', () => {
+    ipcRenderer.invoke('set-setting', { key, value: checkbox.checked });
+  });
+}
+
+/**
+ * Shows the bandwidth limit in a number input and unit select and applies
+ * changes to the running transfers straight away
+ *
+ * @param {HTMLInputElement|null} valueInput - Limit in the selected unit, empty for no limit
+ * @param {HTMLSelectElement|null} unitSelect - Bytes per unit (KB/s or MB/s)
+ */
+async function bindRateLimit(valueInput, unitSelect) {
+  if (!valueInput || !unitSelect) return;
+
+  try {
+    const bytesPerSecond = await ipcRenderer.invoke('get-setting', { key: 'transferRateLimit' });
+    if (bytesPerSecond > 0) {
+      unitSelect.value = bytesPerSecond % 1048576 === 0 ? '1048576' : '1024';
+      valueInput.value = String(Math.round(bytesPerSecond / Number(unitSelect.value)));
+    }
+  } catch (err) {
+    console.error('Error loading transfer rate limit:', err);
+  }
+
+  const save = () => {
+    const value = Number(valueInput.value);
+    const bytesPerSecond = value > 0 ? Math.round(value * Number(unitSelect.value)) : 0;
+    ipcRenderer.invoke('set-setting', { key: 'transferRateLimit', value: bytesPerSecond });
+  };
+  valueInput.addEventListener('change', save);
+  unitSelect.addEventListener('change', save);
+}
+
+/**
+ * Initializes the queue panel: binds the header buttons, loads the current
+ * queue and subscribes to queue updates from the main process
+ *
+ * @param {HTMLElement} container - Root element of the queue panel
+ */
+async function initQueuePanel(container) {
+  if (!container) return;
+
+  panel.container = container;
+  panel.list = container.querySelector('#queue-list');
+  panel.summary = container.querySelector('#queue-summary');
+  panel.overall = container.querySelector('#queue-overall');
+  panel.retryFailed = container.querySelector('#queue-retry-failed');
+
+  const bindings = {
+    'queue-pause-all': 'queue-pause-all',
+    'queue-resume-all': 'queue-resume-all',
+    'queue-retry-failed': 'queue-retry-failed',
+    'queue-cancel-all': 'queue-cancel-all',
+    'queue-clear-finished': 'queue-clear-finished'
+  };
+
+  Object.entries(bindings).forEach(([buttonId, channel]) => {
+    const button = container.querySelector(`#${buttonId}`);
+    if (button) {
+      button.addEventListener('click', async () => {
+        if (channel === 'queue-cancel-all' && !window.confirm('Cancel all unfinished transfers?')) {
+          return;
+        }
+        try {
+          await ipcRenderer.invoke(channel);
+        } catch (err) {
+          console.error(`Error invoking ${channel}:`, err);
+        }
+      });
+    }
+  });
+
+  await bindSettingCheckbox(container.querySelector('#queue-verify'), 'verifyTransfers');
+  await bindSettingCheckbox(container.querySelector('#queue-bulk'), 'bulkFolderTransfers');
+
+  const parallelSelect = container.querySelector('#queue-parallel');
+  if (parallelSelect) {
+    try {
+      parallelSelect.value = String(await ipcRenderer.invoke('get-setting', { key: 'maxParallelTransfers' }));
+    } catch (err) {
+      console.error('Error loading parallel transfer setting:', err);
+    }
+    parallelSelect.addEventListener('change', () => {
+      ipcRenderer.invoke('set-setting', { key: 'maxParallelTransfers', value: Number(parallelSelect.value) });
+    });
+  }
+
+  await bindSettingCheckbox(container.querySelector('#queue-low-priority'), 'lowPriorityTransfers');
+  await bindRateLimit(container.querySelector('#queue-rate-value'), container.querySelector('#queue-rate-unit'));
+
+  const toggleBtn = container.querySelector('#queue-toggle');
+  if (toggleBtn) {
+    toggleBtn.addEventListener('click', () => {
+      const collapsed = container.classList.toggle('collapsed');
+      toggleBtn.textContent = collapsed ? '▸' : '▾';
+      localStorage.setItem('queuePanelCollapsed', collapsed);
+    });
+    if (localStorage.getItem('queuePanelCollapsed') === 'true') {
+      container.classList.add('collapsed');
+      toggleBtn.textContent = '▸';
+    }
+  }
+
+  ipcRenderer.on('queue-jobs-changed', (event, data) => {
+    applyQueueChanges(data);
+  });
+
+  try {
+    const jobs = await ipcRenderer.invoke('queue-list');
+    renderQueue(jobs);
+    offerInterruptedResume(jobs);
+  } catch (err) {
+    console.error('Error loading transfer queue:', err);
+  }
+}
+
+/**
+ * Offers to resume the transfers that were interrupted when the app last
+ * closed. They continue from their partial files; declining leaves them
+ * paused in the queue.
+ *
+ * @param {Array<Object>} jobs - Queue jobs
+ */
+async function offerInterruptedResume(jobs) {
+  const interrupted = jobs.filter(job => job.status === 'paused' && job.interrupted);
+  if (interrupted.length === 0) return;
+
+  const message = `${interrupted.length} transfer(s) were interrupted when the app last closed. ` +
+    'Resume them now? Partly transferred files continue where they stopped.';
+  if (window.confirm(message)) {
+    await ipcRenderer.invoke('queue-resume-interrupted');
+  }
+}
+
+// Export functions
+module.exports = {
+  initQueuePanel,
+  renderQueue,
+  updateJobProgress
+};
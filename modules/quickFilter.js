@@ -0,0 +1,102 @@
+/**
+ * quickFilter.js
+ * Filter-as-you-type field above each file list. It hides the items of the
+ * open folder whose names do not match (text, glob or regular expression)
+ * without listing the folder again, and is cleared when another folder is
+ * opened.
+ */
+
+const path = require('path');
+const fileSystem = require('./fileSystem');
+const fileSearch = require('./fileSearch');
+
+/**
+ * Shows how many items the filter lets through
+ *
+ * @param {Object} panel - Filter controls of the panel
+ * @param {{shown: number, total: number}|null} counts - Result of fileSystem.setListFilter(), null to hide the count
+ */
+function showCount(panel, counts) {
+  panel.count.textContent = counts ? `${counts.shown} of ${counts.total}` : '';
+}
+
+/**
+ * Applies the text of a panel's filter field to its list. An invalid regular
+ * expression is marked and leaves the list as it is.
+ *
+ * @param {Object} panel - Filter controls of the panel
+ */
+function applyFilter(panel) {
+  const query = panel.input.value.trim();
+  panel.input.classList.remove('invalid');
+
+  if (!query) {
+    fileSystem.setListFilter(panel.container, null);
+    showCount(panel, null);
+    return;
+  }
+
+  let matches;
+  try {
+    matches = fileSearch.createNameMatcher(query, panel.modeSelect.value);
+  } catch (err) {
+    panel.input.classList.add('invalid');
+    panel.input.title = `Invalid regular expression: ${err.message}`;
+    return;
+  }
+  panel.input.title = '';
+
+  // Search results are named by their path; their own name is matched like a folder item's
+  showCount(panel, fileSystem.setListFilter(panel.container, entry => matches(path.posix.basename(entry.name), entry.name)));
+}
+
+/**
+ * Sets up the filter field of a panel. The filter is applied while typing,
+ * kept when the open folder is refreshed and cleared when another folder is
+ * opened; Escape clears it.
+ *
+ * @param {string} side - 'local' or 'android'
+ * @param {HTMLElement} container - File list element of the panel
+ */
+function initQuickFilter(side, container) {
+  const panel = {
+    container,
+    input: document.getElementById(`${side}-quick-filter`),
+    modeSelect: document.getElementById(`${side}-quick-filter-mode`),
+    count: document.getElementById(`${side}-quick-filter-count`),
+    listedPath: null
+  };
+  if (!panel.input) return;
+
+  Object.entries(fileSearch.SEARCH_MODES).forEach(([mode, label]) => {
+    panel.modeSelect.add(new Option(label, mode));
+  });
+
+  panel.input.addEventListener('input', () => applyFilter(panel));
+  panel.modeSelect.addEventListener('change', () => applyFilter(panel));
+  panel.input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      panel.input.value = '';
+      applyFilter(panel);
+    }
+  });
+
+  container.addEventListener('file-list-rendered', (e) => {
+    if (e.detail.listedPath !== panel.listedPath) {
+      panel.listedPath = e.detail.listedPath;
+      panel.input.value = '';
+      panel.input.classList.remove('invalid');
+    }
+    // A refreshed list is filtered again; an unfiltered one keeps its scroll position
+    if (panel.input.value.trim()) {
+      applyFilter(panel);
+    } else {
+      showCount(panel, null);
+    }
+  });
+}
+
+// Export functions
+module.exports = {
+  initQuickFilter
+};
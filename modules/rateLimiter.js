@@ -0,0 +1,150 @@
+/**
+ * rateLimiter.js
+ * Bandwidth limit for queued transfers. Every throttled stream draws from one
+ * shared budget, so the limit holds for all parallel transfers together and
+ * can be changed while they run. In low priority mode the streams also pause
+ * while interactive operations (directory listings, previews) are using the
+ * device. Used by the main process.
+ */
+
+const { Transform, pipeline } = require('stream');
+
+// How long throttled streams keep yielding after an interactive operation has finished
+const INTERACTIVE_GRACE_MS = 500;
+
+// How often a yielding stream checks whether it may continue
+const YIELD_POLL_MS = 100;
+
+/**
+ * Runtime state of the limiter
+ */
+const limiter = {
+  rate: 0,               // Bytes per second for all throttled streams together, 0 for no limit
+  tokens: 0,             // Bytes that may be sent right now; negative while streams have to wait
+  lastRefill: 0,         // Time the tokens were last topped up
+  lowPriority: false,    // Yield to interactive operations
+  interactive: 0,        // Interactive operations in progress
+  interactiveUntil: 0    // Time until which streams keep yielding after the last interactive operation
+};
+
+/**
+ * Waits for the given time
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} - Resolves after the time has passed
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sets the bandwidth limit of the throttled streams
+ *
+ * @param {number} bytesPerSecond - Limit in bytes per second, 0 for no limit
+ */
+function setRateLimit(bytesPerSecond) {
+  limiter.rate = Math.max(0, Number(bytesPerSecond) || 0);
+  limiter.tokens = 0;
+  limiter.lastRefill = Date.now();
+  console.log(limiter.rate > 0 ? `Transfer rate limited to ${Math.round(limiter.rate / 1024)} KB/s` : 'Transfer rate not limited');
+}
+
+/**
+ * Turns low priority mode on or off
+ *
+ * @param {boolean} enabled - Whether throttled streams yield to interactive operations
+ */
+function setLowPriority(enabled) {
+  limiter.lowPriority = Boolean(enabled);
+  console.log(`Low priority transfers ${limiter.lowPriority ? 'on' : 'off'}`);
+}
+
+/**
+ * Checks whether throttled streams can be held back at all right now, by the
+ * limit or by low priority mode
+ *
+ * @returns {boolean} - True if a limit is set or low priority mode is on
+ */
+function isActive() {
+  return limiter.rate > 0 || limiter.lowPriority;
+}
+
+/**
+ * Checks whether throttled streams should hold back for an interactive operation
+ *
+ * @returns {boolean} - True while an interactive operation runs or has just finished
+ */
+function isYielding() {
+  return limiter.lowPriority && (limiter.interactive > 0 || Date.now() < limiter.interactiveUntil);
+}
+
+/**
+ * Waits until a chunk of data may be sent. The budget refills at the limit
+ * rate (at most one second's worth is saved up); a chunk larger than the
+ * budget is sent and the stream then waits for the debt to be paid off.
+ *
+ * @param {number} bytes - Size of the chunk
+ * @returns {Promise<void>} - Resolves when the chunk may be sent
+ */
+async function waitForTurn(bytes) {
+  while (isYielding()) {
+    await sleep(YIELD_POLL_MS);
+  }
+  if (limiter.rate <= 0) return;
+
+  const now = Date.now();
+  limiter.tokens = Math.min(limiter.rate, limiter.tokens + ((now - limiter.lastRefill) / 1000) * limiter.rate);
+  limiter.lastRefill = now;
+  limiter.tokens -= bytes;
+
+  if (limiter.tokens < 0) {
+    await sleep((-limiter.tokens / limiter.rate) * 1000);
+  }
+}
+
+/**
+ * Passes a stream through the limiter. Errors of the source are passed on
+ * to the returned stream. This only slows the transfer down if the source
+ * honours backpressure (raw sockets and file streams do; adbkit's sync pull
+ * does not, its data would only pile up in memory).
+ *
+ * @param {Stream} source - Readable stream of transfer data
+ * @returns {Stream} - Throttled readable stream
+ */
+function throttleStream(source) {
+  const throttled = new Transform({
+    transform(chunk, encoding, callback) {
+      waitForTurn(chunk.length).then(() => callback(null, chunk), callback);
+    }
+  });
+
+  // pipeline destroys the throttled stream with the source's error, so readers see it
+  pipeline(source, throttled, () => {});
+  return throttled;
+}
+
+/**
+ * Runs an interactive operation; in low priority mode the throttled streams
+ * pause while it runs
+ *
+ * @param {Function} operation - async () => *, the operation
+ * @returns {Promise<*>} - Result of the operation
+ */
+async function runInteractive(operation) {
+  limiter.interactive++;
+  try {
+    return await operation();
+  } finally {
+    limiter.interactive--;
+    limiter.interactiveUntil = Date.now() + INTERACTIVE_GRACE_MS;
+  }
+}
+
+// Export functions
+module.exports = {
+  setRateLimit,
+  setLowPriority,
+  isActive,
+  throttleStream,
+  runInteractive
+};
@@ -0,0 +1,21 @@
+/**
+ * shellQuote.js
+ * Quoting of values passed to commands run in the device shell. Used by the
+ * main process and the modules that build device commands for it.
+ */
+
+/**
+ * Quote a value for the device shell. Single quotes keep globs, "$" and
+ * backticks from being expanded.
+ *
+ * @param {string} value - Value to quote
+ * @returns {string} - Quoted value
+ */
+function quoteShellArg(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Export functions
+module.exports = {
+  quoteShellArg
+};
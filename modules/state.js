@@ -17,6 +17,7 @@ const state = {
   androidSelectedItems: new Set(), // Set of selected items in Android file explorer
   isTransferring: false,       // Flag indicating if a file transfer is in progress
   isSwapped: false,            // Track whether the UI is in swapped state
+  clipboard: null,             // Items copied or cut for pasting ({ source, mode, deviceId, basePath, items })
   currentViewerElement: null   // Track current viewer element
 };
 
@@ -0,0 +1,634 @@
+/**
+ * transferFilters.js
+ * Include/exclude rules for folder transfers: name globs, size limits,
+ * modification dates and file types. The active rules and the named presets
+ * are kept in the settings; folder transfers apply them while walking the
+ * source and show what they leave out before anything is queued.
+ */
+
+const { ipcRenderer } = require('electron');
+const { formatFileSize } = require('./fileSystem');
+
+// File types that can be picked in the rules, by extension
+const FILTER_TYPES = {
+  image: { label: 'Photos & images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'heic', 'heif', 'dng', 'raw', 'tif', 'tiff', 'svg'] },
+  video: { label: 'Videos', extensions: ['mp4', 'webm', 'mkv', 'avi', 'mov', 'wmv', 'm4v', '3gp'] },
+  audio: { label: 'Audio', extensions: ['mp3', 'wav', 'ogg', 'opus', 'flac', 'm4a', 'aac', 'amr'] },
+  document: { label: 'Documents', extensions: ['pdf', 'txt', 'md', 'rtf', 'csv', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'epub'] },
+  archive: { label: 'Archives', extensions: ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz'] },
+  app: { label: 'Apps', extensions: ['apk', 'apks', 'xapk', 'obb'] }
+};
+
+// Size units offered in the rule editor
+const SIZE_UNITS = { MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+// Names listed in the preview
+const MAX_PREVIEW_ROWS = 200;
+
+/**
+ * Creates an empty rule set
+ *
+ * @returns {Object} - Rules that let everything through
+ */
+function createEmptyRules() {
+  return {
+    include: [],          // Globs a file must match one of; empty for all files
+    exclude: [],          // Globs of files and folders to leave out
+    minSize: 0,           // Smallest file size in bytes, 0 for no limit
+    maxSize: 0,           // Largest file size in bytes, 0 for no limit
+    modifiedAfter: '',    // First day of modification to include (YYYY-MM-DD)
+    modifiedBefore: '',   // Last day of modification to include (YYYY-MM-DD)
+    types: []             // FILTER_TYPES keys a file must be one of; empty for all types
+  };
+}
+
+/**
+ * Fills in missing fields of stored rules
+ *
+ * @param {Object|null} rules - Rules as stored in the settings
+ * @returns {Object} - Complete rule set
+ */
+function normalizeRules(rules) {
+  return Object.assign(createEmptyRules(), rules || {});
+}
+
+/**
+ * Checks whether a rule set leaves anything out
+ *
+ * @param {Object|null} rules - Rule set
+ * @returns {boolean} - True if at least one rule is set
+ */
+function isFilterActive(rules) {
+  if (!rules) return false;
+  const { include, exclude, minSize, maxSize, modifiedAfter, modifiedBefore, types } = normalizeRules(rules);
+  return include.length > 0 || exclude.length > 0 || minSize > 0 || maxSize > 0 ||
+    Boolean(modifiedAfter) || Boolean(modifiedBefore) || types.length > 0;
+}
+
+/**
+ * Turns a glob into a regular expression. "*" and "?" stay within one path
+ * segment, "**" spans folders ("**\/" also matches no folder at all);
+ * matching ignores case.
+ *
+ * @param {string} pattern - Glob such as "*.jpg" or "DCIM/**\/.thumbnails"
+ * @returns {RegExp} - Expression matching the whole name or path
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*' && pattern[i + 2] === '/') {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks an item against a list of globs. Globs containing "/" are matched
+ * against the path relative to the transferred folder, the others against
+ * the item's name.
+ *
+ * @param {Array<string>} patterns - Globs
+ * @param {string} name - Item name
+ * @param {string} relativePath - Item path relative to the transferred folder, "/" separated
+ * @returns {boolean} - True if any glob matches
+ */
+function matchesAny(patterns, name, relativePath) {
+  return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relativePath : name));
+}
+
+/**
+ * Gets the file type of a name as used by the rules
+ *
+ * @param {string} name - File name
+ * @returns {string|null} - FILTER_TYPES key, or null for other files
+ */
+function getFilterType(name) {
+  const dot = name.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const extension = name.slice(dot + 1).toLowerCase();
+  return Object.keys(FILTER_TYPES).find(type => FILTER_TYPES[type].extensions.includes(extension)) || null;
+}
+
+/**
+ * Checks whether a folder is left out with everything in it
+ *
+ * @param {Object|null} rules - Rule set
+ * @param {string} name - Folder name
+ * @param {string} relativePath - Folder path relative to the transferred folder
+ * @returns {boolean} - True if an exclude glob matches the folder
+ */
+function isFolderExcluded(rules, name, relativePath) {
+  return Boolean(rules) && matchesAny(normalizeRules(rules).exclude, name, relativePath);
+}
+
+/**
+ * Checks a file against the rules
+ *
+ * @param {Object|null} rules - Rule set
+ * @param {Object} file - File to check
+ * @param {string} file.name - File name
+ * @param {string} file.relativePath - Path relative to the transferred folder
+ * @param {number} file.size - Size in bytes
+ * @param {number} file.mtime - Modification time in milliseconds
+ * @returns {string|null} - Why the file is left out, or null if it is transferred
+ */
+function getExclusionReason(rules, { name, relativePath, size, mtime }) {
+  if (!rules) return null;
+  const { include, exclude, minSize, maxSize, modifiedAfter, modifiedBefore, types } = normalizeRules(rules);
+
+  if (include.length > 0 && !matchesAny(include, name, relativePath)) return 'not included';
+  if (matchesAny(exclude, name, relativePath)) return 'excluded';
+  if (types.length > 0 && !types.includes(getFilterType(name))) return 'type';
+  if (minSize > 0 && size < minSize) return 'too small';
+  if (maxSize > 0 && size > maxSize) return 'too large';
+  if (modifiedAfter && mtime < new Date(`${modifiedAfter}T00:00:00`).getTime()) return 'too old';
+  if (modifiedBefore && mtime >= new Date(`${modifiedBefore}T00:00:00`).getTime() + 24 * 60 * 60 * 1000) return 'too new';
+  return null;
+}
+
+/**
+ * Describes a rule set in one line
+ *
+ * @param {Object|null} rules - Rule set
+ * @returns {string} - Summary such as "*.jpg; not .thumbnails; up to 2 GB"
+ */
+function describeRules(rules) {
+  if (!isFilterActive(rules)) return 'No filter';
+  const { include, exclude, minSize, maxSize, modifiedAfter, modifiedBefore, types } = normalizeRules(rules);
+  const parts = [];
+
+  if (include.length > 0) parts.push(include.join(', '));
+  if (types.length > 0) parts.push(types.map(type => FILTER_TYPES[type] ? FILTER_TYPES[type].label : type).join(', '));
+  if (exclude.length > 0) parts.push(`not ${exclude.join(', ')}`);
+  if (minSize > 0) parts.push(`from ${formatFileSize(minSize)}`);
+  if (maxSize > 0) parts.push(`up to ${formatFileSize(maxSize)}`);
+  if (modifiedAfter) parts.push(`modified from ${modifiedAfter}`);
+  if (modifiedBefore) parts.push(`modified until ${modifiedBefore}`);
+  return parts.join('; ');
+}
+
+/**
+ * Gets the rules folder transfers currently apply
+ *
+ * @returns {Promise<Object|null>} - Active rule set, or null if nothing is filtered
+ */
+async function getActiveRules() {
+  try {
+    const rules = await ipcRenderer.invoke('get-setting', { key: 'transferFilter' });
+    return isFilterActive(rules) ? normalizeRules(rules) : null;
+  } catch (err) {
+    console.error('Error loading transfer filter:', err);
+    return null;
+  }
+}
+
+/**
+ * Opens the modal container, clearing whatever it showed before
+ *
+ * @returns {HTMLElement} - Modal container
+ */
+function openModalContainer() {
+  let modalContainer = document.getElementById('custom-modal-container');
+  if (!modalContainer) {
+    modalContainer = document.createElement('div');
+    modalContainer.id = 'custom-modal-container';
+    document.body.appendChild(modalContainer);
+  } else {
+    modalContainer.innerHTML = ''; // Clear any existing content
+  }
+  return modalContainer;
+}
+
+/**
+ * Splits the text of a glob list field into globs
+ *
+ * @param {string} text - Globs separated by commas or new lines
+ * @returns {Array<string>} - Globs
+ */
+function parseGlobList(text) {
+  return text.split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Shows a size limit in a number input and unit select
+ *
+ * @param {number} bytes - Size in bytes, 0 for no limit
+ * @param {HTMLInputElement} valueInput - Number input
+ * @param {HTMLSelectElement} unitSelect - Unit select
+ */
+function showSize(bytes, valueInput, unitSelect) {
+  if (bytes > 0) {
+    unitSelect.value = bytes % SIZE_UNITS.GB === 0 ? 'GB' : 'MB';
+    valueInput.value = String(bytes / SIZE_UNITS[unitSelect.value]);
+  } else {
+    valueInput.value = '';
+  }
+}
+
+/**
+ * Creates a labelled size limit field
+ *
+ * @param {string} labelText - Field label
+ * @returns {{group: HTMLElement, valueInput: HTMLInputElement, unitSelect: HTMLSelectElement}} - Field elements
+ */
+function createSizeField(labelText) {
+  const group = document.createElement('div');
+  group.className = 'input-group filter-size';
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  const valueInput = document.createElement('input');
+  valueInput.type = 'number';
+  valueInput.min = '0';
+  valueInput.step = 'any';
+  valueInput.placeholder = 'No limit';
+  const unitSelect = document.createElement('select');
+  Object.keys(SIZE_UNITS).forEach(unit => {
+    const option = document.createElement('option');
+    option.value = unit;
+    option.textContent = unit;
+    unitSelect.appendChild(option);
+  });
+  group.appendChild(label);
+  group.appendChild(valueInput);
+  group.appendChild(unitSelect);
+  return { group, valueInput, unitSelect };
+}
+
+/**
+ * Creates a labelled input
+ *
+ * @param {string} labelText - Field label
+ * @param {HTMLElement} input - Input element
+ * @returns {HTMLElement} - Field group
+ */
+function createField(labelText, input) {
+  const group = document.createElement('div');
+  group.className = 'input-group';
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  group.appendChild(label);
+  group.appendChild(input);
+  return group;
+}
+
+/**
+ * Shows the filter rule editor. The rules can be saved as a named preset or
+ * loaded from one; "Apply" makes them the rules of all following folder
+ * transfers.
+ *
+ * @returns {Promise<Object|null>} - The rules now active (null if no filter), or undefined if the dialog was cancelled
+ */
+async function showFilterDialog() {
+  const [activeRules, savedPresets] = await Promise.all([
+    getActiveRules(),
+    ipcRenderer.invoke('get-setting', { key: 'filterPresets' })
+  ]);
+  const presets = Object.assign({}, savedPresets);
+
+  return new Promise((resolve) => {
+    const modalContainer = openModalContainer();
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content filter-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Folder Transfer Filter';
+
+    // Presets
+    const presetSelect = document.createElement('select');
+    const presetName = document.createElement('input');
+    presetName.type = 'text';
+    presetName.placeholder = 'Preset name';
+    const savePresetButton = document.createElement('button');
+    savePresetButton.className = 'cancel-btn';
+    savePresetButton.textContent = 'Save Preset';
+    const deletePresetButton = document.createElement('button');
+    deletePresetButton.className = 'cancel-btn';
+    deletePresetButton.textContent = 'Delete';
+    const presetRow = document.createElement('div');
+    presetRow.className = 'filter-preset-row';
+    presetRow.appendChild(presetSelect);
+    presetRow.appendChild(deletePresetButton);
+    presetRow.appendChild(presetName);
+    presetRow.appendChild(savePresetButton);
+
+    // Rules
+    const includeInput = document.createElement('textarea');
+    includeInput.rows = 2;
+    includeInput.placeholder = 'All files, or e.g. *.jpg, *.mp4';
+    const excludeInput = document.createElement('textarea');
+    excludeInput.rows = 2;
+    excludeInput.placeholder = 'e.g. .thumbnails, .trashed-*, **/cache/**';
+
+    const typeGroup = document.createElement('div');
+    typeGroup.className = 'filter-types';
+    const typeCheckboxes = {};
+    Object.entries(FILTER_TYPES).forEach(([type, { label }]) => {
+      const typeLabel = document.createElement('label');
+      typeLabel.className = 'sync-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      typeCheckboxes[type] = checkbox;
+      typeLabel.appendChild(checkbox);
+      typeLabel.appendChild(document.createTextNode(label));
+      typeGroup.appendChild(typeLabel);
+    });
+
+    const minSize = createSizeField('Skip files smaller than:');
+    const maxSize = createSizeField('Skip files larger than:');
+
+    const afterInput = document.createElement('input');
+    afterInput.type = 'date';
+    const beforeInput = document.createElement('input');
+    beforeInput.type = 'date';
+
+    const errorMsg = document.createElement('div');
+    errorMsg.className = 'error-message';
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-btn';
+    cancelButton.textContent = 'Cancel';
+    const clearButton = document.createElement('button');
+    clearButton.className = 'cancel-btn';
+    clearButton.textContent = 'Transfer Everything';
+    const applyButton = document.createElement('button');
+    applyButton.className = 'create-btn';
+    applyButton.textContent = 'Apply';
+    buttonGroup.appendChild(cancelButton);
+    buttonGroup.appendChild(clearButton);
+    buttonGroup.appendChild(applyButton);
+
+    modalContent.appendChild(title);
+    modalContent.appendChild(createField('Preset:', presetRow));
+    modalContent.appendChild(createField('Only files matching (globs, comma or line separated):', includeInput));
+    modalContent.appendChild(createField('Skip files and folders matching:', excludeInput));
+    modalContent.appendChild(createField('Only these types (none ticked for all):', typeGroup));
+    modalContent.appendChild(minSize.group);
+    modalContent.appendChild(maxSize.group);
+    modalContent.appendChild(createField('Only files modified from:', afterInput));
+    modalContent.appendChild(createField('Only files modified until:', beforeInput));
+    modalContent.appendChild(errorMsg);
+    modalContent.appendChild(buttonGroup);
+    modalContainer.appendChild(modalContent);
+
+    const showRules = (rules) => {
+      const { include, exclude, minSize: min, maxSize: max, modifiedAfter, modifiedBefore, types } = normalizeRules(rules);
+      includeInput.value = include.join(', ');
+      excludeInput.value = exclude.join(', ');
+      Object.entries(typeCheckboxes).forEach(([type, checkbox]) => { checkbox.checked = types.includes(type); });
+      showSize(min, minSize.valueInput, minSize.unitSelect);
+      showSize(max, maxSize.valueInput, maxSize.unitSelect);
+      afterInput.value = modifiedAfter;
+      beforeInput.value = modifiedBefore;
+    };
+
+    const readRules = () => {
+      const readSize = ({ valueInput, unitSelect }) => {
+        const value = Number(valueInput.value);
+        return value > 0 ? Math.round(value * SIZE_UNITS[unitSelect.value]) : 0;
+      };
+      return {
+        include: parseGlobList(includeInput.value),
+        exclude: parseGlobList(excludeInput.value),
+        minSize: readSize(minSize),
+        maxSize: readSize(maxSize),
+        modifiedAfter: afterInput.value,
+        modifiedBefore: beforeInput.value,
+        types: Object.keys(typeCheckboxes).filter(type => typeCheckboxes[type].checked)
+      };
+    };
+
+    const validate = (rules) => {
+      if (rules.minSize > 0 && rules.maxSize > 0 && rules.minSize > rules.maxSize) {
+        return 'The smallest size is larger than the largest size';
+      }
+      if (rules.modifiedAfter && rules.modifiedBefore && rules.modifiedAfter > rules.modifiedBefore) {
+        return 'The "from" date is after the "until" date';
+      }
+      return null;
+    };
+
+    const fillPresets = (selected) => {
+      presetSelect.innerHTML = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = Object.keys(presets).length > 0 ? 'Load a preset…' : 'No saved presets';
+      presetSelect.appendChild(none);
+      Object.keys(presets).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        presetSelect.appendChild(option);
+      });
+      presetSelect.value = selected || '';
+      deletePresetButton.disabled = !presetSelect.value;
+    };
+
+    const savePresets = () => ipcRenderer.invoke('set-setting', { key: 'filterPresets', value: presets });
+
+    showRules(activeRules);
+    fillPresets('');
+
+    presetSelect.addEventListener('change', () => {
+      deletePresetButton.disabled = !presetSelect.value;
+      if (presetSelect.value) {
+        showRules(presets[presetSelect.value]);
+        presetName.value = presetSelect.value;
+      }
+    });
+
+    savePresetButton.addEventListener('click', async () => {
+      const name = presetName.value.trim();
+      const rules = readRules();
+      const problem = !name ? 'Enter a name for the preset' : validate(rules);
+      errorMsg.textContent = problem || '';
+      if (problem) return;
+
+      presets[name] = rules;
+      await savePresets();
+      fillPresets(name);
+      console.log(`Saved filter preset "${name}": ${describeRules(rules)}`);
+    });
+
+    deletePresetButton.addEventListener('click', async () => {
+      const name = presetSelect.value;
+      if (!name || !window.confirm(`Delete the preset "${name}"?`)) return;
+
+      delete presets[name];
+      await savePresets();
+      fillPresets('');
+      console.log(`Deleted filter preset "${name}"`);
+    });
+
+    const close = (result) => {
+      if (modalContainer.parentNode) {
+        document.body.removeChild(modalContainer);
+      }
+      resolve(result);
+    };
+
+    const apply = async (rules) => {
+      const active = isFilterActive(rules) ? rules : null;
+      await ipcRenderer.invoke('set-setting', { key: 'transferFilter', value: active });
+      console.log(`Folder transfer filter: ${describeRules(active)}`);
+      close(active);
+    };
+
+    cancelButton.addEventListener('click', () => close(undefined));
+    clearButton.addEventListener('click', () => apply(null));
+    applyButton.addEventListener('click', () => {
+      const rules = readRules();
+      const problem = validate(rules);
+      errorMsg.textContent = problem || '';
+      if (!problem) apply(rules);
+    });
+  });
+}
+
+/**
+ * Shows what the filter leaves out of a folder transfer
+ *
+ * @param {Object} rules - Active rule set
+ * @param {string} folderName - Name of the transferred folder
+ * @param {Object} result - Outcome of the walk
+ * @param {number} result.includedFiles - Files that will be transferred
+ * @param {number} result.includedBytes - Their total size
+ * @param {Array<{path: string, size: number, reason: string}>} result.skipped - Files and folders left out
+ * @returns {Promise<{proceed: boolean, dontAskAgain: boolean}>} - The user's answer
+ */
+function showFilterPreview(rules, folderName, { includedFiles, includedBytes, skipped }) {
+  return new Promise((resolve) => {
+    const modalContainer = openModalContainer();
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content filter-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = `Filtered Transfer: ${folderName}`;
+
+    const rulesLine = document.createElement('div');
+    rulesLine.className = 'path-display';
+    rulesLine.textContent = describeRules(rules);
+
+    const skippedFiles = skipped.filter(item => item.reason !== 'folder');
+    const skippedFolders = skipped.length - skippedFiles.length;
+    const skippedBytes = skippedFiles.reduce((sum, item) => sum + (item.size || 0), 0);
+
+    const summary = document.createElement('div');
+    summary.className = 'sync-summary';
+    summary.textContent = `${includedFiles} file(s), ${formatFileSize(includedBytes)} will be transferred. ` +
+      `${skippedFiles.length} file(s), ${formatFileSize(skippedBytes)} skipped` +
+      (skippedFolders > 0 ? `, plus ${skippedFolders} folder(s) with everything in them.` : '.');
+
+    const list = document.createElement('div');
+    list.className = 'sync-plan-list';
+    skipped.slice(0, MAX_PREVIEW_ROWS).forEach(item => {
+      const row = document.createElement('div');
+      row.textContent = item.reason === 'folder'
+        ? `${item.path}/ (folder excluded)`
+        : `${item.path} (${item.reason}, ${formatFileSize(item.size || 0)})`;
+      list.appendChild(row);
+    });
+    if (skipped.length > MAX_PREVIEW_ROWS) {
+      const more = document.createElement('div');
+      more.textContent = `…and ${skipped.length - MAX_PREVIEW_ROWS} more`;
+      list.appendChild(more);
+    }
+
+    const applyLabel = document.createElement('label');
+    applyLabel.className = 'conflict-option conflict-apply-all';
+    const applyCheckbox = document.createElement('input');
+    applyCheckbox.type = 'checkbox';
+    applyLabel.appendChild(applyCheckbox);
+    applyLabel.appendChild(document.createTextNode('Do not show this again for the rest of this transfer'));
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'cancel-btn';
+    cancelButton.textContent = 'Cancel Transfer';
+    const startButton = document.createElement('button');
+    startButton.className = 'create-btn';
+    startButton.textContent = includedFiles > 0 ? 'Start' : 'Continue';
+    buttonGroup.appendChild(cancelButton);
+    buttonGroup.appendChild(startButton);
+
+    modalContent.appendChild(title);
+    modalContent.appendChild(rulesLine);
+    modalContent.appendChild(summary);
+    if (skipped.length > 0) modalContent.appendChild(list);
+    modalContent.appendChild(applyLabel);
+    modalContent.appendChild(buttonGroup);
+    modalContainer.appendChild(modalContent);
+
+    const close = (proceed) => {
+      document.removeEventListener('keyup', onKeyUp);
+      document.body.removeChild(modalContainer);
+      resolve({ proceed, dontAskAgain: applyCheckbox.checked });
+    };
+
+    const onKeyUp = (e) => {
+      if (e.key === 'Enter') {
+        startButton.click();
+      } else if (e.key === 'Escape') {
+        cancelButton.click();
+      }
+    };
+    document.addEventListener('keyup', onKeyUp);
+
+    cancelButton.addEventListener('click', () => close(false));
+    startButton.addEventListener('click', () => close(true));
+  });
+}
+
+/**
+ * Asks the user to confirm what a filter leaves out of a folder transfer.
+ * Cancelling stops the whole operation.
+ *
+ * @param {Object} session - Conflict session of the operation (may be null)
+ * @param {Object} rules - Active rule set
+ * @param {string} folderName - Name of the transferred folder
+ * @param {Object} result - Outcome of the walk, see showFilterPreview()
+ * @returns {Promise<boolean>} - True if the transfer should go ahead
+ */
+async function confirmFilteredTransfer(session, rules, folderName, result) {
+  if (session && session.cancelled) return false;
+
+  console.log(`Filter on ${folderName}: ${result.includedFiles} file(s) included, ${result.skipped.length} item(s) skipped (${describeRules(rules)})`);
+  if (session && session.filterConfirmed) return true;
+
+  const { proceed, dontAskAgain } = await showFilterPreview(rules, folderName, result);
+  if (!proceed) {
+    if (session) session.cancelled = true;
+    return false;
+  }
+  if (session && dontAskAgain) session.filterConfirmed = true;
+  return true;
+}
+
+// Export functions
+module.exports = {
+  FILTER_TYPES,
+  globToRegExp,
+  isFilterActive,
+  isFolderExcluded,
+  getExclusionReason,
+  describeRules,
+  getActiveRules,
+  showFilterDialog,
+  confirmFilteredTransfer
+};
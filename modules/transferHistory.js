@@ -0,0 +1,169 @@
+/**
+ * transferHistory.js
+ * Persistent record of every transfer and file operation on a device, kept
+ * as evidence of what was copied from and to each device. Entries are
+ * appended to a JSON Lines file so recording stays cheap however long the
+ * history gets. Used by the main process.
+ */
+
+const fs = require('fs');
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['time', 'action', 'deviceId', 'source', 'destination', 'bytes', 'durationMs', 'result', 'error', 'checksum'];
+
+// History state
+const history = {
+  filePath: null,     // JSON Lines file the entries are appended to
+  onRecord: null,     // Called with every new entry
+  counter: 0          // Makes ids unique within one millisecond
+};
+
+/**
+ * Sets up the history
+ *
+ * @param {Object} options - History options
+ * @param {string} options.filePath - File to keep the history in
+ * @param {Function} [options.onRecord] - Called with every new entry, e.g. to refresh an open history window
+ */
+function initHistory({ filePath, onRecord }) {
+  history.filePath = filePath;
+  history.onRecord = onRecord || null;
+  console.log('Transfer history file:', filePath);
+}
+
+/**
+ * Appends an entry to the history
+ *
+ * @param {Object} details - What happened
+ * @param {string} details.action - 'pull', 'push', 'delete', 'rename', 'copy' or 'move'
+ * @param {string} details.deviceId - Serial of the device
+ * @param {string} details.source - Source path (the item itself for deletes)
+ * @param {string} [details.destination] - Destination path
+ * @param {number} [details.bytes] - Size of the item
+ * @param {number} [details.durationMs] - How long the operation took
+ * @param {string} details.result - 'success', 'failed' or 'cancelled'
+ * @param {string} [details.error] - Error message of a failed operation
+ * @param {string} [details.checksum] - "algorithm:hash" of a verified transfer
+ * @returns {Object} - The entry as recorded
+ */
+function recordEntry(details) {
+  if (!history.filePath) {
+    throw new Error('Transfer history not initialized');
+  }
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${(history.counter++).toString(36)}`,
+    time: new Date().toISOString(),
+    action: details.action,
+    deviceId: details.deviceId || '',
+    source: details.source || '',
+    destination: details.destination || '',
+    bytes: details.bytes || 0,
+    durationMs: details.durationMs || 0,
+    result: details.result,
+    error: details.error || '',
+    checksum: details.checksum || ''
+  };
+
+  fs.appendFileSync(history.filePath, `${JSON.stringify(entry)}\n`);
+  if (history.onRecord) history.onRecord(entry);
+  return entry;
+}
+
+/**
+ * Reads every entry of the history, oldest first. Lines that cannot be
+ * parsed (e.g. cut short by a crash) are skipped.
+ *
+ * @returns {Array<Object>} - History entries
+ */
+function readEntries() {
+  if (!history.filePath || !fs.existsSync(history.filePath)) return [];
+
+  const entries = [];
+  fs.readFileSync(history.filePath, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      console.error('Skipping unreadable transfer history line:', line.slice(0, 100));
+    }
+  });
+  return entries;
+}
+
+/**
+ * Gets the history entries matching a filter, newest first
+ *
+ * @param {Object} [filters] - Filter; every field is optional
+ * @param {string} [filters.from] - First day to include (YYYY-MM-DD, local time)
+ * @param {string} [filters.to] - Last day to include (YYYY-MM-DD, local time)
+ * @param {string} [filters.deviceId] - Device serial
+ * @param {string} [filters.result] - 'success', 'failed' or 'cancelled'
+ * @param {string} [filters.text] - Text to look for in the paths and error message
+ * @returns {Array<Object>} - Matching entries
+ */
+function queryHistory(filters = {}) {
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+  const to = filters.to ? new Date(`${filters.to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : null;
+  const text = (filters.text || '').toLowerCase();
+
+  return readEntries().filter(entry => {
+    const time = new Date(entry.time).getTime();
+    if (from !== null && time < from) return false;
+    if (to !== null && time >= to) return false;
+    if (filters.deviceId && entry.deviceId !== filters.deviceId) return false;
+    if (filters.result && entry.result !== filters.result) return false;
+    if (text && ![entry.source, entry.destination, entry.error].some(value => (value || '').toLowerCase().includes(text))) {
+      return false;
+    }
+    return true;
+  }).reverse();
+}
+
+/**
+ * Gets the serials of all devices in the history
+ *
+ * @returns {Array<string>} - Device serials, sorted
+ */
+function getHistoryDevices() {
+  return [...new Set(readEntries().map(entry => entry.deviceId).filter(Boolean))].sort();
+}
+
+/**
+ * Quotes a CSV field when needed
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats history entries for export
+ *
+ * @param {Array<Object>} entries - Entries to export
+ * @param {'csv' | 'json'} format - Export format
+ * @returns {string} - File contents
+ */
+function formatHistory(entries, format) {
+  if (format === 'json') {
+    return JSON.stringify(entries, null, 2);
+  }
+
+  const lines = [CSV_COLUMNS.join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Export functions
+module.exports = {
+  initHistory,
+  recordEntry,
+  queryHistory,
+  getHistoryDevices,
+  formatHistory
+};
@@ -7,73 +7,241 @@ const { ipcRenderer } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { resolveDestination } = require('./conflictResolver');
+const { resolveBatchNames } = require('./filenameCompat');
+const { getActiveRules, isFolderExcluded, getExclusionReason, confirmFilteredTransfer } = require('./transferFilters');
+const { formatFileSize } = require('./fileSystem');
 
 /**
- * Transfers a file from the local file system to an Android device
- * 
+ * Describes a destination that does not have enough free space for a batch
+ *
+ * @param {Object} shortfall - Shortfall reported by the main process
+ * @returns {string} - Message for the user
+ */
+function describeShortfall({ side, destination, required, available, shortfall }) {
+  return `Not enough free space ${side === 'local' ? 'on this computer' : 'on the device'} (${destination}): ` +
+    `${formatFileSize(required)} needed, ${formatFileSize(available)} free, ${formatFileSize(shortfall)} short.`;
+}
+
+/**
+ * Adds transfer jobs to the transfer queue in the main process. The batch is
+ * first checked against the free space at its destination; if it does not
+ * fit, the user decides whether to queue it anyway.
+ *
+ * @param {Array<Object>} jobs - Jobs to queue ({ type, deviceId, localPath, remotePath, size, deleteSource, sourceRoot, bulk })
+ * @param {string} label - Human readable description of the batch
+ * @param {Object} [session] - Conflict session of the operation; remembers the user's answer for its other batches
+ * @returns {Promise<{batchId: string|null, jobIds: Array<string>}>} - Identifiers of the queued jobs
+ * @throws {Error} - If the user does not queue a batch that does not fit
+ */
+async function enqueueTransfers(jobs, label, session) {
+  if (jobs.length === 0) {
+    return { batchId: null, jobIds: [] };
+  }
+
+  const { shortfalls } = session && session.spaceConfirmed
+    ? { shortfalls: [] }
+    : await ipcRenderer.invoke('queue-check-space', { jobs });
+  if (shortfalls.length > 0) {
+    const messages = shortfalls.map(describeShortfall);
+    console.warn(`Free space check failed for ${label}:`, messages.join(' '));
+    if (!window.confirm(`${messages.join('\n\n')}\n\nQueue "${label}" anyway? It will fail once the disk is full.`)) {
+      // Stop the rest of the operation as well
+      if (session) session.cancelled = true;
+      throw new Error(messages.join(' '));
+    }
+    if (session) session.spaceConfirmed = true;
+  }
+
+  console.log(`Queueing ${jobs.length} transfer job(s): ${label}`);
+  return ipcRenderer.invoke('queue-add', { jobs, label });
+}
+
+/**
+ * Checks whether a folder can be transferred as one tar stream. Bulk mode is
+ * only used for folders that do not exist at the destination yet, so files
+ * that already exist always go through the per-file conflict handling.
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} destinationPath - Destination folder
+ * @param {boolean} isRemote - Whether the destination is on the Android device
+ * @returns {Promise<boolean>} - True if the folder should be transferred in bulk
+ */
+async function canTransferInBulk(deviceId, destinationPath, isRemote) {
+  if (isRemote) {
+    const destination = await ipcRenderer.invoke('stat-android-item', { deviceId, path: destinationPath });
+    if (destination.exists) return false;
+  } else if (fs.existsSync(destinationPath)) {
+    return false;
+  }
+
+  const { supported } = await ipcRenderer.invoke('check-bulk-transfer', { deviceId });
+  return supported;
+}
+
+/**
+ * Queues a file transfer from the local file system to an Android device
+ *
  * @param {string} deviceId - Android device ID
  * @param {string} localPath - Path to the local file
  * @param {string} androidPath - Path on the Android device
  * @param {Function} setStatus - Function to set status message
- * @returns {Promise<boolean>} - Promise that resolves to true if transfer was successful
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.conflicts] - Conflict session deciding what to do if the destination exists
+ * @param {boolean} [options.move] - Delete the source once it has been transferred
+ * @returns {Promise<boolean|null>} - True if the transfer was queued, null if it was skipped, false on error
  */
-async function transferLocalFileToAndroid(deviceId, localPath, androidPath, setStatus) {
+async function transferLocalFileToAndroid(deviceId, localPath, androidPath, setStatus, options = {}) {
+  const { conflicts, move } = options;
   try {
-    console.log('Pushing local file to Android:', localPath, 'to', androidPath);
+    console.log('Queueing push of local file to Android:', localPath, 'to', androidPath);
     console.log('Using device ID:', deviceId);
-    
-    await ipcRenderer.invoke('push-file', {
+
+    const stats = fs.statSync(localPath);
+    const remotePath = await resolveDestination(conflicts, {
+      targetPath: androidPath,
+      isRemote: true,
+      deviceId,
+      source: { size: stats.size, mtime: stats.mtimeMs }
+    });
+    if (!remotePath) return null;
+
+    await enqueueTransfers([{
+      type: 'push',
       deviceId: deviceId,
       localPath: localPath,
-      remotePath: androidPath
-    });
-    
+      remotePath: remotePath,
+      size: stats.size,
+      deleteSource: Boolean(move)
+    }], `${move ? 'Move' : 'Upload'} ${path.basename(localPath)}`, conflicts);
+
     return true;
   } catch (err) {
-    console.error('Error pushing file to Android:', err);
+    console.error('Error queueing push to Android:', err);
     setStatus(`Error: ${err.message}`);
     return false;
   }
 }
 
 /**
- * Recursively transfers a folder from the local file system to an Android device
- * 
+ * Recursively queues a folder transfer from the local file system to an Android device.
+ * Directories are created on the device right away; files are added to the transfer queue.
+ * With bulk transfers on, a folder that does not exist on the device yet is
+ * queued as a single job that pushes it as one tar archive. Names the device
+ * does not accept are changed once the user has seen the list.
+ *
  * @param {string} deviceId - Android device ID
  * @param {string} localFolderPath - Path to the local folder
  * @param {string} androidFolderPath - Path on the Android device
  * @param {Function} setStatus - Function to set status message
- * @returns {Promise<{success: number, errors: number}>} - Counts of successful and failed transfers
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.conflicts] - Conflict session deciding what to do with files that already exist
+ * @param {boolean} [options.move] - Delete each source file once it has been transferred
+ * @returns {Promise<{queued: number, errors: number}>} - Counts of queued files and failures
  */
-async function transferLocalFolderToAndroid(deviceId, localFolderPath, androidFolderPath, setStatus) {
+async function transferLocalFolderToAndroid(deviceId, localFolderPath, androidFolderPath, setStatus, options = {}) {
+  const { conflicts, move } = options;
   let totalFiles = 0;
-  let processedFiles = 0;
-  let successCount = 0;
+  let totalBytes = 0;
+  // A bulk transfer packs regular files only; it is checked against these once extracted
+  let regularFiles = 0;
+  let regularBytes = 0;
   let errorCount = 0;
-  
-  // Count all files in the folder structure for progress reporting
-  function countFiles(dirPath) {
+  const jobs = [];
+  const selected = new Set();
+  const skipped = [];
+  const rules = await getActiveRules();
+
+  // Count all files in the folder structure for progress reporting. With a
+  // filter, only matching files and the folders leading to them are selected.
+  function countFiles(dirPath, relativeDir) {
     const items = fs.readdirSync(dirPath, { withFileTypes: true });
-    
+    let included = false;
+
     items.forEach(item => {
+      const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
       if (item.isDirectory()) {
-        countFiles(path.join(dirPath, item.name));
+        if (isFolderExcluded(rules, item.name, relativePath)) {
+          skipped.push({ path: relativePath, reason: 'folder' });
+          return;
+        }
+        // Without a filter empty folders are transferred as well
+        if (countFiles(path.join(dirPath, item.name), relativePath) || !rules) {
+          selected.add(relativePath);
+          included = true;
+        }
       } else {
+        const stats = fs.statSync(path.join(dirPath, item.name));
+        const reason = getExclusionReason(rules, { name: item.name, relativePath, size: stats.size, mtime: stats.mtimeMs });
+        if (reason) {
+          skipped.push({ path: relativePath, size: stats.size, reason });
+          return;
+        }
+        selected.add(relativePath);
+        included = true;
         totalFiles++;
+        totalBytes += stats.size;
+        if (item.isFile()) {
+          regularFiles++;
+          regularBytes += stats.size;
+        }
       }
     });
+    return included;
   }
-  
+
   // Attempt to count total files first
   try {
-    countFiles(localFolderPath);
+    countFiles(localFolderPath, '');
     setStatus(`Preparing to transfer ${totalFiles} files from ${path.basename(localFolderPath)}...`);
   } catch (err) {
     console.error('Error counting files:', err);
     setStatus(`Error counting files: ${err.message}`);
-    return { success: 0, errors: 1 };
+    return { queued: 0, errors: 1 };
   }
-  
+
+  if (rules && !await confirmFilteredTransfer(conflicts, rules, path.basename(localFolderPath),
+    { includedFiles: totalFiles, includedBytes: totalBytes, skipped })) {
+    return { queued: 0, errors: 0 };
+  }
+
+  // Names the device does not accept are changed, after asking the user
+  const relativePaths = [...selected];
+  const mapPath = await resolveBatchNames(conflicts, relativePaths, true);
+  if (!mapPath) {
+    return { queued: 0, errors: 0 };
+  }
+  const renamed = relativePaths.some(relativePath => mapPath(relativePath) !== relativePath);
+
+  // A new folder can go to the device as one tar stream, unless names have to
+  // change on the way or the filter leaves something out
+  let bulk = false;
+  try {
+    bulk = !renamed && skipped.length === 0 && await canTransferInBulk(deviceId, androidFolderPath, true);
+  } catch (err) {
+    console.error('Error checking for bulk folder transfer, transferring file by file:', err);
+  }
+
+  if (bulk) {
+    try {
+      await enqueueTransfers([{
+        type: 'push',
+        deviceId: deviceId,
+        localPath: localFolderPath,
+        remotePath: androidFolderPath,
+        size: regularBytes,
+        fileCount: regularFiles,
+        deleteSource: Boolean(move),
+        bulk: true
+      }], `${move ? 'Move' : 'Upload'} ${path.basename(localFolderPath)} (bulk)`, conflicts);
+      return { queued: totalFiles, errors: 0 };
+    } catch (err) {
+      console.error('Error queueing bulk folder transfer:', err);
+      setStatus(`Error: ${err.message}`);
+      return { queued: 0, errors: 1 };
+    }
+  }
+
   // Create the base folder on Android first
   try {
     console.log('Creating base folder on Android:', androidFolderPath);
@@ -84,18 +252,22 @@ async function transferLocalFolderToAndroid(deviceId, localFolderPath, androidFo
   } catch (err) {
     console.error('Error creating base folder on Android:', err);
     setStatus(`Error creating folder on Android: ${err.message}`);
-    return { success: 0, errors: 1 };
+    return { queued: 0, errors: 1 };
   }
-  
+
   // Function to process a directory recursively
-  async function processDirectory(localDir, androidDir) {
+  async function processDirectory(localDir, relativeDir) {
     const items = fs.readdirSync(localDir, { withFileTypes: true });
-    
+
     for (const item of items) {
+      if (conflicts && conflicts.cancelled) return;
+
       const localItemPath = path.join(localDir, item.name);
+      const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+      if (!selected.has(relativePath)) continue;
       // Use forward slashes for Android paths
-      const androidItemPath = androidDir + '/' + item.name;
-      
+      const androidItemPath = androidFolderPath + '/' + mapPath(relativePath);
+
       if (item.isDirectory()) {
         // Create directory on Android
         try {
@@ -104,192 +276,315 @@ async function transferLocalFolderToAndroid(deviceId, localFolderPath, androidFo
             deviceId: deviceId,
             path: androidItemPath
           });
-          
+
           // Process subdirectory recursively
-          const subDirResult = await processDirectory(localItemPath, androidItemPath);
-          successCount += subDirResult.success;
-          errorCount += subDirResult.errors;
+          await processDirectory(localItemPath, relativePath);
         } catch (err) {
           console.error('Error creating directory on Android:', err);
           errorCount++;
         }
       } else {
-        // Transfer file
+        // Queue file
         try {
-          console.log('Transferring file to Android:', localItemPath, 'to', androidItemPath);
-          await ipcRenderer.invoke('push-file', {
+          const stats = fs.statSync(localItemPath);
+          const remotePath = await resolveDestination(conflicts, {
+            targetPath: androidItemPath,
+            isRemote: true,
+            deviceId,
+            source: { size: stats.size, mtime: stats.mtimeMs }
+          });
+          if (!remotePath) continue;
+
+          jobs.push({
+            type: 'push',
             deviceId: deviceId,
             localPath: localItemPath,
-            remotePath: androidItemPath
+            remotePath: remotePath,
+            size: stats.size,
+            deleteSource: Boolean(move),
+            sourceRoot: move ? localFolderPath : null
           });
-          
-          processedFiles++;
-          successCount++;
-          setStatus(`Transferring ${processedFiles}/${totalFiles}: ${item.name}`);
+          setStatus(`Scanning ${jobs.length}/${totalFiles}: ${item.name}`);
         } catch (err) {
-          console.error('Error transferring file to Android:', err);
-          processedFiles++;
+          console.error('Error reading local file:', err);
           errorCount++;
-          setStatus(`Error (${processedFiles}/${totalFiles}): ${item.name} - ${err.message}`);
+          setStatus(`Error: ${item.name} - ${err.message}`);
         }
       }
     }
-    
-    return { success: successCount, errors: errorCount };
   }
-  
+
   // Start the recursive process
-  return processDirectory(localFolderPath, androidFolderPath);
+  await processDirectory(localFolderPath, '');
+
+  if (conflicts && conflicts.cancelled) {
+    return { queued: 0, errors: errorCount };
+  }
+
+  try {
+    await enqueueTransfers(jobs, `${move ? 'Move' : 'Upload'} ${path.basename(localFolderPath)}`, conflicts);
+  } catch (err) {
+    console.error('Error queueing folder transfer:', err);
+    setStatus(`Error: ${err.message}`);
+    return { queued: 0, errors: errorCount + jobs.length };
+  }
+
+  return { queued: jobs.length, errors: errorCount };
 }
 
 /**
- * Transfers a file from an Android device to the local file system
- * 
+ * Queues a file transfer from an Android device to the local file system
+ *
  * @param {string} deviceId - Android device ID
  * @param {string} androidPath - Path on the Android device
  * @param {string} localPath - Path to the local file
  * @param {Function} setStatus - Function to set status message
- * @returns {Promise<boolean>} - Promise that resolves to true if transfer was successful
+ * @param {number} [size] - File size in bytes, if already known
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.conflicts] - Conflict session deciding what to do if the destination exists
+ * @param {boolean} [options.move] - Delete the source once it has been transferred
+ * @returns {Promise<boolean|null>} - True if the transfer was queued, null if it was skipped, false on error
  */
-async function transferAndroidFileToLocal(deviceId, androidPath, localPath, setStatus) {
+async function transferAndroidFileToLocal(deviceId, androidPath, localPath, setStatus, size, options = {}) {
+  const { conflicts, move } = options;
   try {
-    console.log('Pulling Android file to local:', androidPath, 'to', localPath);
+    console.log('Queueing pull of Android file to local:', androidPath, 'to', localPath);
     console.log('Using device ID:', deviceId);
-    
-    await ipcRenderer.invoke('pull-file', {
+
+    let targetPath = localPath;
+    if (conflicts) {
+      const source = await ipcRenderer.invoke('stat-android-item', { deviceId, path: androidPath });
+      targetPath = await resolveDestination(conflicts, {
+        targetPath: localPath,
+        isRemote: false,
+        deviceId,
+        source: { size: source.size, mtime: source.mtime }
+      });
+      if (!targetPath) return null;
+      size = size || source.size;
+    }
+
+    await enqueueTransfers([{
+      type: 'pull',
       deviceId: deviceId,
       remotePath: androidPath,
-      localPath: localPath
-    });
-    
+      localPath: targetPath,
+      size: size || 0,
+      deleteSource: Boolean(move)
+    }], `${move ? 'Move' : 'Download'} ${path.posix.basename(androidPath)}`, conflicts);
+
     return true;
   } catch (err) {
-    console.error('Error pulling file from Android:', err);
+    console.error('Error queueing pull from Android:', err);
     setStatus(`Error: ${err.message}`);
     return false;
   }
 }
 
 /**
- * Recursively transfers a folder from an Android device to the local file system
- * 
+ * Lists all files and directories below a directory on the Android device
+ *
+ * @param {string} deviceId - Android device ID
+ * @param {string} dirPath - Directory on the Android device
+ * @param {Function} [skipDirectory] - ({ path, name }) => boolean, true to leave a directory and its contents out
+ * @returns {Promise<{files: Array<Object>, directories: Array<Object>}>} - Files ({ path, name, size, mtime, mode }) and directories ({ path, name })
+ */
+async function listAndroidFilesRecursively(deviceId, dirPath, skipDirectory) {
+  const results = {
+    files: [],
+    directories: []
+  };
+
+  try {
+    console.log('Listing Android directory:', dirPath);
+    const items = await ipcRenderer.invoke('list-files', {
+      deviceId: deviceId,
+      path: dirPath,
+      noCache: Date.now() // Force fresh request
+    });
+
+    for (const item of items) {
+      const isDir = (item.mode & 0x4000) === 0x4000;
+      const itemPath = dirPath.endsWith('/') ? `${dirPath}${item.name}` : `${dirPath}/${item.name}`;
+
+      if (isDir) {
+        const directory = {
+          path: itemPath,
+          name: item.name
+        };
+        if (skipDirectory && skipDirectory(directory)) continue;
+        results.directories.push(directory);
+
+        // Recursively list files in subdirectory
+        const subResults = await listAndroidFilesRecursively(deviceId, itemPath, skipDirectory);
+        results.files.push(...subResults.files);
+        results.directories.push(...subResults.directories);
+      } else {
+        results.files.push({
+          path: itemPath,
+          name: item.name,
+          size: item.size,
+          mtime: item.mtime ? new Date(item.mtime).getTime() : 0,
+          mode: item.mode
+        });
+      }
+    }
+
+    return results;
+  } catch (err) {
+    console.error('Error listing Android directory:', err);
+    throw err;
+  }
+}
+
+/**
+ * Recursively queues a folder transfer from an Android device to the local file system.
+ * Local directories are created right away; files are added to the transfer queue.
+ * With bulk transfers on, a folder that does not exist locally yet is queued
+ * as a single job that pulls it as one tar stream. Names this computer does
+ * not accept are changed once the user has seen the list.
+ *
  * @param {string} deviceId - Android device ID
  * @param {string} androidFolderPath - Path on the Android device
  * @param {string} localFolderPath - Path to the local folder
  * @param {Function} setStatus - Function to set status message
- * @returns {Promise<{success: number, errors: number}>} - Counts of successful and failed transfers
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.conflicts] - Conflict session deciding what to do with files that already exist
+ * @param {boolean} [options.move] - Delete each source file once it has been transferred
+ * @returns {Promise<{queued: number, errors: number}>} - Counts of queued files and failures
  */
-async function transferAndroidFolderToLocal(deviceId, androidFolderPath, localFolderPath, setStatus) {
-  let successCount = 0;
-  let errorCount = 0;
+async function transferAndroidFolderToLocal(deviceId, androidFolderPath, localFolderPath, setStatus, options = {}) {
+  const { conflicts, move } = options;
   let totalFiles = 0;
-  let processedFiles = 0;
-  
-  // Create the base folder locally first
+  let bulk = false;
+
   try {
-    console.log('Creating base folder locally:', localFolderPath);
-    if (!fs.existsSync(localFolderPath)) {
-      fs.mkdirSync(localFolderPath, { recursive: true });
-    }
+    bulk = await canTransferInBulk(deviceId, localFolderPath, false);
   } catch (err) {
-    console.error('Error creating base folder locally:', err);
-    setStatus(`Error creating folder locally: ${err.message}`);
-    return { success: 0, errors: 1 };
+    console.error('Error checking for bulk folder transfer, transferring file by file:', err);
   }
-  
-  // Function to get all files in a directory on Android recursively
-  async function listAndroidFilesRecursively(path) {
-    const results = {
-      files: [],
-      directories: []
-    };
-    
-    try {
-      console.log('Listing Android directory:', path);
-      const items = await ipcRenderer.invoke('list-files', {
-        deviceId: deviceId,
-        path: path,
-        noCache: Date.now() // Force fresh request
+
+  try {
+    const rules = await getActiveRules();
+    const skipped = [];
+    const getRelativePath = item => item.path.substring(androidFolderPath.length).replace(/^\/+/, '');
+    const skipDirectory = rules && (directory => {
+      if (!isFolderExcluded(rules, directory.name, getRelativePath(directory))) return false;
+      skipped.push({ path: getRelativePath(directory), reason: 'folder' });
+      return true;
+    });
+
+    // First, list all files and directories recursively to get the total
+    setStatus('Scanning Android folder structure...');
+    const fileList = await listAndroidFilesRecursively(deviceId, androidFolderPath, skipDirectory);
+
+    if (rules) {
+      // Keep the matching files and only the folders leading to them
+      fileList.files = fileList.files.filter(file => {
+        const reason = getExclusionReason(rules, { name: file.name, relativePath: getRelativePath(file), size: file.size, mtime: file.mtime });
+        if (reason) skipped.push({ path: getRelativePath(file), size: file.size, reason });
+        return !reason;
       });
-      
-      for (const item of items) {
-        const isDir = (item.mode & 0x4000) === 0x4000;
-        const itemPath = path.endsWith('/') ? `${path}${item.name}` : `${path}/${item.name}`;
-        
-        if (isDir) {
-          results.directories.push({
-            path: itemPath,
-            name: item.name
-          });
-          
-          // Recursively list files in subdirectory
-          const subResults = await listAndroidFilesRecursively(itemPath);
-          results.files.push(...subResults.files);
-          results.directories.push(...subResults.directories);
-        } else {
-          results.files.push({
-            path: itemPath,
-            name: item.name,
-            size: item.size
-          });
+      const usedDirectories = new Set();
+      fileList.files.forEach(file => {
+        for (let dir = path.posix.dirname(file.path); dir.length > androidFolderPath.length; dir = path.posix.dirname(dir)) {
+          usedDirectories.add(dir);
         }
+      });
+      fileList.directories = fileList.directories.filter(dir => usedDirectories.has(dir.path));
+
+      const includedBytes = fileList.files.reduce((sum, file) => sum + (file.size || 0), 0);
+      if (!await confirmFilteredTransfer(conflicts, rules, path.posix.basename(androidFolderPath),
+        { includedFiles: fileList.files.length, includedBytes, skipped })) {
+        return { queued: 0, errors: 0 };
       }
-      
-      return results;
-    } catch (err) {
-      console.error('Error listing Android directory:', err);
-      throw err;
     }
-  }
-  
-  try {
-    // First, list all files and directories recursively to get the total
-    setStatus('Scanning Android folder structure...');
-    const fileList = await listAndroidFilesRecursively(androidFolderPath);
     totalFiles = fileList.files.length;
-    
+
+    // Names this computer does not accept are changed, after asking the user
+    const relativePaths = fileList.directories.concat(fileList.files).map(getRelativePath);
+    const mapPath = await resolveBatchNames(conflicts, relativePaths, false);
+    if (!mapPath) {
+      return { queued: 0, errors: 0 };
+    }
+    if (relativePaths.some(relativePath => mapPath(relativePath) !== relativePath) || skipped.length > 0) {
+      // tar extracts the names as they are and takes the whole folder
+      bulk = false;
+    }
+
+    // Create the base folder locally first (a bulk transfer creates it once the folder is complete)
+    try {
+      console.log('Creating base folder locally:', localFolderPath);
+      if (!bulk && !fs.existsSync(localFolderPath)) {
+        fs.mkdirSync(localFolderPath, { recursive: true });
+      }
+    } catch (err) {
+      console.error('Error creating base folder locally:', err);
+      setStatus(`Error creating folder locally: ${err.message}`);
+      return { queued: 0, errors: 1 };
+    }
+
     setStatus(`Preparing to transfer ${totalFiles} files from Android...`);
-    
+
+    if (bulk) {
+      // The archive is checked against these once it has arrived; links and the like carry no file data
+      const regularFiles = fileList.files.filter(file => (file.mode & 0xF000) === 0x8000);
+      await enqueueTransfers([{
+        type: 'pull',
+        deviceId: deviceId,
+        remotePath: androidFolderPath,
+        localPath: localFolderPath,
+        size: regularFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+        fileCount: regularFiles.length,
+        deleteSource: Boolean(move),
+        bulk: true
+      }], `${move ? 'Move' : 'Download'} ${path.posix.basename(androidFolderPath)} (bulk)`, conflicts);
+      return { queued: totalFiles, errors: 0 };
+    }
+
     // Create all directories first
     for (const dir of fileList.directories) {
-      const relativePath = dir.path.substring(androidFolderPath.length);
-      const targetPath = path.join(localFolderPath, relativePath);
-      
+      const targetPath = path.join(localFolderPath, mapPath(getRelativePath(dir)));
+
       console.log('Creating local directory:', targetPath);
       if (!fs.existsSync(targetPath)) {
         fs.mkdirSync(targetPath, { recursive: true });
       }
     }
-    
-    // Then transfer all files
+
+    // Then queue all files whose destination conflict allows it
+    const jobs = [];
     for (const file of fileList.files) {
-      const relativePath = file.path.substring(androidFolderPath.length);
-      const targetPath = path.join(localFolderPath, relativePath);
-      
-      try {
-        console.log('Transferring file from Android:', file.path, 'to', targetPath);
-        await ipcRenderer.invoke('pull-file', {
-          deviceId: deviceId,
-          remotePath: file.path,
-          localPath: targetPath
-        });
-        
-        processedFiles++;
-        successCount++;
-        setStatus(`Transferring ${processedFiles}/${totalFiles}: ${file.name}`);
-      } catch (err) {
-        console.error('Error transferring file from Android:', err);
-        processedFiles++;
-        errorCount++;
-        setStatus(`Error (${processedFiles}/${totalFiles}): ${file.name} - ${err.message}`);
-      }
+      const localPath = await resolveDestination(conflicts, {
+        targetPath: path.join(localFolderPath, mapPath(getRelativePath(file))),
+        isRemote: false,
+        deviceId,
+        source: { size: file.size, mtime: file.mtime }
+      });
+      if (!localPath) continue;
+
+      jobs.push({
+        type: 'pull',
+        deviceId: deviceId,
+        remotePath: file.path,
+        localPath: localPath,
+        size: file.size,
+        deleteSource: Boolean(move),
+        sourceRoot: move ? androidFolderPath : null
+      });
     }
-    
-    return { success: successCount, errors: errorCount };
+
+    if (conflicts && conflicts.cancelled) {
+      return { queued: 0, errors: 0 };
+    }
+
+    await enqueueTransfers(jobs, `${move ? 'Move' : 'Download'} ${path.posix.basename(androidFolderPath)}`, conflicts);
+
+    return { queued: jobs.length, errors: 0 };
   } catch (err) {
     console.error('Error in folder transfer from Android:', err);
     setStatus(`Error: ${err.message}`);
-    return { success: successCount, errors: errorCount + 1 };
+    return { queued: 0, errors: 1 };
   }
 }
 
@@ -327,9 +622,11 @@ async function pullAndroidFileToTemp(deviceId, androidPath, filename) {
 
 // Export functions
 module.exports = {
+  enqueueTransfers,
   transferLocalFileToAndroid,
   transferLocalFolderToAndroid,
   transferAndroidFileToLocal,
+  listAndroidFilesRecursively,
   transferAndroidFolderToLocal,
   pullAndroidFileToTemp
 }; 
\ No newline at end of file
@@ -0,0 +1,617 @@
+/**
+ * transferQueue.js
+ * Main-process transfer queue. Owns every push/pull job, runs several of them
+ * at the same time and persists the queue through electron-store so an
+ * interrupted batch can be continued after the app restarts.
+ */
+
+const crypto = require('crypto');
+
+// Key under which the queue is persisted in electron-store
+const STORE_KEY = 'transferQueue';
+
+// Job states that will never change again
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// Highest number of parallel transfers that can be configured
+const MAX_CONCURRENCY = 8;
+
+// Jobs that must complete in a row before a lowered limit is raised again
+const RECOVERY_STREAK = 10;
+
+// Retries of a job that failed because of the connection to the device
+const MAX_RETRIES = 5;
+
+// Wait before the first retry; doubled for every further retry up to RETRY_MAX_DELAY
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+
+// How long a retry waits for a disconnected device to come back
+const DEVICE_WAIT_TIMEOUT = 2 * 60 * 1000;
+
+// A batch of thousands of files changes state several times per file, so
+// changed jobs are collected and written to electron-store / sent to the
+// renderer at most this often
+const PERSIST_DELAY = 1000;
+const NOTIFY_DELAY = 200;
+
+/**
+ * Runtime state of the queue
+ */
+const queue = {
+  store: null,          // electron-store instance used for persistence
+  executeJob: null,     // async (job, control) => Object|void, performs the transfer; returned fields are stored on the job
+  discardJob: null,     // async (job) => void, cleans up after a cancelled job
+  isTransientError: () => false,       // (err) => boolean, whether a failure is worth retrying
+  waitForDevice: async () => {},       // async (deviceId, timeoutMs) => void, resolves once the device is online
+  notify: () => {},     // (channel, payload) => void, sends events to the renderer
+  jobs: [],             // All known jobs in queue order
+  running: new Map(),   // Job ID -> { job, control } for every job being transferred
+  retryTimers: new Map(), // Job ID -> timer of a job waiting to be retried
+  concurrency: 1,       // Number of parallel transfers configured by the user
+  limit: 1,             // Current number of parallel transfers, lowered while the device returns errors
+  successStreak: 0,     // Jobs completed since the limit was last lowered
+  persistTimer: null,   // Pending write of the job list
+  notifyTimer: null,    // Pending queue-jobs-changed event
+  changedJobs: new Map(), // Job ID -> job changed since the last queue-jobs-changed event
+  removedIds: new Set()   // Jobs removed since the last queue-jobs-changed event
+};
+
+/**
+ * Checks whether a job has reached a final state
+ *
+ * @param {Object} job - Queue job
+ * @returns {boolean} - True if the job is completed, failed or cancelled
+ */
+function isFinished(job) {
+  return FINISHED_STATES.includes(job.status);
+}
+
+/**
+ * Writes the current job list to electron-store
+ */
+function persistQueue() {
+  if (!queue.store) return;
+
+  try {
+    queue.store.set(STORE_KEY, queue.jobs);
+  } catch (err) {
+    console.error('Error persisting transfer queue:', err);
+  }
+}
+
+/**
+ * Sends the jobs that changed or were removed since the last event to the
+ * renderer
+ */
+function flushNotifications() {
+  clearTimeout(queue.notifyTimer);
+  queue.notifyTimer = null;
+  if (queue.changedJobs.size === 0 && queue.removedIds.size === 0) return;
+
+  queue.notify('queue-jobs-changed', {
+    jobs: Array.from(queue.changedJobs.values()),
+    removedIds: Array.from(queue.removedIds)
+  });
+  queue.changedJobs.clear();
+  queue.removedIds.clear();
+}
+
+/**
+ * Records changed or removed jobs; the queue is persisted and the renderer
+ * told about them shortly afterwards, together with any other changes
+ *
+ * @param {Array<Object>} jobs - Jobs that were added or changed
+ * @param {Array<string>} [removedIds] - Jobs that were removed
+ */
+function publishJobs(jobs, removedIds = []) {
+  jobs.forEach(job => queue.changedJobs.set(job.id, job));
+  removedIds.forEach(id => {
+    queue.changedJobs.delete(id);
+    queue.removedIds.add(id);
+  });
+
+  if (!queue.persistTimer) {
+    queue.persistTimer = setTimeout(() => {
+      queue.persistTimer = null;
+      persistQueue();
+    }, PERSIST_DELAY);
+  }
+  if (!queue.notifyTimer) {
+    queue.notifyTimer = setTimeout(flushNotifications, NOTIFY_DELAY);
+  }
+}
+
+/**
+ * Writes pending changes to electron-store and sends them to the renderer
+ * straight away, e.g. before the app quits
+ */
+function flushQueue() {
+  clearTimeout(queue.persistTimer);
+  queue.persistTimer = null;
+  persistQueue();
+  flushNotifications();
+}
+
+/**
+ * Notifies the renderer when every job of a batch has finished
+ *
+ * @param {string} batchId - Batch to check
+ */
+function checkBatchFinished(batchId) {
+  const batchJobs = queue.jobs.filter(job => job.batchId === batchId);
+  if (batchJobs.length === 0 || !batchJobs.every(isFinished)) return;
+
+  // The renderer shows the final state of the jobs before the batch is reported
+  flushNotifications();
+  queue.notify('queue-batch-finished', {
+    batchId,
+    label: batchJobs[0].label,
+    completed: batchJobs.filter(job => job.status === 'completed').length,
+    failed: batchJobs.filter(job => job.status === 'failed').length,
+    failedAfterRetries: batchJobs.filter(job => job.status === 'failed' && job.failedAfterRetries).length,
+    cancelled: batchJobs.filter(job => job.status === 'cancelled').length
+  });
+}
+
+/**
+ * Changes the status of a job and publishes the change
+ *
+ * @param {Object} job - Queue job
+ * @param {string} status - New status
+ * @param {string} [error] - Error message for failed jobs
+ */
+function setJobStatus(job, status, error) {
+  job.status = status;
+  job.error = error || null;
+  job.updatedAt = Date.now();
+
+  publishJobs([job]);
+
+  if (isFinished(job)) {
+    checkBatchFinished(job.batchId);
+  }
+}
+
+/**
+ * Lowers the number of parallel transfers after a failure. The device often
+ * starts failing sync sessions when too many are open, so the limit is
+ * halved and only raised again after a run of successful jobs.
+ */
+function backOff() {
+  queue.successStreak = 0;
+  if (queue.limit <= 1) return;
+
+  queue.limit = Math.max(1, Math.floor(queue.limit / 2));
+  console.log(`Transfer error, lowering parallel transfers to ${queue.limit}`);
+}
+
+/**
+ * Counts a completed job and raises a lowered limit again once enough jobs
+ * have completed in a row
+ */
+function recordSuccess() {
+  if (queue.limit >= queue.concurrency) return;
+
+  queue.successStreak++;
+  if (queue.successStreak >= RECOVERY_STREAK) {
+    queue.limit++;
+    queue.successStreak = 0;
+    console.log(`Transfers are stable again, raising parallel transfers to ${queue.limit}`);
+  }
+}
+
+/**
+ * Starts queued jobs until the parallel transfer limit is reached
+ */
+function processNext() {
+  if (!queue.executeJob) return;
+
+  while (queue.running.size < queue.limit) {
+    const job = queue.jobs.find(item => item.status === 'queued');
+    if (!job) return;
+    startJob(job);
+  }
+}
+
+/**
+ * Schedules another attempt of a job that failed because of the connection
+ * to the device, or fails it for good once MAX_RETRIES is reached. Each
+ * retry waits twice as long as the one before and then waits for the device
+ * to be online again.
+ *
+ * @param {Object} job - Queue job that has just failed
+ * @param {Error} err - Error of the failed attempt
+ */
+function retryOrFail(job, err) {
+  const message = err.message || 'Transfer failed';
+  if ((job.retries || 0) >= MAX_RETRIES) {
+    console.error(`Transfer job ${job.id} failed after ${job.retries} retries:`, err);
+    job.failedAfterRetries = true;
+    setJobStatus(job, 'failed', `Failed after ${job.retries} retries: ${message}`);
+    return;
+  }
+
+  job.retries = (job.retries || 0) + 1;
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (job.retries - 1), RETRY_MAX_DELAY);
+  job.retryAt = Date.now() + delay;
+  console.log(`Transfer job ${job.id} failed (${message}), retry ${job.retries}/${MAX_RETRIES} in ${delay / 1000}s`);
+  setJobStatus(job, 'retrying', message);
+
+  queue.retryTimers.set(job.id, setTimeout(async () => {
+    queue.retryTimers.delete(job.id);
+    if (job.status !== 'retrying') return;
+
+    try {
+      await queue.waitForDevice(job.deviceId, DEVICE_WAIT_TIMEOUT);
+    } catch (waitErr) {
+      if (job.status === 'retrying') retryOrFail(job, waitErr);
+      return;
+    }
+
+    // The job may have been paused or cancelled while waiting for the device
+    if (job.status !== 'retrying') return;
+    job.retryAt = null;
+    setJobStatus(job, 'queued');
+    processNext();
+  }, delay));
+}
+
+/**
+ * Stops the pending retry of a job, if there is one
+ *
+ * @param {Object} job - Queue job
+ */
+function clearRetry(job) {
+  const timer = queue.retryTimers.get(job.id);
+  if (timer) {
+    clearTimeout(timer);
+    queue.retryTimers.delete(job.id);
+  }
+  job.retryAt = null;
+}
+
+/**
+ * Runs a single job and starts the next one when it has finished
+ *
+ * @param {Object} job - Queue job
+ */
+function startJob(job) {
+  // The transfer functions attach their adbkit transfer here so it can be cancelled; once the
+  // copy is in place they set completing, and the job can no longer be paused or cancelled
+  const control = { transfer: null, stopReason: null, completing: false };
+  queue.running.set(job.id, { job, control });
+
+  job.startedAt = job.startedAt || Date.now();
+  setJobStatus(job, 'running');
+
+  Promise.resolve()
+    .then(() => queue.executeJob(job, control))
+    .then(result => {
+      if (result) Object.assign(job, result);
+      if (!control.stopReason) recordSuccess();
+      setJobStatus(job, control.stopReason || 'completed');
+    })
+    .catch(err => {
+      if (control.stopReason) {
+        setJobStatus(job, control.stopReason);
+        return;
+      }
+
+      const ranInParallel = queue.running.size > 1;
+      backOff();
+      if (queue.isTransientError(err)) {
+        retryOrFail(job, err);
+      } else if (ranInParallel && !job.contentionRetried) {
+        // The failure may have been caused by the parallel load, try once more with the lower limit
+        console.log(`Transfer job ${job.id} failed while running in parallel, queueing it again:`, err.message);
+        job.contentionRetried = true;
+        setJobStatus(job, 'queued');
+      } else {
+        console.error(`Transfer job ${job.id} failed:`, err);
+        setJobStatus(job, 'failed', err.message || 'Transfer failed');
+      }
+    })
+    .then(async () => {
+      if (job.status === 'cancelled') {
+        await discard(job);
+      }
+    })
+    .finally(() => {
+      queue.running.delete(job.id);
+      processNext();
+    });
+}
+
+/**
+ * Removes leftovers of a cancelled job (e.g. a half-written file)
+ *
+ * @param {Object} job - Queue job
+ */
+async function discard(job) {
+  if (!queue.discardJob || !job.startedAt) return;
+
+  try {
+    await queue.discardJob(job);
+  } catch (err) {
+    console.error(`Error cleaning up cancelled job ${job.id}:`, err);
+  }
+}
+
+/**
+ * Stops the running job's transfer, if it is the given job
+ *
+ * @param {Object} job - Queue job
+ * @param {string} reason - 'paused' or 'cancelled'
+ * @returns {boolean} - True if the job was running and has been asked to stop (false once its copy is in place)
+ */
+function stopRunningJob(job, reason) {
+  const running = queue.running.get(job.id);
+  if (!running || running.control.completing) return false;
+
+  const { control } = running;
+  control.stopReason = reason;
+  if (control.transfer && typeof control.transfer.cancel === 'function') {
+    control.transfer.cancel();
+  }
+  return true;
+}
+
+/**
+ * Initializes the queue and restores jobs persisted by a previous session.
+ * Jobs that were queued or running when the app closed come back paused so
+ * nothing starts against a device that might not be connected.
+ *
+ * @param {Object} options - Queue dependencies
+ * @param {Object} options.store - electron-store instance
+ * @param {Function} options.executeJob - Performs a job's transfer
+ * @param {Function} options.discardJob - Cleans up after a cancelled job
+ * @param {Function} [options.isTransientError] - Tells whether a failure is worth retrying
+ * @param {Function} [options.waitForDevice] - Resolves once a device is online again
+ * @param {Function} options.notify - Sends events to the renderer
+ * @param {number} [options.concurrency] - Number of parallel transfers
+ */
+function initQueue({ store, executeJob, discardJob, isTransientError, waitForDevice, notify, concurrency }) {
+  setConcurrency(concurrency || 1);
+  queue.store = store;
+  queue.executeJob = executeJob;
+  queue.discardJob = discardJob;
+  queue.isTransientError = isTransientError || (() => false);
+  queue.waitForDevice = waitForDevice || (async () => {});
+  queue.notify = notify || (() => {});
+
+  const savedJobs = store.get(STORE_KEY, []);
+  queue.jobs = Array.isArray(savedJobs) ? savedJobs : [];
+
+  queue.jobs.forEach(job => {
+    if (job.status === 'queued' || job.status === 'running' || job.status === 'retrying') {
+      job.status = 'paused';
+      job.interrupted = true;
+      job.retryAt = null;
+    }
+  });
+
+  console.log(`Restored ${queue.jobs.length} transfer job(s) from previous session`);
+  persistQueue();
+}
+
+/**
+ * Adds a batch of jobs to the end of the queue
+ *
+ * @param {Array<Object>} jobSpecs - Jobs to add ({ type, deviceId, localPath, remotePath, size, deleteSource, sourceRoot, bulk, fileCount, sync })
+ * @param {string} [label] - Human readable description of the batch
+ * @returns {{batchId: string, jobIds: Array<string>}} - Identifiers of the new jobs
+ */
+function addJobs(jobSpecs, label) {
+  const batchId = crypto.randomUUID();
+  const now = Date.now();
+
+  const newJobs = jobSpecs.map(spec => ({
+    id: crypto.randomUUID(),
+    batchId,
+    label: label || null,
+    type: spec.type,
+    deviceId: spec.deviceId,
+    localPath: spec.localPath,
+    remotePath: spec.remotePath,
+    size: spec.size || 0,
+    deleteSource: Boolean(spec.deleteSource),   // Move: remove the source once the copy is complete
+    sourceRoot: spec.sourceRoot || null,        // Moved folder whose emptied directories are removed
+    bulk: Boolean(spec.bulk),                   // Whole folder transferred as one tar stream
+    fileCount: typeof spec.fileCount === 'number' ? spec.fileCount : null, // Files a bulk transfer must arrive with, from the scan
+    sync: spec.sync || null,                    // Two-way sync pair ({ pairKey, androidRoot }) whose state is recorded when the batch finishes
+    status: 'queued',
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null
+  }));
+
+  queue.jobs.push(...newJobs);
+  publishJobs(newJobs);
+  processNext();
+
+  return { batchId, jobIds: newJobs.map(job => job.id) };
+}
+
+/**
+ * Gets all jobs in queue order
+ *
+ * @returns {Array<Object>} - Queue jobs
+ */
+function getJobs() {
+  return queue.jobs;
+}
+
+/**
+ * Pauses a queued or running job
+ *
+ * @param {string} jobId - Job to pause
+ * @returns {boolean} - True if the job was paused
+ */
+function pauseJob(jobId) {
+  const job = queue.jobs.find(item => item.id === jobId);
+  if (!job) return false;
+
+  if (job.status === 'running') {
+    return stopRunningJob(job, 'paused');
+  }
+  if (job.status === 'queued' || job.status === 'retrying') {
+    clearRetry(job);
+    setJobStatus(job, 'paused');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Puts a paused or failed job back in the queue
+ *
+ * @param {string} jobId - Job to resume
+ * @returns {boolean} - True if the job was queued again
+ */
+function resumeJob(jobId) {
+  const job = queue.jobs.find(item => item.id === jobId);
+  if (!job || (job.status !== 'paused' && job.status !== 'failed')) return false;
+
+  job.interrupted = false;
+  job.contentionRetried = false;
+  job.retries = 0;
+  job.failedAfterRetries = false;
+  setJobStatus(job, 'queued');
+  processNext();
+  return true;
+}
+
+/**
+ * Puts every failed job back in the queue, e.g. after the device has been
+ * reconnected
+ *
+ * @returns {number} - Number of jobs queued again
+ */
+function retryFailed() {
+  const failedJobs = queue.jobs.filter(job => job.status === 'failed');
+  failedJobs.forEach(job => {
+    job.contentionRetried = false;
+    job.retries = 0;
+    job.failedAfterRetries = false;
+    job.status = 'queued';
+    job.error = null;
+    job.updatedAt = Date.now();
+  });
+
+  console.log(`Retrying ${failedJobs.length} failed transfer job(s)`);
+  publishJobs(failedJobs);
+  processNext();
+  return failedJobs.length;
+}
+
+/**
+ * Sets the number of jobs that are transferred at the same time
+ *
+ * @param {number} concurrency - Number of parallel transfers (1 to MAX_CONCURRENCY)
+ */
+function setConcurrency(concurrency) {
+  const value = Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(Number(concurrency)) || 1));
+  queue.concurrency = value;
+  queue.limit = value;
+  queue.successStreak = 0;
+  console.log(`Parallel transfers set to ${value}`);
+  processNext();
+}
+
+/**
+ * Cancels a job that has not finished yet
+ *
+ * @param {string} jobId - Job to cancel
+ * @returns {boolean} - True if the job was cancelled
+ */
+function cancelJob(jobId) {
+  const job = queue.jobs.find(item => item.id === jobId);
+  if (!job || isFinished(job)) return false;
+
+  if (job.status === 'running') {
+    return stopRunningJob(job, 'cancelled');
+  }
+
+  clearRetry(job);
+  setJobStatus(job, 'cancelled');
+  discard(job);
+  return true;
+}
+
+/**
+ * Pauses every queued, running and retrying job
+ */
+function pauseAll() {
+  queue.jobs
+    .filter(job => job.status === 'queued' || job.status === 'running' || job.status === 'retrying')
+    .forEach(job => pauseJob(job.id));
+}
+
+/**
+ * Resumes every paused job
+ */
+function resumeAll() {
+  const pausedJobs = queue.jobs.filter(job => job.status === 'paused');
+  pausedJobs.forEach(job => {
+    job.interrupted = false;
+    job.status = 'queued';
+    job.updatedAt = Date.now();
+  });
+  publishJobs(pausedJobs);
+  processNext();
+}
+
+/**
+ * Resumes the jobs that were interrupted when the app last closed
+ *
+ * @returns {number} - Number of jobs queued again
+ */
+function resumeInterrupted() {
+  const interrupted = queue.jobs.filter(job => job.status === 'paused' && job.interrupted);
+  interrupted.forEach(job => {
+    job.interrupted = false;
+    job.status = 'queued';
+    job.updatedAt = Date.now();
+  });
+  publishJobs(interrupted);
+  processNext();
+  return interrupted.length;
+}
+
+/**
+ * Cancels every job that has not finished yet
+ */
+function cancelAll() {
+  queue.jobs
+    .filter(job => !isFinished(job))
+    .forEach(job => cancelJob(job.id));
+}
+
+/**
+ * Removes finished jobs from the queue
+ */
+function clearFinished() {
+  const removedIds = queue.jobs.filter(isFinished).map(job => job.id);
+  queue.jobs = queue.jobs.filter(job => !isFinished(job));
+  publishJobs([], removedIds);
+}
+
+// Export functions
+module.exports = {
+  initQueue,
+  addJobs,
+  getJobs,
+  pauseJob,
+  resumeJob,
+  retryFailed,
+  cancelJob,
+  setConcurrency,
+  pauseAll,
+  resumeAll,
+  resumeInterrupted,
+  cancelAll,
+  clearFinished,
+  flushQueue
+};
@@ -26,6 +26,16 @@ const transferOps = require('./modules/transferOperations');
 const deviceMgmt = require('./modules/deviceManagement');
 const uiOps = require('./modules/uiOperations');
 const localFS = require('./modules/localFileSystem');
+const queuePanel = require('./modules/queuePanel');
+const conflictResolver = require('./modules/conflictResolver');
+const filenameCompat = require('./modules/filenameCompat');
+const folderSync = require('./modules/folderSync');
+const transferFilters = require('./modules/transferFilters');
+const fileSearch = require('./modules/fileSearch');
+const quickFilter = require('./modules/quickFilter');
+const hiddenFiles = require('./modules/hiddenFiles');
+const contextMenu = require('./modules/contextMenu');
+const clipboardOps = require('./modules/clipboardOperations');
 
 // Platform detection
 const isWindows = process.platform === 'win32';
@@ -48,6 +58,10 @@ const androidGoBtn = document.getElementById('android-go');
 const transferToAndroidBtn = document.getElementById('transfer-to-android');
 const transferToLocalBtn = document.getElementById('transfer-to-local');
 const swapSidesBtn = document.getElementById('swap-sides');
+const syncFoldersBtn = document.getElementById('sync-folders');
+const transferFilterBtn = document.getElementById('transfer-filter');
+const moveToAndroidBtn = document.getElementById('move-to-android');
+const moveToLocalBtn = document.getElementById('move-to-local');
 const localNewFolderBtn = document.getElementById('local-new-folder');
 const androidNewFolderBtn = document.getElementById('android-new-folder');
 const localRenameBtn = document.getElementById('local-rename');
@@ -347,21 +361,36 @@ ipcRenderer.on('adb-found', (event, data) => {
 ipcRenderer.on('transfer-progress', (event, data) => {
   console.log('Event transfer-progress received:', data); // Log para depurar
 
-  const { file, transferred = 0, total = 0, percent = 0, completed } = data;
+  const { jobId, file, transferred = 0, total = 0, percent = 0, completed } = data;
 
-  let statusText = `Transferring: ${file}`;
+  let statusText = data.type === 'device-copy' ? `Copying on device: ${file}`
+    : data.type === 'device-move' ? `Moving on device: ${file}`
+    : `Transferring: ${file}`;
 
   if (total > 0) {
-    const formattedTransferred = formatBytes(transferred);
-    const formattedTotal = formatBytes(total);
+    const formattedTransferred = fileSystem.formatFileSize(transferred);
+    const formattedTotal = fileSystem.formatFileSize(total);
     statusText += ` (${formattedTransferred} of ${formattedTotal}) — ${percent}%`;
   } else {
-    statusText += ` (${formatBytes(transferred)} transfered)`;
+    statusText += ` (${fileSystem.formatFileSize(transferred)} transfered)`;
   }
 
   setStatus(statusText);
+
+  // Queued transfers are shown in the queue panel, which refreshes the views when the batch ends
+  if (jobId) {
+    queuePanel.updateJobProgress(data);
+    return;
+  }
+
   updateProgressBar(percent, percent > 0 ? `${percent}%` : '');
 
+  // On-device copies and moves are refreshed by the paste that started them
+  if (data.type === 'device-copy' || data.type === 'device-move') {
+    if (completed) hideProgressBar();
+    return;
+  }
+
   if (completed) {
     setTimeout(async () => {
       hideProgressBar();
@@ -375,6 +404,24 @@ ipcRenderer.on('transfer-progress', (event, data) => {
   }
 });
 
+// A whole batch of queued transfers has finished
+ipcRenderer.on('queue-batch-finished', async (event, data) => {
+  const { label, completed, failed, failedAfterRetries, cancelled } = data;
+  debugLog(`Batch finished: ${label} (done: ${completed}, failed: ${failed}, cancelled: ${cancelled})`);
+
+  // Force a small delay to ensure file system has completed
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await loadLocalFiles();
+  if (state.selectedDevice) {
+    await loadAndroidFiles();
+  }
+
+  const summary = `${label || 'Transfer'} finished. Success: ${completed}, Errors: ${failed}` +
+    (failedAfterRetries > 0 ? ` (${failedAfterRetries} failed after retries, use "Retry Failed" in the queue)` : '') +
+    (cancelled > 0 ? `, Cancelled: ${cancelled}` : '');
+  setStatus(summary, failed > 0 ? 'warning' : 'success');
+});
+
 // Erro na transferência
 ipcRenderer.on('transfer-error', (event, data) => {
   setStatus(`Error in transfer: ${data.error}`, 'error');
@@ -690,6 +737,26 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Set up drag and drop for file explorers
   setupDragAndDrop();
+  setupContextMenus();
+  
+  // Search bars of both panels
+  fileSearch.initSearch('local', { container: localFilesList, renderFileList, reload: loadLocalFiles, setStatus });
+  fileSearch.initSearch('android', { container: androidFilesList, renderFileList, reload: loadAndroidFiles, setStatus });
+  quickFilter.initQuickFilter('local', localFilesList);
+  quickFilter.initQuickFilter('android', androidFilesList);
+  
+  // Show or hide hidden files as chosen for each panel
+  hiddenFiles.initHiddenToggles('local', () => fileSystem.refreshHiddenItems(localFilesList));
+  hiddenFiles.initHiddenToggles('android', () => fileSystem.refreshHiddenItems(androidFilesList));
+  
+  // Show the persistent transfer queue
+  queuePanel.initQueuePanel(document.getElementById('transfer-queue'));
+
+  // Record the state of two-way syncs once their transfers have finished
+  folderSync.initFolderSync();
+
+  // Show whether folder transfers are filtered
+  transferFilters.getActiveRules().then(showTransferFilter);
   
   // Request config information for debug display
   ipcRenderer.invoke('get-config-info').then(configInfo => {
@@ -752,6 +819,191 @@ function getExplorerUnderPoint(clientX, clientY) {
   return clientX < midX ? localExplorer : androidExplorer;
 }
 
+/**
+ * Selects the item that was right-clicked, unless it is already part of the selection
+ *
+ * @param {HTMLElement} container - File list element
+ * @param {Set<string>} selectedItems - Selection of that panel
+ * @param {HTMLElement} itemElem - Right-clicked file item
+ */
+function selectContextMenuItem(container, selectedItems, itemElem) {
+  const name = itemElem.dataset.name;
+  if (selectedItems.has(name)) return;
+
+  selectedItems.clear();
+  container.querySelectorAll('.file-item.selected').forEach(item => item.classList.remove('selected'));
+  selectedItems.add(name);
+  itemElem.classList.add('selected');
+}
+
+/**
+ * Setup the right-click menus of both file panels
+ */
+function setupContextMenus() {
+  localFilesList.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+
+    const pasteEntry = { id: 'paste', label: 'Paste', enabled: clipboardOps.hasClipboard('local'), action: pasteIntoLocal };
+    const itemElem = e.target.closest('.file-item');
+    if (!itemElem) {
+      contextMenu.showContextMenu([pasteEntry]);
+      return;
+    }
+
+    selectContextMenuItem(localFilesList, state.localSelectedItems, itemElem);
+    contextMenu.showContextMenu([
+      { id: 'cut', label: 'Cut', action: () => copySelection(true, 'cut') },
+      { id: 'copy', label: 'Copy', action: () => copySelection(true, 'copy') },
+      pasteEntry,
+      { type: 'separator' },
+      { id: 'copy-to-android', label: 'Copy to Android', enabled: !!state.selectedDevice, action: () => transferSelectedToAndroid(false) },
+      { id: 'move-to-android', label: 'Move to Android', enabled: !!state.selectedDevice, action: () => transferSelectedToAndroid(true) }
+    ]);
+  });
+
+  androidFilesList.addEventListener('contextmenu', (e) => {
+    if (!state.selectedDevice) return;
+    e.preventDefault();
+
+    const pasteEntry = { id: 'paste', label: 'Paste', enabled: clipboardOps.hasClipboard('android'), action: pasteIntoAndroid };
+    const itemElem = e.target.closest('.file-item');
+    if (!itemElem) {
+      contextMenu.showContextMenu([pasteEntry]);
+      return;
+    }
+
+    selectContextMenuItem(androidFilesList, state.androidSelectedItems, itemElem);
+    contextMenu.showContextMenu([
+      { id: 'cut', label: 'Cut', action: () => copySelection(false, 'cut') },
+      { id: 'copy', label: 'Copy', action: () => copySelection(false, 'copy') },
+      pasteEntry,
+      { type: 'separator' },
+      { id: 'copy-to-local', label: 'Copy to Computer', action: () => transferSelectedToLocal(false) },
+      { id: 'move-to-local', label: 'Move to Computer', action: () => transferSelectedToLocal(true) }
+    ]);
+  });
+
+  // Ctrl+A / Ctrl+X / Ctrl+C / Ctrl+V (Cmd on macOS) while a file list has focus
+  [[localFilesList, true], [androidFilesList, false]].forEach(([container, isLocal]) => {
+    container.addEventListener('keydown', (e) => {
+      if (!(isMac ? e.metaKey : e.ctrlKey) || e.altKey || e.shiftKey) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'a') {
+        // Only the items the quick filter shows are selected
+        e.preventDefault();
+        fileSystem.selectAllListed(container);
+      } else if (key === 'x' || key === 'c') {
+        e.preventDefault();
+        copySelection(isLocal, key === 'x' ? 'cut' : 'copy');
+      } else if (key === 'v') {
+        e.preventDefault();
+        if (isLocal) {
+          pasteIntoLocal();
+        } else {
+          pasteIntoAndroid();
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Puts the selected items of a panel on the clipboard
+ *
+ * @param {boolean} isLocal - Whether the items are in the local panel
+ * @param {'copy' | 'cut'} mode - Whether pasting copies or moves the items
+ */
+function copySelection(isLocal, mode) {
+  const selectedItems = isLocal ? state.localSelectedItems : state.androidSelectedItems;
+  const container = isLocal ? localFilesList : androidFilesList;
+
+  if ((!isLocal && !state.selectedDevice) || selectedItems.size === 0) {
+    setStatus(`No ${isLocal ? 'local' : 'Android'} items selected`);
+    return;
+  }
+
+  const items = Array.from(selectedItems).map(name => {
+    const item = fileSystem.getListedItem(container, name);
+    return { name, isDirectory: !!item && item.isDir };
+  });
+
+  if (isLocal) {
+    clipboardOps.setClipboard('local', mode, state.localPath, items);
+  } else {
+    clipboardOps.setClipboard('android', mode, state.androidPath, items, state.selectedDevice);
+  }
+  setStatus(`${mode === 'cut' ? 'Cut' : 'Copied'} ${items.length} item(s). Open a folder ${isLocal ? 'on the computer' : 'on the device'} and paste.`);
+}
+
+/**
+ * Pastes the local clipboard into the open local folder, showing the
+ * progress of the whole paste in the progress bar
+ */
+async function pasteIntoLocal() {
+  if (!clipboardOps.hasClipboard('local')) {
+    setStatus('Nothing to paste');
+    return;
+  }
+
+  try {
+    const onProgress = (done, total) => {
+      const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+      updateProgressBar(percent, `${fileSystem.formatFileSize(done)} of ${fileSystem.formatFileSize(total)}`);
+    };
+
+    const { pasted, skipped, errors } = await clipboardOps.pasteToLocal(state.localPath, setStatus, onProgress);
+    hideProgressBar();
+    clearSelections();
+    await loadLocalFiles();
+    setStatus(`Pasted ${pasted} item(s).` +
+      (skipped > 0 ? ` Skipped: ${skipped}.` : '') +
+      (errors > 0 ? ` Errors: ${errors}.` : ''), errors > 0 ? 'warning' : 'success');
+  } catch (err) {
+    console.error('Error pasting local items:', err);
+    hideProgressBar();
+    setStatus(`Paste failed: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Pastes the Android clipboard into the open Android folder, copying or
+ * moving the items on the device itself
+ */
+async function pasteIntoAndroid() {
+  if (!state.selectedDevice) {
+    setStatus('No device selected');
+    return;
+  }
+  if (!clipboardOps.hasClipboard('android')) {
+    setStatus('Nothing to paste');
+    return;
+  }
+
+  try {
+    const { pasted, skipped, errors } = await clipboardOps.pasteToAndroid(state.selectedDevice, state.androidPath, setStatus);
+    clearSelections();
+    await loadAndroidFiles();
+    setStatus(`Pasted ${pasted} item(s).` +
+      (skipped > 0 ? ` Skipped: ${skipped}.` : '') +
+      (errors > 0 ? ` Errors: ${errors}.` : ''), errors > 0 ? 'warning' : 'success');
+  } catch (err) {
+    console.error('Error pasting Android items:', err);
+    setStatus(`Paste failed: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Checks whether a drag should move instead of copy: Cmd on macOS (as in
+ * Finder), Shift elsewhere (as in Windows Explorer)
+ *
+ * @param {DragEvent} e - Drag or drop event
+ * @returns {boolean} - True if the move modifier is held
+ */
+function isMoveDrag(e) {
+  return process.platform === 'darwin' ? e.metaKey : e.shiftKey;
+}
+
 /**
  * Setup drag and drop functionality for file explorer panels
  */
@@ -771,7 +1023,7 @@ function setupDragAndDrop() {
 
   dragTarget.addEventListener('dragover', (e) => {
     e.preventDefault();
-    if (e.dataTransfer) e.dataTransfer.dropEffect = 'copy';
+    if (e.dataTransfer) e.dataTransfer.dropEffect = isMoveDrag(e) ? 'move' : 'copy';
     const explorer = getExplorerUnderPoint(e.clientX, e.clientY);
     [localExplorer, androidExplorer].forEach(ex => {
       const on = ex === explorer;
@@ -844,7 +1096,7 @@ function handleExplorerDrop(e, explorer) {
       });
     }
     if (itemsToTransfer.length > 0) {
-      handleDropTransfer(itemsToTransfer, true, false, destLocal, destAndroid);
+      handleDropTransfer(itemsToTransfer, true, false, destLocal, destAndroid, isMoveDrag(e));
     }
     return;
   }
@@ -874,11 +1126,10 @@ function handleExplorerDrop(e, explorer) {
         const itemPath = isFromLocal
           ? path.join(state.localPath, itemName)
           : path.join(state.androidPath, itemName).replace(/\\/g, '/');
-        const sel = isFromLocal ? 'local' : 'android';
-        const escaped = itemName.replace(/"/g, '\\"').replace(/'/g, "\\'").replace(/\\/g, '\\\\');
+        const listed = fileSystem.getListedItem(isFromLocal ? localFilesList : androidFilesList, itemName);
         const isDir = isFromLocal
           ? fs.existsSync(itemPath) && fs.statSync(itemPath).isDirectory()
-          : document.querySelector(`#${sel}-files .file-item[data-name="${escaped}"]`)?.dataset?.isDir === 'true';
+          : !!listed && listed.isDir;
         itemsToTransfer.push({
           name: itemName,
           isDir: !!isDir,
@@ -891,13 +1142,33 @@ function handleExplorerDrop(e, explorer) {
       itemsToTransfer = [dragData];
     }
 
-    handleDropTransfer(itemsToTransfer, isFromLocal, isToLocal, destLocal, destAndroid);
+    handleDropTransfer(itemsToTransfer, isFromLocal, isToLocal, destLocal, destAndroid, isMoveDrag(e));
   } catch (err) {
     console.error('Error handling drop:', err);
     setStatus(`Error handling drop: ${err.message}`);
   }
 }
 
+/**
+ * Builds the status message shown after files have been queued
+ *
+ * @param {number} queuedCount - Number of files queued
+ * @param {number} errorCount - Number of files that could not be queued
+ * @param {Object} conflicts - Conflict session of the operation
+ * @returns {string} - Status message
+ */
+function getQueuedMessage(queuedCount, errorCount, conflicts) {
+  if (conflicts.cancelled) {
+    return 'Transfer cancelled';
+  }
+
+  let message = `Queued ${queuedCount} file(s) for transfer.`;
+  if (conflicts.skipped > 0) {
+    message += ` Skipped ${conflicts.skipped} existing file(s).`;
+  }
+  return `${message} Errors: ${errorCount}`;
+}
+
 /**
  * Handle drop transfer for one or multiple items
  * @param {Array} items - Items to transfer
@@ -905,8 +1176,9 @@ function handleExplorerDrop(e, explorer) {
  * @param {boolean} isToLocal - True if transferring to local
  * @param {string} destLocalPath - Local destination path (for Android→local)
  * @param {string} destAndroidPath - Android destination path (for local→Android)
+ * @param {boolean} [isMove] - Delete each source file once it has been transferred
  */
-async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath, destAndroidPath) {
+async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath, destAndroidPath, isMove = false) {
   if (items.length === 0) return;
   if (state.isTransferring) {
     setStatus('Transfer already in progress');
@@ -917,15 +1189,20 @@ async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath,
   const destLocal = destLocalPath || state.localPath;
   const destAndroid = (destAndroidPath || state.androidPath).replace(/\\/g, '/');
 
-  setStatus(`Copying ${items.length} item(s) ${isFromLocal ? 'from local' : 'from Android'} ${isToLocal ? 'to local' : 'to Android'}...`);
+  setStatus(`Queueing ${isMove ? 'move of ' : ''}${items.length} item(s) ${isFromLocal ? 'from local' : 'from Android'} ${isToLocal ? 'to local' : 'to Android'}...`);
 
-  let successCount = 0;
+  let queuedCount = 0;
   let errorCount = 0;
+  const conflicts = conflictResolver.createConflictSession();
 
   try {
+  // Names the destination does not accept are changed, after asking the user.
+  // Search results are named by their path; they are transferred by their own name.
+  const mapName = await filenameCompat.resolveBatchNames(conflicts, items.map(item => path.posix.basename(item.name)), !isToLocal);
   for (const item of items) {
+    if (conflicts.cancelled) break;
     try {
-      const sanitizedName = item.name.replace(/[\\/:*?"<>|]/g, '_');
+      const sanitizedName = mapName(path.posix.basename(item.name));
       if (isFromLocal && !isToLocal) {
         const androidTarget = destAndroid.endsWith('/') ? `${destAndroid}${sanitizedName}` : `${destAndroid}/${sanitizedName}`;
         if (item.isDir) {
@@ -933,18 +1210,20 @@ async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath,
             state.selectedDevice,
             item.sourcePath,
             androidTarget,
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
-          successCount += result.success;
+          queuedCount += result.queued;
           errorCount += result.errors;
         } else {
           const ok = await transferOps.transferLocalFileToAndroid(
             state.selectedDevice,
             item.sourcePath,
             androidTarget,
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
-          if (ok) successCount++; else errorCount++;
+          if (ok) queuedCount++; else if (ok === false) errorCount++;
         }
       } else if (!isFromLocal && isToLocal) {
         const localTarget = path.join(destLocal, sanitizedName);
@@ -954,18 +1233,21 @@ async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath,
             state.selectedDevice,
             androidSource,
             localTarget,
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
-          successCount += result.success;
+          queuedCount += result.queued;
           errorCount += result.errors;
         } else {
           const ok = await transferOps.transferAndroidFileToLocal(
             state.selectedDevice,
             androidSource,
             localTarget,
-            setStatus
+            setStatus,
+            0,
+            { conflicts, move: isMove }
           );
-          if (ok) successCount++; else errorCount++;
+          if (ok) queuedCount++; else if (ok === false) errorCount++;
         }
       }
     } catch (err) {
@@ -978,7 +1260,7 @@ async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath,
   clearSelections();
   await loadLocalFiles();
   await loadAndroidFiles();
-  setStatus(`Copy complete. Success: ${successCount}, Errors: ${errorCount}`, 'success');
+  setStatus(getQueuedMessage(queuedCount, errorCount, conflicts), errorCount > 0 ? 'warning' : 'success');
   } finally {
     state.isTransferring = false;
   }
@@ -988,6 +1270,11 @@ async function handleDropTransfer(items, isFromLocal, isToLocal, destLocalPath,
  * Load local files from the file system
  */
 function loadLocalFiles() {
+  // Refreshing search results searches again
+  if (fileSearch.isSearchShown('local', state.localPath)) {
+    return fileSearch.runSearch('local');
+  }
+  
   debugLog(`Loading local files from path: ${state.localPath}`);
   
   // Get the local files list element
@@ -1030,6 +1317,11 @@ function loadAndroidFiles() {
     return Promise.reject(new Error('No device selected'));
   }
   
+  // Refreshing search results searches again
+  if (fileSearch.isSearchShown('android', state.androidPath)) {
+    return fileSearch.runSearch('android');
+  }
+  
   // Show loading indicator
   androidFilesList.innerHTML = '<div class="loading">Loading files from Android device...</div>';
   
@@ -1049,16 +1341,19 @@ function loadAndroidFiles() {
  * @param {Array} items - Array of file items to render
  * @param {HTMLElement} container - DOM element to render the file list into
  * @param {boolean} isLocal - Flag indicating if this is a local file list
+ * @param {Object} [options] - Render options ({ search })
+ * @returns {Object} - List model of the rendered list
  */
-function renderFileList(items, container, isLocal) {
-  fileSystem.renderFileList(
+function renderFileList(items, container, isLocal, options) {
+  return fileSystem.renderFileList(
     items, 
     container, 
     isLocal, 
     state,
     setStatus, 
     pullAndroidFileToTemp, 
-    viewFile
+    viewFile,
+    options
   );
 }
 
@@ -1320,11 +1615,12 @@ androidGoBtn.addEventListener('click', (e) => {
 });
 
 /**
- * Transfer to Android button click handler
- * Transfers selected local files/folders to the Android device
+ * Transfers the selected local files/folders to the Android device
+ *
+ * @param {boolean} isMove - Delete each source file once it has been transferred
  */
-transferToAndroidBtn.addEventListener('click', async (e) => {
-  console.log('Transfer to Android button clicked');
+async function transferSelectedToAndroid(isMove) {
+  console.log(`${isMove ? 'Move' : 'Transfer'} to Android requested`);
   
   if (!state.selectedDevice) {
     setStatus('No device selected', 'error');
@@ -1343,15 +1639,19 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
   }
   
   state.isTransferring = true;
-  setStatus('Preparing transfer to Android...');
+  setStatus(`Preparing ${isMove ? 'move' : 'transfer'} to Android...`);
   
   try {
-    let successCount = 0;
+    let queuedCount = 0;
     let errorCount = 0;
     let total = state.localSelectedItems.size;
     let current = 0;
+    const conflicts = conflictResolver.createConflictSession();
+    // Search results are named by their path; they are transferred by their own name
+    const mapName = await filenameCompat.resolveBatchNames(conflicts, [...state.localSelectedItems].map(name => path.posix.basename(name)), true);
     
     for (const itemName of state.localSelectedItems) {
+      if (conflicts.cancelled) break;
       current++;
       try {
         // Try to safely get the local file path
@@ -1374,12 +1674,11 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
           continue;
         }
         
-        // Construct the Android target path - sanitize to ensure valid path
-        const sanitizedItemName = itemName.replace(/[\\/|:&><"?*]/g, '_');
+        // Construct the Android target path under a name the device accepts
+        const sanitizedItemName = mapName(path.posix.basename(itemName));
         const androidTargetPath = `${state.androidPath}/${sanitizedItemName}`.replace(/\/+/g, '/');
         
-        setStatus(`Transferring (${current}/${total}): ${itemName}`);
-        updateProgressBar(Math.floor((current - 1) / total * 100), `${current}/${total}`);
+        setStatus(`Scanning (${current}/${total}): ${itemName}`);
         
         if (isDirectory) {
           console.log('Transferring directory to Android:', localItemPath, 'to', androidTargetPath);
@@ -1387,10 +1686,11 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
             state.selectedDevice, 
             localItemPath, 
             androidTargetPath, 
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
           
-          successCount += folderResult.success;
+          queuedCount += folderResult.queued;
           errorCount += folderResult.errors;
         } else {
           console.log('Transferring file to Android:', localItemPath, 'to', androidTargetPath);
@@ -1398,12 +1698,13 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
             state.selectedDevice, 
             localItemPath, 
             androidTargetPath, 
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
           
           if (success) {
-            successCount++;
-          } else {
+            queuedCount++;
+          } else if (success === false) {
             errorCount++;
           }
         }
@@ -1411,22 +1712,10 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
         console.error(`Error processing item for transfer: ${itemName}`, itemErr);
         errorCount++;
       }
-      
-      updateProgressBar(Math.floor(current / total * 100), `${current}/${total}`);
     }
     
-    updateProgressBar(100, 'Complete');
-    setStatus(`Transfer complete. Success: ${successCount}, Errors: ${errorCount}`);
-    hideProgressBar();
-    
-    // Force a small delay to ensure file system has completed
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Directly refresh both views like the Go button does
-    await loadLocalFiles();
-    await loadAndroidFiles();
-    setStatus('Transfer completed - Files refreshed', 'success');
-    hideProgressBar();
+    // The queue panel reports progress; both views are refreshed when the batch finishes
+    setStatus(getQueuedMessage(queuedCount, errorCount, conflicts), errorCount > 0 ? 'warning' : 'success');
   } catch (err) {
     console.error('Error during transfer to Android:', err);
     setStatus(`Transfer error: ${err.message}`);
@@ -1440,14 +1729,21 @@ transferToAndroidBtn.addEventListener('click', async (e) => {
     clearSelections();
     hideProgressBar();
   }
-});
+}
 
 /**
- * Transfer to Local button click handler
- * Transfers selected Android files/folders to the local file system
+ * Transfer to Android and Move to Android button click handlers
  */
-transferToLocalBtn.addEventListener('click', async (e) => {
-  console.log('Transfer to Local button clicked');
+transferToAndroidBtn.addEventListener('click', () => transferSelectedToAndroid(false));
+moveToAndroidBtn.addEventListener('click', () => transferSelectedToAndroid(true));
+
+/**
+ * Transfers the selected Android files/folders to the local file system
+ *
+ * @param {boolean} isMove - Delete each source file once it has been transferred
+ */
+async function transferSelectedToLocal(isMove) {
+  console.log(`${isMove ? 'Move' : 'Transfer'} to local requested`);
   
   if (!state.selectedDevice) {
     setStatus('No device selected');
@@ -1465,52 +1761,39 @@ transferToLocalBtn.addEventListener('click', async (e) => {
   }
   
   state.isTransferring = true;
-  setStatus('Preparing transfer to local...');
+  setStatus(`Preparing ${isMove ? 'move' : 'transfer'} to local...`);
   
   try {
-    let successCount = 0;
+    let queuedCount = 0;
     let errorCount = 0;
     let total = state.androidSelectedItems.size;
     let current = 0;
+    const conflicts = conflictResolver.createConflictSession();
+    // Search results are named by their path; they are transferred by their own name
+    const mapName = await filenameCompat.resolveBatchNames(conflicts, [...state.androidSelectedItems].map(name => path.posix.basename(name)), false);
     
     for (const itemName of state.androidSelectedItems) {
+      if (conflicts.cancelled) break;
       current++;
       try {
         // For Android paths, we need to use forward slashes
         const androidItemPath = path.join(state.androidPath, itemName).replace(/\\/g, '/');
         
-        // Sanitize the local path to avoid invalid characters
-        const sanitizedItemName = itemName.replace(/[\\/:*?"<>|]/g, '_');
+        // Use a name this computer accepts
+        const sanitizedItemName = mapName(path.posix.basename(itemName));
         const localTargetPath = path.join(state.localPath, sanitizedItemName);
         
         // Check if this is a directory in the Android file system
         const isDirectory = (() => {
-          try {
-            // Escape special characters in itemName for use in CSS selector
-            const escapedName = itemName.replace(/"/g, '\\"').replace(/'/g, "\\'").replace(/\\/g, '\\\\');
-            // Use a more specific and reliable selector
-            const item = document.querySelector(`#android-files .file-item[data-name="${escapedName}"]`);
-            
-            // Add more careful null checking
-            if (item && item.dataset && typeof item.dataset.isDir === 'string') {
-              return item.dataset.isDir === 'true';
-            }
-            
-            // If we can't determine from DOM, make a guess based on lack of file extension
-            if (!item) {
-              console.log(`Warning: Could not find element for ${itemName}, guessing if directory`);
-              // If no extension, assume it's a directory
-              return !itemName.includes('.');
-            }
-          } catch (selectorErr) {
-            console.error(`Error with selector: ${selectorErr.message}`, selectorErr);
-          }
+          const item = fileSystem.getListedItem(androidFilesList, itemName);
+          if (item) return item.isDir;
           
-          return false;
+          // If the item is not listed (any more), make a guess based on lack of file extension
+          console.log(`Warning: ${itemName} is not listed, guessing if directory`);
+          return !itemName.includes('.');
         })();
         
-        setStatus(`Transferring (${current}/${total}): ${itemName}`);
-        updateProgressBar(Math.floor((current - 1) / total * 100), `${current}/${total}`);
+        setStatus(`Scanning (${current}/${total}): ${itemName}`);
         
         if (isDirectory) {
           console.log('Transferring directory from Android:', androidItemPath, 'to', localTargetPath);
@@ -1518,10 +1801,11 @@ transferToLocalBtn.addEventListener('click', async (e) => {
             state.selectedDevice, 
             androidItemPath, 
             localTargetPath, 
-            setStatus
+            setStatus,
+            { conflicts, move: isMove }
           );
           
-          successCount += folderResult.success;
+          queuedCount += folderResult.queued;
           errorCount += folderResult.errors;
         } else {
           console.log('Transferring file from Android:', androidItemPath, 'to', localTargetPath);
@@ -1529,12 +1813,14 @@ transferToLocalBtn.addEventListener('click', async (e) => {
             state.selectedDevice, 
             androidItemPath, 
             localTargetPath, 
-            setStatus
+            setStatus,
+            0,
+            { conflicts, move: isMove }
           );
           
           if (success) {
-            successCount++;
-          } else {
+            queuedCount++;
+          } else if (success === false) {
             errorCount++;
           }
         }
@@ -1542,21 +1828,10 @@ transferToLocalBtn.addEventListener('click', async (e) => {
         console.error(`Error processing item for transfer: ${itemName}`, itemErr);
         errorCount++;
       }
-      
-      updateProgressBar(Math.floor(current / total * 100), `${current}/${total}`);
     }
     
-    updateProgressBar(100, 'Complete');
-    setStatus(`Transfer complete. Success: ${successCount}, Errors: ${errorCount}`);
-    
-    // Force a small delay to ensure file system has completed
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    // Directly refresh both views like the Go button does
-    await loadLocalFiles();
-    await loadAndroidFiles();
-    setStatus('Transfer completed - Files refreshed', 'success');
-    hideProgressBar();
+    // The queue panel reports progress; both views are refreshed when the batch finishes
+    setStatus(getQueuedMessage(queuedCount, errorCount, conflicts), errorCount > 0 ? 'warning' : 'success');
   } catch (err) {
     console.error('Error during transfer to local:', err);
     setStatus(`Transfer error: ${err.message}`);
@@ -1569,6 +1844,82 @@ transferToLocalBtn.addEventListener('click', async (e) => {
     state.isTransferring = false;
     clearSelections();
   }
+}
+
+/**
+ * Transfer to Local and Move to Local button click handlers
+ */
+transferToLocalBtn.addEventListener('click', () => transferSelectedToLocal(false));
+moveToLocalBtn.addEventListener('click', () => transferSelectedToLocal(true));
+
+/**
+ * Sync folders button click handler
+ * Opens the sync dialog for the folders currently shown in both panels
+ */
+syncFoldersBtn.addEventListener('click', async (e) => {
+  console.log('Sync folders button clicked');
+  
+  if (!state.selectedDevice) {
+    setStatus('No device selected', 'error');
+    return;
+  }
+  
+  if (state.isTransferring) {
+    setStatus('Transfer already in progress', 'error');
+    return;
+  }
+  
+  state.isTransferring = true;
+  
+  try {
+    const result = await folderSync.showSyncDialog({
+      deviceId: state.selectedDevice,
+      localPath: state.localPath,
+      androidPath: state.androidPath.replace(/\\/g, '/'),
+      setStatus
+    });
+    
+    if (result) {
+      await loadLocalFiles();
+      await loadAndroidFiles();
+      const conflictNote = result.conflicts ? ` ${result.conflicts} conflict(s) left unresolved.` : '';
+      setStatus(`Sync: queued ${result.queued} file(s), deleted ${result.deleted} item(s).${conflictNote} Errors: ${result.errors}`, result.errors > 0 ? 'warning' : 'success');
+    }
+  } catch (err) {
+    console.error('Error during folder sync:', err);
+    setStatus(`Sync error: ${err.message}`);
+  } finally {
+    state.isTransferring = false;
+  }
+});
+
+/**
+ * Shows on the filter button whether folder transfers are filtered
+ *
+ * @param {Object|null} rules - Active filter rules, null if nothing is filtered
+ */
+function showTransferFilter(rules) {
+  transferFilterBtn.classList.toggle('active', Boolean(rules));
+  transferFilterBtn.title = rules
+    ? `Folder transfers are filtered: ${transferFilters.describeRules(rules)}`
+    : 'Filter rules for folder transfers';
+}
+
+/**
+ * Transfer filter button click handler
+ * Opens the filter rules and presets applied to folder transfers
+ */
+transferFilterBtn.addEventListener('click', async () => {
+  try {
+    const rules = await transferFilters.showFilterDialog();
+    if (rules === undefined) return;
+
+    showTransferFilter(rules);
+    setStatus(rules ? `Folder transfers filtered: ${transferFilters.describeRules(rules)}` : 'Folder transfers are no longer filtered', 'success');
+  } catch (err) {
+    console.error('Error editing transfer filter:', err);
+    setStatus(`Filter error: ${err.message}`);
+  }
 });
 
 /**
@@ -1607,6 +1958,8 @@ swapSidesBtn.addEventListener('click', (e) => {
     const toLocalBtn = document.getElementById('transfer-to-local');
     if (toAndroidBtn) toAndroidBtn.innerHTML = '←';
     if (toLocalBtn) toLocalBtn.innerHTML = '→';
+    moveToAndroidBtn.innerHTML = '⇐';
+    moveToLocalBtn.innerHTML = '⇒';
   } else {
     // Restore original order
     container.insertBefore(localPanel, androidPanel);
@@ -1620,6 +1973,8 @@ swapSidesBtn.addEventListener('click', (e) => {
     const toLocalBtn = document.getElementById('transfer-to-local');
     if (toAndroidBtn) toAndroidBtn.innerHTML = '→';
     if (toLocalBtn) toLocalBtn.innerHTML = '←';
+    moveToAndroidBtn.innerHTML = '⇒';
+    moveToLocalBtn.innerHTML = '⇐';
   }
   
   console.log(`Panels ${state.isSwapped ? 'swapped' : 'restored'}`);
@@ -1744,7 +2099,7 @@ async function performLocalRename(oldName, newName, currentPath) {
   }
   
   // Perform rename
-  fs.renameSync(oldPath, newPath);
+  await localFS.renameLocalItem(oldPath, newPath);
   
   setStatus(`Renamed "${oldName}" to "${newName}"`, 'success');
   debugLog(`Renamed ${oldPath} to ${newPath}`);
@@ -1934,7 +2289,7 @@ async function performLocalRename(oldName, newName, currentPath) {
   }
   
   // Perform the rename
-  fs.renameSync(oldPath, newPath);
+  await localFS.renameLocalItem(oldPath, newPath);
   
   setStatus(`Renamed "${oldName}" to "${newName}"`, 'success');
   debugLog(`Renamed ${oldPath} to ${newPath}`);
@@ -2024,7 +2379,7 @@ localDeleteBtn.addEventListener('click', async (e) => {
     const isDirectory = fs.existsSync(itemPath) && fs.statSync(itemPath).isDirectory();
     
     try {
-      await localFS.deleteLocalItem(itemPath, isDirectory);
+      await localFS.removeLocalItem(itemPath, isDirectory);
       successCount++;
       console.log(`Deleted local ${isDirectory ? 'directory' : 'file'}: ${itemPath}`);
     } catch (err) {
@@ -2079,28 +2434,12 @@ androidDeleteBtn.addEventListener('click', async (e) => {
     
     // Check if this is a directory in the Android file system
     const isDirectory = (() => {
-      try {
-        // Escape special characters in itemName for use in CSS selector
-        const escapedName = itemName.replace(/"/g, '\\"').replace(/'/g, "\\'").replace(/\\/g, '\\\\');
-        // Use a more specific and reliable selector
-        const item = document.querySelector(`#android-files .file-item[data-name="${escapedName}"]`);
-        
-        // Add more careful null checking
-        if (item && item.dataset && typeof item.dataset.isDir === 'string') {
-          return item.dataset.isDir === 'true';
-        }
-        
-        // If we can't determine from DOM, make a guess based on lack of file extension
-        if (!item) {
-          console.log(`Warning: Could not find element for ${itemName}, guessing if directory`);
-          // If no extension, assume it's a directory
-          return !itemName.includes('.');
-        }
-      } catch (selectorErr) {
-        console.error(`Error with selector: ${selectorErr.message}`, selectorErr);
-      }
+      const item = fileSystem.getListedItem(androidFilesList, itemName);
+      if (item) return item.isDir;
       
-      return false;
+      // If the item is not listed (any more), make a guess based on lack of file extension
+      console.log(`Warning: ${itemName} is not listed, guessing if directory`);
+      return !itemName.includes('.');
     })();
     
     try {